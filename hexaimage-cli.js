@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+/**
+ * hexaimage - command line batch conversion to hexagonal lattices
+ *
+ *   node hexaimage-cli.js convert in/*.png --kernel lanczos3 --pitch 2 --out out/ --format hxi
+ *   node hexaimage-cli.js convert scan.dng --pitch 1.5 --op gaussian:sigma=0.8 --op gradient --format png
+ *   node hexaimage-cli.js kernels
+ *   node hexaimage-cli.js operators
+ *
+ * Inputs are PNG files, camera raws (DNG, TIFF, CR2, NEF) or directories of
+ * them. Every converted file gets the requested outputs plus a
+ * <name>.summary.json with the lattice, kernel, timings and round-trip
+ * metrics. Directory scans skip the CLI's own outputs (*.hex.*, *.hxi).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HexGrid, HexConverterCore, HexOperators, HexaImageFormat, DisplayTransfer, PngCodec, RawDecoder, ResamplingKernels, ResamplingPlan, HexExport, TiffCodec } = require('./hexaimage-node.js');
+
+const USAGE = `Usage:
+  hexaimage convert <file|dir>... [options]
+  hexaimage kernels
+  hexaimage operators
+
+Options:
+  --out <dir>            Output directory (default: next to each input)
+  --format <list>        Comma-separated outputs: hxi, png, svg, csv, json,
+                         tiff (default: hxi). csv and json list every
+                         cell's q, r, x, y and values; tiff is the lattice
+                         resampled back onto a rectangular grid
+  --merge                Merge equal-coloured SVG cells into one path each
+  --tiff-width <px>      Width of the resampled TIFF (default: source or
+                         --roi width, height follows its aspect ratio)
+  --kernel <name>        Resampling kernel (default: window3x3, see "kernels";
+                         lanczos is short for lanczos3)
+  --<param> <value>      Kernel parameter, e.g. --sigma 1.2 for gaussian
+  --orientation <o>      pointy or flat (default: pointy)
+  --pitch <px>           Centre-to-centre cell distance in source pixels
+  --cells <n>            Approximate total cell count
+  --density <d>          Cells per source pixel (default: 1)
+  --roi <x,y,w,h>        Convert only this region of each input, in source
+                         pixels; cell positions stay in full-frame
+                         coordinates
+  --no-bayer             Demosaic raw CFA files before sampling
+  --op <name[:k=v...]>   Lattice operator to run after sampling, e.g.
+                         --op gaussian:sigma=1.2 (repeatable, applied in
+                         order; see "operators")
+  --display <mode>       PNG / viewer transfer: linear, gamma or log
+                         (default: gamma for linear raw data, else linear)
+  --black <v>            Display black point, fraction of full scale
+  --white <v>            Display white point, fraction of full scale
+  --gamma <v>            Display gamma (default: 2.2)
+  --no-metrics           Skip the round-trip PSNR / SSIM / MSE evaluation
+  -r, --recursive        Descend into subdirectories
+  -h, --help             Show this help`;
+
+const FORMATS = ['hxi', 'png', 'svg', 'csv', 'json', 'tiff'];
+// Shorthand kernel names accepted by --kernel
+const KERNEL_ALIASES = { lanczos: 'lanczos3' };
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        inputs: [],
+        out: null,
+        formats: ['hxi'],
+        kernel: 'window3x3',
+        kernelOptions: {},
+        operations: [],
+        orientation: 'pointy',
+        sizingMode: 'density',
+        sizingValue: 1,
+        roi: null,
+        bayer: true,
+        display: {},
+        metrics: true,
+        mergeRegions: false,
+        tiffWidth: null,
+        recursive: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-r' || arg === '--recursive') {
+            options.recursive = true;
+        } else if (arg === '--no-bayer') {
+            options.bayer = false;
+        } else if (arg === '--no-metrics') {
+            options.metrics = false;
+        } else if (arg === '--merge') {
+            options.mergeRegions = true;
+        } else if (arg === '--tiff-width') {
+            options.tiffWidth = Number(value());
+        } else if (arg === '--out') {
+            options.out = value();
+        } else if (arg === '--format') {
+            options.formats = value().split(',').map(format => format.trim().toLowerCase());
+            const unknown = options.formats.find(format => !FORMATS.includes(format));
+            if (unknown) throw new Error(`Unknown output format: ${unknown}`);
+        } else if (arg === '--kernel') {
+            const name = value();
+            options.kernel = KERNEL_ALIASES[name] || name;
+        } else if (arg === '--op') {
+            options.operations.push(parseOperation(value()));
+        } else if (arg === '--roi') {
+            const [x, y, width, height] = value().split(',').map(Number);
+            options.roi = { x, y, width, height };
+        } else if (arg === '--orientation') {
+            options.orientation = value();
+        } else if (arg === '--display') {
+            options.display.mode = value();
+        } else if (arg === '--black' || arg === '--white' || arg === '--gamma') {
+            options.display[arg.slice(2)] = Number(value());
+        } else if (HexGrid.SIZING_MODES.includes(arg.slice(2))) {
+            options.sizingMode = arg.slice(2);
+            options.sizingValue = Number(value());
+        } else if (arg.startsWith('--')) {
+            options.kernelOptions[arg.slice(2)] = Number(value());
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * "name:key=value:key=value" → { name, options }. Values stay strings until
+ * validateOptions knows which parameters are numeric.
+ */
+function parseOperation(spec) {
+    const [name, ...pairs] = spec.split(':');
+    const options = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        if (separator < 1) throw new Error(`Invalid operator option "${pair}" in --op ${spec}`);
+        options[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+    return { name, options };
+}
+
+function validateOptions(options) {
+    const definition = ResamplingKernels.list().find(kernel => kernel.name === options.kernel);
+    if (!definition) {
+        throw new Error(`Unknown kernel: ${options.kernel} (run "hexaimage kernels" for the list)`);
+    }
+
+    for (const [name, value] of Object.entries(options.kernelOptions)) {
+        const param = definition.params.find(p => p.name === name);
+        if (!param) throw new Error(`Kernel ${options.kernel} has no parameter --${name}`);
+        if (!Number.isFinite(value)) throw new Error(`--${name} must be a number`);
+    }
+
+    if (!HexGrid.ORIENTATIONS.includes(options.orientation)) {
+        throw new Error(`Unknown orientation: ${options.orientation}`);
+    }
+    if (!(options.sizingValue > 0)) {
+        throw new Error(`--${options.sizingMode} must be a positive number`);
+    }
+    if (options.roi) {
+        const { x, y, width, height } = options.roi;
+        if (![x, y].every(v => Number.isInteger(v) && v >= 0) || ![width, height].every(v => Number.isInteger(v) && v > 0)) {
+            throw new Error('--roi must be x,y,width,height in whole pixels');
+        }
+    }
+    if (options.tiffWidth !== null && !(Number.isInteger(options.tiffWidth) && options.tiffWidth > 0)) {
+        throw new Error('--tiff-width must be a positive whole number of pixels');
+    }
+
+    for (const operation of options.operations) {
+        const operator = HexOperators.list().find(op => op.name === operation.name);
+        if (!operator) {
+            throw new Error(`Unknown operator: ${operation.name} (run "hexaimage operators" for the list)`);
+        }
+        for (const [name, value] of Object.entries(operation.options)) {
+            const param = operator.params.find(p => p.name === name);
+            if (!param) throw new Error(`Operator ${operation.name} has no option ${name}`);
+            if (param.type === 'text') continue;
+            operation.options[name] = Number(value);
+            if (!Number.isFinite(operation.options[name])) throw new Error(`${operation.name} ${name} must be a number`);
+        }
+    }
+
+    // Throws on an unknown mode or crossed black and white points
+    new DisplayTransfer({ black: 0, white: 1, ...options.display });
+}
+
+function isSupported(file) {
+    return /\.png$/i.test(file) || RawDecoder.isRawFile({ name: file });
+}
+
+// What an earlier run wrote next to its inputs; not converted again
+function isOutput(file) {
+    return /\.hex\.[^.]+$/i.test(file) || file.toLowerCase().endsWith(HexaImageFormat.FILE_EXTENSION);
+}
+
+/**
+ * Expand the inputs into { file, relative } pairs. `relative` keeps the
+ * directory structure below an input directory when writing to --out.
+ */
+function collectInputs(inputs, recursive) {
+    const files = [];
+
+    const walk = (dir, root) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive) walk(file, root);
+            } else if (isSupported(entry.name) && !isOutput(entry.name)) {
+                files.push({ file, relative: path.relative(root, file) });
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        if (fs.statSync(input).isDirectory()) {
+            walk(input, input);
+        } else {
+            files.push({ file: input, relative: path.basename(input) });
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Decode an input into the source the converter samples, the full-precision
+ * reference used for round-trip metrics and the default display settings,
+ * as the page does.
+ */
+function readSource(file, bayer) {
+    const bytes = fs.readFileSync(file);
+
+    if (PngCodec.isPNG(bytes)) {
+        const image = PngCodec.decode(bytes);
+        return {
+            source: image,
+            reference: image,
+            type: 'image/png',
+            description: `PNG, ${image.bitDepth}-bit ${HexaImageFormat.LAYOUTS[image.channels]}`,
+            display: { ...DisplayTransfer.DEFAULTS }
+        };
+    }
+
+    if (RawDecoder.isRawFile({ name: file })) {
+        const raw = RawDecoder.decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        const image = RawDecoder.toImage(raw);
+        return {
+            source: bayer && raw.cfa ? raw : image,
+            reference: image,
+            // Sensor codes peak at the white level rather than the 16-bit maximum
+            peak: raw.cfa ? undefined : raw.whiteLevel,
+            type: raw.format,
+            description: RawDecoder.describe(raw),
+            display: DisplayTransfer.defaultsForRaw(raw)
+        };
+    }
+
+    throw new Error('Unsupported input (PNG and DNG/TIFF/CR2/NEF raw files are supported)');
+}
+
+async function convertFile({ file, relative }, options) {
+    const timings = {};
+    let started = Date.now();
+
+    const { source, reference, peak, type, description, display } = readSource(file, options.bayer);
+    const transfer = new DisplayTransfer({ ...display, ...options.display });
+    timings.decode = Date.now() - started;
+
+    started = Date.now();
+    const kernel = ResamplingKernels.create(options.kernel, options.kernelOptions);
+    // Regions are clipped to each input; one covering the whole frame is dropped
+    let roi;
+    try {
+        roi = HexConverterCore.clampRegion(options.roi, source.width, source.height);
+    } catch (error) {
+        error.invalidRegion = true;
+        throw error;
+    }
+    const area = roi || { x: 0, y: 0, width: source.width, height: source.height };
+    const sampled = HexConverterCore.createLattice(source.width, source.height, {
+        orientation: options.orientation,
+        sizingMode: options.sizingMode,
+        sizingValue: options.sizingValue,
+        region: roi,
+        ...HexConverterCore.outputFormat(source)
+    });
+    // Inputs of one size share a cached resampling plan, so later ones are a plain gather
+    const resamplingPlan = ResamplingPlan.convert(source, sampled, kernel);
+    timings.convert = Date.now() - started;
+
+    // Metrics describe the sampling, so they are taken before any operators
+    let roundTrip = null;
+    if (options.metrics) {
+        started = Date.now();
+        const { metrics } = HexConverterCore.evaluateRoundTrip(reference, sampled, peak, roi);
+        roundTrip = metrics;
+        timings.metrics = Date.now() - started;
+    }
+
+    let grid = sampled;
+    if (options.operations.length > 0) {
+        started = Date.now();
+        for (const { name, options: operatorOptions } of options.operations) {
+            grid = HexOperators.apply(grid, name, operatorOptions);
+        }
+        timings.operators = Date.now() - started;
+    }
+
+    const outDir = options.out ? path.join(options.out, path.dirname(relative)) : path.dirname(file);
+    const baseName = path.join(outDir, path.basename(file).replace(/\.[^.]+$/, ''));
+    fs.mkdirSync(outDir, { recursive: true });
+
+    started = Date.now();
+    const outputs = [];
+    const stat = fs.statSync(file);
+    const sourceInfo = {
+        name: path.basename(file),
+        type,
+        width: source.width,
+        height: source.height,
+        lastModified: Math.round(stat.mtimeMs)
+    };
+
+    if (options.formats.includes('hxi')) {
+        const output = baseName + HexaImageFormat.FILE_EXTENSION;
+        fs.writeFileSync(output, await HexaImageFormat.encode(grid, {
+            kernel,
+            source: sourceInfo,
+            roi,
+            display: transfer.settings,
+            operations: options.operations
+        }));
+        outputs.push(output);
+    }
+    if (options.formats.includes('png')) {
+        const output = baseName + '.hex.png';
+        fs.writeFileSync(output, PngCodec.encode(grid.toRaster(transfer)));
+        outputs.push(output);
+    }
+    if (options.formats.includes('svg')) {
+        const output = baseName + '.hex.svg';
+        fs.writeFileSync(output, HexExport.toSVG(grid, { transfer, merge: options.mergeRegions }));
+        outputs.push(output);
+    }
+    if (options.formats.includes('csv')) {
+        const output = baseName + '.hex.csv';
+        fs.writeFileSync(output, HexExport.toCSV(grid));
+        outputs.push(output);
+    }
+    if (options.formats.includes('json')) {
+        const output = baseName + '.hex.json';
+        fs.writeFileSync(output, HexExport.toJSON(grid, {
+            source: sourceInfo,
+            roi,
+            kernel: { name: kernel.name, options: kernel.options },
+            operations: options.operations
+        }));
+        outputs.push(output);
+    }
+    if (options.formats.includes('tiff')) {
+        const output = baseName + '.hex.tif';
+        fs.writeFileSync(output, TiffCodec.encode(HexExport.resample(grid, area, options.tiffWidth || area.width)));
+        outputs.push(output);
+    }
+    timings.encode = Date.now() - started;
+
+    const stats = HexConverterCore.samplingStats(area.width, area.height, grid);
+    const summary = {
+        input: file,
+        outputs,
+        source: { ...sourceInfo, description },
+        // Converted region in source pixels, null for the whole frame
+        roi,
+        lattice: grid.geometry(),
+        samples: {
+            type: HexaImageFormat.sampleTypeOf(grid.data),
+            layout: HexaImageFormat.LAYOUTS[grid.channels]
+        },
+        cellCount: stats.cellCount,
+        pixelRatio: stats.pixelRatio,
+        samplingDensity: stats.density,
+        kernel: { name: kernel.name, label: kernel.label, options: kernel.options },
+        // 'built', 'cached', or null for kernels sampled without a plan
+        resamplingPlan,
+        operations: options.operations,
+        display: transfer.settings,
+        // JSON has no Infinity, so a lossless round trip reports psnr: null
+        roundTrip,
+        timings,
+        created: new Date().toISOString()
+    };
+
+    // Its own suffix, so no export of another input can share the name
+    const summaryFile = baseName + '.summary.json';
+    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2) + '\n');
+    return { summary, summaryFile };
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    if (options.command === 'kernels') {
+        for (const { name, label, params } of ResamplingKernels.list()) {
+            const extra = params.map(p => ` --${p.name} <${p.min}-${p.max}, default ${p.default}>`).join('');
+            console.log(`${name.padEnd(12)} ${label}${extra}`);
+        }
+        return 0;
+    }
+
+    if (options.command === 'operators') {
+        for (const { name, label, params } of HexOperators.list()) {
+            const extra = params.map(p => (p.type === 'text'
+                ? ` :${p.name}=<${p.hint.toLowerCase()}>`
+                : ` :${p.name}=<${p.min}-${p.max}, default ${p.default}>`)).join('');
+            console.log(`${name.padEnd(12)} ${label}${extra}`);
+        }
+        return 0;
+    }
+
+    if (options.command !== 'convert') {
+        throw new Error(`Unknown command: ${options.command}`);
+    }
+
+    validateOptions(options);
+    const files = collectInputs(options.inputs, options.recursive);
+    if (files.length === 0) {
+        throw new Error('No input files');
+    }
+
+    let failures = 0;
+    let misplaced = 0;
+    for (const entry of files) {
+        try {
+            const { summary, summaryFile } = await convertFile(entry, options);
+            const psnr = summary.roundTrip
+                ? ` PSNR ${Number.isFinite(summary.roundTrip.psnr) ? summary.roundTrip.psnr.toFixed(2) + ' dB' : '∞'}`
+                : '';
+            console.log(`${entry.file} → ${summary.lattice.columns}×${summary.lattice.rows} cells${psnr} (${summaryFile})`);
+        } catch (error) {
+            failures++;
+            if (error.invalidRegion) misplaced++;
+            console.error(`${entry.file}: ${error.message}`);
+        }
+    }
+
+    // A --roi off an input is a usage error, like any other bad option
+    return misplaced > 0 ? 2 : failures > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+        console.error(`hexaimage: ${error.message}`);
+        process.exitCode = 2;
+    }
+);
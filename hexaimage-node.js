@@ -0,0 +1,34 @@
+/**
+ * HexaImage headless API for Node.js
+ *
+ * The library files are classic browser scripts that find each other through
+ * the global scope, so they are loaded here in page order and each class is
+ * published on globalThis, just as the <script> tags do in index.html.
+ *
+ *   const { HexConverterCore, HexaImageFormat, PngCodec } = require('./hexaimage-node.js');
+ *   const image = PngCodec.decode(fs.readFileSync('in.png'));
+ *   const { grid, kernel } = HexConverterCore.convert(image, { kernel: 'lanczos3', sizingMode: 'pitch', sizingValue: 2 });
+ *   fs.writeFileSync('out.hxi', await HexaImageFormat.encode(grid, { kernel }));
+ */
+
+const api = {
+    HexGrid: require('./hexgrid.js'),
+    ResamplingKernels: require('./kernels.js'),
+    ImageMetrics: require('./metrics.js'),
+    HexaImageFormat: require('./hxiformat.js'),
+    RawDecoder: require('./rawdecoder.js'),
+    HexConverterCore: require('./hexcore.js'),
+    ResamplingPlan: require('./resampleplan.js'),
+    HexOperators: require('./hexops.js'),
+    TestTargets: require('./targets.js'),
+    SpectralAnalysis: require('./spectrum.js'),
+    DisplayTransfer: require('./transfer.js'),
+    HexExport: require('./hexexport.js'),
+    TiffCodec: require('./tiffcodec.js'),
+    PngCodec: require('./pngcodec.js'),
+    ZipArchive: require('./ziparchive.js')
+};
+
+Object.assign(globalThis, api);
+
+module.exports = api;
@@ -8,7 +8,14 @@
 class HexaImageConverter {
     constructor() {
         this.originalImage = null;
-        this.hexagonalImage = null;
+        this.hexGrid = null;
+        this.hexRaster = null;
+        this.sourceImageData = null;
+        this.sourceFile = null;
+        this.rawImage = null;
+        this.hexHeader = null;
+        this.reconstruction = null;
+        this.roundTripMetrics = null;
         this.originalCanvas = null;
         this.hexCanvas = null;
         this.originalCtx = null;
@@ -28,14 +35,142 @@ class HexaImageConverter {
         this.hexIsPanning = false;
         this.hexLastPanPoint = null;
         
+        // Zoom limits, relative to the whole frame fitting the viewer; a
+        // larger maximum gets close enough to inspect single cells
+        this.minZoom = 0.1;
+        this.maxZoom = 5;
+        // Two-finger gesture in progress: { type, distance, center }
+        this.pinch = null;
+        
+        // Linked viewers follow each other to the same source location
+        this.syncViews = true;
+        
+        // Hex viewer overlay: 'hex', 'swipe', 'onion' or 'difference'
+        this.compareMode = 'hex';
+        this.compareAmount = 0.5;
+        this.differenceCanvas = null;
+        this.differenceMax = 0;
+        
+        // Hover inspector: the cell or source pixel under the pointer
+        this.inspection = null;
+        
+        // Hex cell rendering: true hexagons above this on-screen cell size (px)
+        this.hexCellThreshold = 12;
+        this.hexShowOutlines = false;
+        
+        // Resampling kernel used for CCD to hex conversion
+        this.kernelName = 'window3x3';
+        this.kernelOptions = {};
+        this.hexKernel = null;
+        this.hexSource = null;
+        // How the last conversion sampled: time, workers, resampling plan use
+        this.samplingBenchmark = null;
+        
+        // Lattice operators applied after sampling, and the grid they started from
+        this.operatorName = 'gaussian';
+        this.operatorOptions = {};
+        this.hexOperations = [];
+        this.hexBase = null;
+        
+        // Power spectra of source and lattice; kept up to date once computed
+        this.spectra = null;
+        
+        // Raw CFA inputs are sampled straight from the Bayer mosaic when enabled
+        this.bayerSampling = true;
+        
+        // Lattice geometry: orientation plus one sizing value per mode
+        this.latticeOrientation = 'pointy';
+        this.sizingMode = 'density';
+        this.sizingValues = { pitch: 2, cells: 250000, density: 1 };
+        
+        // Cell sample type: 'source' keeps the source's, or a HexaImageFormat.SAMPLE_TYPES key
+        this.sampleType = 'source';
+        
+        // Region of interest { x, y, width, height } in source pixels, null for
+        // the whole frame; kept for the next file, clipped to its size. The
+        // region the lattice on show was converted from is hexRoi
+        this.roi = null;
+        this.roiAspect = 'free';
+        this.roiSelecting = false;
+        this.roiDrag = null;
+        this.hexRoi = null;
+        
+        // Stored samples keep full precision; this only shapes what is shown
+        this.displaySettings = { ...DisplayTransfer.DEFAULTS };
+        this.displayTransfer = new DisplayTransfer(this.displaySettings);
+        
+        // Settings are remembered in localStorage. A preset's display stretch,
+        // when it has one, replaces each file's default stretch
+        this.displayPreset = null;
+        this.activePreset = '';
+        this.defaultSettings = null;
+        
+        // Imported session still to reproduce: lattice operations, then the view
+        this.pendingSession = null;
+        
+        // Conversion runs in a pool of workers, one band of lattice rows at a time
+        this.workers = [];
+        this.workerCount = Math.max(1, Math.min(8, (navigator.hardwareConcurrency || 2) - 1));
+        this.workersAvailable = typeof Worker !== 'undefined';
+        this.activeJob = null;
+        this.jobCounter = 0;
+        this.processingRun = 0;
+        
+        // Batch queue: one entry per dropped file, converted in order; the
+        // viewers show the active entry's result
+        this.queue = [];
+        this.activeEntry = null;
+        this.entryCounter = 0;
+        this.queueRunning = false;
+        this.queueCancelled = false;
+        // Counts reset() calls, so loads still decoding can tell they are stale
+        this.loadGeneration = 0;
+        
+        // Videos and image sequences: the decoded frames, the lattice of each
+        // and the frame on show, which the single-image fields then hold
+        this.sourceFrames = null;
+        this.hexFrames = null;
+        this.frameIndex = 0;
+        this.playbackTimer = null;
+        
         this.processingStartTime = null;
         
         this.init();
     }
     
     init() {
+        // The constructor's values back the "Default settings" entry
+        this.defaultSettings = this.getSettings();
+        this.loadStoredSettings();
+        
         this.setupEventListeners();
         this.setupCanvases();
+        this.setupKernelSettings();
+        this.setupLatticeSettings();
+        this.setupRoiSettings();
+        this.setupDisplaySettings();
+        this.setupOperatorSettings();
+        this.setupTestTargets();
+        this.setupSpectrumAnalysis();
+        this.setupPresets();
+        
+        const bayerToggle = document.getElementById('bayerSampling');
+        if (bayerToggle) {
+            bayerToggle.checked = this.bayerSampling;
+            bayerToggle.addEventListener('change', () => {
+                this.bayerSampling = bayerToggle.checked;
+                this.settingsChanged(Boolean(this.rawImage?.cfa));
+            });
+        }
+        
+        const sampleTypeSelect = document.getElementById('sampleType');
+        if (sampleTypeSelect) {
+            sampleTypeSelect.value = this.sampleType;
+            sampleTypeSelect.addEventListener('change', () => {
+                this.sampleType = sampleTypeSelect.value;
+                this.settingsChanged();
+            });
+        }
     }
     
     setupEventListeners() {
@@ -52,17 +187,44 @@ class HexaImageConverter {
         
         // Control buttons
         document.getElementById('downloadBtn')?.addEventListener('click', () => this.downloadHexImage());
+        document.getElementById('downloadHxiBtn')?.addEventListener('click', () => this.downloadHexContainer());
         document.getElementById('resetBtn')?.addEventListener('click', () => this.reset());
+        document.getElementById('cancelBtn')?.addEventListener('click', () => this.cancelQueue());
+        document.getElementById('downloadAllBtn')?.addEventListener('click', () => this.downloadAll());
+        document.getElementById('downloadWebmBtn')?.addEventListener('click', () => this.downloadFramesVideo());
+        document.getElementById('exportFormat')?.addEventListener('change', () => this.updateExportControls());
+        document.getElementById('tiffWidth')?.addEventListener('input', () => this.updateExportControls());
+        
+        // Frame timeline: dragging shows frames quickly, letting go evaluates the frame
+        const frameSlider = document.getElementById('frameSlider');
+        document.getElementById('playFrames')?.addEventListener('click', () => this.togglePlayback());
+        frameSlider?.addEventListener('input', () => {
+            this.stopPlayback(false);
+            this.showFrame(Number(frameSlider.value), false);
+        });
+        frameSlider?.addEventListener('change', () => this.showFrame(Number(frameSlider.value)));
         
         // Zoom controls for original image
         document.getElementById('zoomInOriginal')?.addEventListener('click', () => this.zoomOriginal(1.2));
         document.getElementById('zoomOutOriginal')?.addEventListener('click', () => this.zoomOriginal(0.8));
+        document.getElementById('actualSizeOriginal')?.addEventListener('click', () => this.showActualPixels('original'));
         document.getElementById('resetViewOriginal')?.addEventListener('click', () => this.resetOriginalView());
         
         // Zoom controls for hex image
         document.getElementById('zoomInHex')?.addEventListener('click', () => this.zoomHex(1.2));
         document.getElementById('zoomOutHex')?.addEventListener('click', () => this.zoomHex(0.8));
+        document.getElementById('actualSizeHex')?.addEventListener('click', () => this.showActualPixels('hex'));
         document.getElementById('resetViewHex')?.addEventListener('click', () => this.resetHexView());
+        document.getElementById('toggleOutlinesHex')?.addEventListener('click', () => this.toggleHexOutlines());
+        document.getElementById('toggleSync')?.addEventListener('click', () => this.toggleSyncViews());
+        document.getElementById('maxZoom')?.addEventListener('change', (e) => this.setMaxZoom(Number(e.target.value)));
+        
+        // Comparison overlay in the hex viewer
+        document.getElementById('compareMode')?.addEventListener('change', (e) => this.setCompareMode(e.target.value));
+        document.getElementById('compareAmount')?.addEventListener('input', (e) => {
+            this.compareAmount = Number(e.target.value) / 100;
+            this.drawHexImage();
+        });
     }
     
     setupCanvases() {
@@ -80,358 +242,2911 @@ class HexaImageConverter {
         }
     }
     
-    setupCanvasInteraction(canvas, type) {
-        // Mouse events for panning
-        canvas.addEventListener('mousedown', (e) => this.startPan(e, type));
-        canvas.addEventListener('mousemove', (e) => this.pan(e, type));
-        canvas.addEventListener('mouseup', () => this.endPan(type));
-        canvas.addEventListener('mouseleave', () => this.endPan(type));
+    setupKernelSettings() {
+        const select = document.getElementById('kernelSelect');
+        if (!select) return;
         
-        // Wheel event for zooming
-        canvas.addEventListener('wheel', (e) => this.handleWheel(e, type));
+        ResamplingKernels.list().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.kernelName;
         
-        // Touch events for mobile
-        canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e, type));
-        canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e, type));
-        canvas.addEventListener('touchend', () => this.endPan(type));
+        select.addEventListener('change', () => {
+            this.kernelName = select.value;
+            this.kernelOptions = {};
+            this.renderKernelParams();
+            this.settingsChanged();
+        });
+        
+        this.renderKernelParams();
     }
     
-    handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.processFile(file);
+    renderKernelParams() {
+        const container = document.getElementById('kernelParams');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const definition = ResamplingKernels.list().find(kernel => kernel.name === this.kernelName);
+        
+        definition.params.forEach(param => {
+            const label = document.createElement('label');
+            label.textContent = `${param.label}:`;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = this.kernelOptions[param.name] ?? param.default;
+            this.kernelOptions[param.name] = Number(input.value);
+            
+            input.addEventListener('change', () => {
+                const value = Math.max(param.min, Math.min(param.max, Number(input.value) || param.default));
+                input.value = value;
+                this.kernelOptions[param.name] = value;
+                this.settingsChanged();
+            });
+            
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+    }
+    
+    setupLatticeSettings() {
+        const orientationSelect = document.getElementById('orientationSelect');
+        const sizingSelect = document.getElementById('sizingMode');
+        const sizingInput = document.getElementById('sizingValue');
+        if (!orientationSelect || !sizingSelect || !sizingInput) return;
+        
+        orientationSelect.value = this.latticeOrientation;
+        sizingSelect.value = this.sizingMode;
+        sizingInput.value = this.sizingValues[this.sizingMode];
+        
+        orientationSelect.addEventListener('change', () => {
+            this.latticeOrientation = orientationSelect.value;
+            this.settingsChanged();
+        });
+        
+        sizingSelect.addEventListener('change', () => {
+            this.sizingMode = sizingSelect.value;
+            sizingInput.value = this.sizingValues[this.sizingMode];
+            this.settingsChanged();
+        });
+        
+        sizingInput.addEventListener('change', () => {
+            const value = Number(sizingInput.value);
+            if (!(value > 0)) {
+                sizingInput.value = this.sizingValues[this.sizingMode];
+                return;
+            }
+            this.sizingValues[this.sizingMode] = value;
+            this.settingsChanged();
+        });
+    }
+    
+    setupRoiSettings() {
+        const selectButton = document.getElementById('selectRoi');
+        if (!selectButton) return;
+        
+        selectButton.addEventListener('click', () => this.setRoiSelecting(!this.roiSelecting));
+        document.getElementById('clearRoi').addEventListener('click', () => {
+            this.setRoiSelecting(false);
+            this.setRoi(null);
+        });
+        
+        const aspectSelect = document.getElementById('roiAspect');
+        aspectSelect.value = this.roiAspect;
+        aspectSelect.addEventListener('change', () => {
+            this.roiAspect = aspectSelect.value;
+            this.setRoi(this.lockRoiAspect(this.roi, 'width'));
+        });
+        
+        // Typing a size keeps the other side at the locked aspect ratio
+        HexaImageConverter.ROI_FIELDS.forEach(({ id, key }) => {
+            document.getElementById(id).addEventListener('change', () => {
+                const values = Object.fromEntries(HexaImageConverter.ROI_FIELDS.map(field => [
+                    field.key, Number(document.getElementById(field.id).value)
+                ]));
+                if (!values.width || !values.height) {
+                    this.syncRoiControls();
+                    return;
+                }
+                this.setRoi(this.lockRoiAspect(values, key));
+            });
+        });
+        
+        this.syncRoiControls();
+    }
+    
+    /**
+     * Width / height ratio the region is locked to, or null when free.
+     */
+    getRoiAspect() {
+        if (this.roiAspect === 'source') {
+            const image = this.sourceImageData;
+            return image ? image.width / image.height : null;
         }
+        const [width, height] = this.roiAspect.split(':').map(Number);
+        return width > 0 && height > 0 ? width / height : null;
     }
     
-    handleDragOver(event) {
-        event.preventDefault();
-        event.stopPropagation();
-        document.getElementById('dropZone').classList.add('dragover');
+    /**
+     * `region` with the side that was not `changed` following the locked
+     * aspect ratio.
+     */
+    lockRoiAspect(region, changed) {
+        const aspect = this.getRoiAspect();
+        if (!region || !aspect) return region;
+        return changed === 'height'
+            ? { ...region, width: Math.max(1, Math.round(region.height * aspect)) }
+            : { ...region, height: Math.max(1, Math.round(region.width / aspect)) };
     }
     
-    handleDragLeave(event) {
-        event.preventDefault();
-        event.stopPropagation();
-        document.getElementById('dropZone').classList.remove('dragover');
+    /**
+     * The region of interest clipped to the source on show, or null for the
+     * whole frame. A region that misses this source (kept from a larger one)
+     * is also null here; converting reports it.
+     */
+    getRoi() {
+        const image = this.sourceImageData;
+        if (!image) return this.roi;
+        try {
+            return HexConverterCore.clampRegion(this.roi, image.width, image.height);
+        } catch (error) {
+            return null;
+        }
     }
     
-    handleDrop(event) {
-        event.preventDefault();
-        event.stopPropagation();
-        document.getElementById('dropZone').classList.remove('dragover');
+    /**
+     * Take a new region of interest and convert it, unless it is the region
+     * the lattice on show already covers.
+     */
+    setRoi(region) {
+        const image = this.sourceImageData;
+        let roi = region;
+        if (image) {
+            try {
+                roi = HexConverterCore.clampRegion(region, image.width, image.height);
+            } catch (error) {
+                // Keep the region in use and say why this one was refused
+                this.syncRoiControls(error.message);
+                return;
+            }
+        }
+        this.roi = roi;
+        this.syncRoiControls();
+        this.drawOriginalImage();
         
-        const files = event.dataTransfer.files;
-        if (files.length > 0 && files[0].type.startsWith('image/')) {
-            this.processFile(files[0]);
+        const current = this.hexGrid ? JSON.stringify(this.hexRoi) : null;
+        if (JSON.stringify(this.roi) !== current) this.reconvert();
+    }
+    
+    // Why the region in use cannot be converted on the source on show, or null
+    getRoiProblem() {
+        const image = this.sourceImageData;
+        try {
+            if (image) HexConverterCore.clampRegion(this.roi, image.width, image.height);
+            return null;
+        } catch (error) {
+            return error.message;
         }
     }
     
-    processFile(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                this.originalImage = img;
-                this.startProcessing();
-            };
-            img.src = e.target.result;
+    setRoiSelecting(selecting) {
+        this.roiSelecting = selecting;
+        this.roiDrag = null;
+        const button = document.getElementById('selectRoi');
+        button?.classList.toggle('active', selecting);
+        button?.setAttribute('aria-pressed', String(selecting));
+        this.originalCanvas?.classList.toggle('selecting', selecting);
+        this.syncRoiControls();
+    }
+    
+    syncRoiControls(problem = this.getRoiProblem()) {
+        const info = document.getElementById('roiInfo');
+        if (!info) return;
+        
+        const image = this.sourceImageData;
+        const roi = this.getRoi();
+        const shown = roi || (image ? { x: 0, y: 0, width: image.width, height: image.height } : null);
+        HexaImageConverter.ROI_FIELDS.forEach(({ id, key }) => {
+            document.getElementById(id).value = shown ? shown[key] : '';
+        });
+        document.getElementById('roiAspect').value = this.roiAspect;
+        
+        if (this.roiSelecting) {
+            info.textContent = 'Drag on the original image to select a region';
+        } else if (problem) {
+            info.textContent = problem;
+        } else if (roi && image) {
+            info.textContent = `${(roi.width * roi.height / (image.width * image.height) * 100).toFixed(1)}% of the frame`;
+        } else {
+            info.textContent = roi ? '' : 'Whole frame';
+        }
+    }
+    
+    setupDisplaySettings() {
+        const modeSelect = document.getElementById('displayTransfer');
+        if (!modeSelect) return;
+        
+        const inputs = {
+            black: document.getElementById('displayBlack'),
+            white: document.getElementById('displayWhite'),
+            gamma: document.getElementById('displayGamma')
         };
-        reader.readAsDataURL(file);
+        
+        modeSelect.addEventListener('change', () => {
+            this.setDisplaySettings({ ...this.displaySettings, mode: modeSelect.value });
+        });
+        
+        Object.entries(inputs).forEach(([name, input]) => {
+            input.addEventListener('change', () => {
+                const settings = { ...this.displaySettings, [name]: Number(input.value) };
+                const valid = settings.white > settings.black && settings.gamma > 0;
+                this.setDisplaySettings(valid ? settings : this.displaySettings);
+            });
+        });
+        
+        this.syncDisplayControls();
     }
     
-    async startProcessing() {
-        this.processingStartTime = performance.now();
-        this.showProcessingStatus();
+    syncDisplayControls() {
+        const modeSelect = document.getElementById('displayTransfer');
+        if (!modeSelect) return;
         
-        // Small delay to allow UI to update
-        await new Promise(resolve => setTimeout(resolve, 100));
+        // Black and white points are fractions of the sample type's full scale
+        modeSelect.value = this.displaySettings.mode;
+        document.getElementById('displayBlack').value = Number(this.displaySettings.black.toFixed(5));
+        document.getElementById('displayWhite').value = Number(this.displaySettings.white.toFixed(5));
+        document.getElementById('displayGamma').value = this.displaySettings.gamma;
+        document.getElementById('displayGamma').disabled = this.displaySettings.mode !== 'gamma';
+    }
+    
+    setDisplaySettings(settings) {
+        this.displaySettings = { ...settings };
+        this.displayTransfer = new DisplayTransfer(this.displaySettings);
+        this.syncDisplayControls();
         
-        try {
-            await this.convertToHexagonal();
-            this.showResults();
-        } catch (error) {
-            console.error('Error processing image:', error);
-            alert('Error processing image. Please try again with a different image.');
-            this.hideProcessingStatus();
+        // Re-render both views from the stored samples
+        if (this.sourceImageData) {
+            this.originalImage = this.renderSourceImage(this.sourceImageData);
+            this.drawOriginalImage();
+        }
+        if (this.hexGrid) {
+            this.hexRaster = this.createHexRaster(this.hexGrid);
+            this.drawHexImage();
         }
     }
     
-    showProcessingStatus() {
-        document.getElementById('statusSection').style.display = 'block';
-        document.getElementById('resultsSection').style.display = 'none';
+    /**
+     * The conversion settings a preset, session or the stored last-used state
+     * holds. `display` is a preset's stretch, or null for per-file defaults.
+     */
+    getSettings() {
+        return {
+            kernel: { name: this.kernelName, options: { ...this.kernelOptions } },
+            orientation: this.latticeOrientation,
+            sizing: { mode: this.sizingMode, values: { ...this.sizingValues } },
+            bayerSampling: this.bayerSampling,
+            sampleType: this.sampleType,
+            display: this.displayPreset && { ...this.displayPreset }
+        };
+    }
+    
+    /**
+     * Take over saved settings. Everything is checked before anything is
+     * changed, so a bad file leaves the current settings alone; missing
+     * fields keep their current value and kernel parameters outside their
+     * range fall back to the kernel's default.
+     */
+    setSettings(settings) {
+        const { kernel, orientation, sizing, bayerSampling, sampleType, display } = settings || {};
+        const next = {};
         
-        // Animate progress bar
-        let progress = 0;
-        const progressBar = document.getElementById('progressFill');
-        const statusText = document.getElementById('statusText');
+        if (kernel !== undefined) {
+            const definition = ResamplingKernels.list().find(entry => entry.name === kernel?.name);
+            if (!definition) {
+                throw new Error(`Unknown resampling kernel: ${kernel?.name}`);
+            }
+            next.kernelName = definition.name;
+            next.kernelOptions = {};
+            definition.params.forEach(param => {
+                const value = Number(kernel.options?.[param.name]);
+                next.kernelOptions[param.name] = value >= param.min && value <= param.max ? value : param.default;
+            });
+        }
         
-        const updateProgress = () => {
-            progress += Math.random() * 15;
-            if (progress > 90) progress = 90;
-            progressBar.style.width = progress + '%';
-            
-            if (progress < 30) {
-                statusText.textContent = 'Analyzing image structure...';
-            } else if (progress < 60) {
-                statusText.textContent = 'Sampling 3×3 windows...';
-            } else {
-                statusText.textContent = 'Generating hexagonal grid...';
+        if (orientation !== undefined) {
+            if (!HexGrid.ORIENTATIONS.includes(orientation)) {
+                throw new Error(`Unknown lattice orientation: ${orientation}`);
             }
-            
-            if (progress < 90) {
-                setTimeout(updateProgress, 50 + Math.random() * 100);
+            next.latticeOrientation = orientation;
+        }
+        
+        if (sizing !== undefined) {
+            if (!(sizing?.mode in this.sizingValues)) {
+                throw new Error(`Unknown lattice sizing: ${sizing?.mode}`);
+            }
+            next.sizingMode = sizing.mode;
+            next.sizingValues = { ...this.sizingValues };
+            Object.keys(next.sizingValues).forEach(mode => {
+                const value = Number(sizing.values?.[mode]);
+                if (value > 0) next.sizingValues[mode] = value;
+            });
+        }
+        
+        if (bayerSampling !== undefined) {
+            next.bayerSampling = Boolean(bayerSampling);
+        }
+        
+        if (sampleType !== undefined) {
+            if (sampleType !== 'source' && !(sampleType in HexaImageFormat.SAMPLE_TYPES)) {
+                throw new Error(`Unsupported sample type: ${sampleType}`);
             }
+            next.sampleType = sampleType;
+        }
+        
+        if (display !== undefined) {
+            if (display && !(display.gamma > 0)) {
+                throw new Error('Display gamma must be positive');
+            }
+            next.displayPreset = display ? new DisplayTransfer(display).settings : null;
+        }
+        
+        Object.assign(this, next);
+    }
+    
+    /**
+     * Show the current settings in the conversion controls.
+     */
+    syncSettingsControls() {
+        const controls = {
+            kernelSelect: this.kernelName,
+            orientationSelect: this.latticeOrientation,
+            sizingMode: this.sizingMode,
+            sizingValue: this.sizingValues[this.sizingMode],
+            sampleType: this.sampleType
         };
+        Object.entries(controls).forEach(([id, value]) => {
+            const control = document.getElementById(id);
+            if (control) control.value = value;
+        });
         
-        updateProgress();
+        const bayerToggle = document.getElementById('bayerSampling');
+        if (bayerToggle) bayerToggle.checked = this.bayerSampling;
+        this.renderKernelParams();
     }
     
-    hideProcessingStatus() {
-        document.getElementById('statusSection').style.display = 'none';
+    /**
+     * A conversion control changed: the settings no longer match a preset.
+     * Pass `convert = false` when the change does not affect the image on show.
+     */
+    settingsChanged(convert = true) {
+        this.activePreset = '';
+        this.saveSettings();
+        this.updatePresetControls();
+        if (convert) this.reconvert();
     }
     
-    async convertToHexagonal() {
-        const originalWidth = this.originalImage.width;
-        const originalHeight = this.originalImage.height;
-        
-        // Create temporary canvas to extract pixel data
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = originalWidth;
-        tempCanvas.height = originalHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.drawImage(this.originalImage, 0, 0);
-        
-        const imageData = tempCtx.getImageData(0, 0, originalWidth, originalHeight);
-        const pixels = imageData.data;
-        
-        // Calculate hexagonal grid dimensions
-        // Hexagonal grid has fewer pixels due to efficient packing
-        const hexWidth = Math.floor(originalWidth * 0.85);
-        const hexHeight = Math.floor(originalHeight * 0.9);
-        
-        // Create result canvas for hexagonal image
-        const hexImageData = tempCtx.createImageData(hexWidth, hexHeight);
-        const hexPixels = hexImageData.data;
-        
-        // Process each hexagonal pixel
-        for (let hexY = 0; hexY < hexHeight; hexY++) {
-            for (let hexX = 0; hexX < hexWidth; hexX++) {
-                const hexColor = this.calculateHexagonalPixel(pixels, originalWidth, originalHeight, hexX, hexY, hexWidth, hexHeight);
-                
-                const hexIndex = (hexY * hexWidth + hexX) * 4;
-                hexPixels[hexIndex] = hexColor.r;
-                hexPixels[hexIndex + 1] = hexColor.g;
-                hexPixels[hexIndex + 2] = hexColor.b;
-                hexPixels[hexIndex + 3] = 255; // Alpha
-            }
-            
-            // Update progress occasionally
-            if (hexY % Math.floor(hexHeight / 10) === 0) {
-                await new Promise(resolve => setTimeout(resolve, 1));
-            }
+    /**
+     * Switch to a full set of settings and rerun the image on show.
+     * Returns false, after telling the user, when they cannot be used.
+     */
+    applySettings(settings, preset = '') {
+        try {
+            this.setSettings(settings);
+        } catch (error) {
+            alert(`Could not apply the settings: ${error.message}`);
+            return false;
         }
         
-        // Create final hexagonal image
-        tempCanvas.width = hexWidth;
-        tempCanvas.height = hexHeight;
-        tempCtx.putImageData(hexImageData, 0, 0);
+        this.activePreset = preset;
+        this.syncSettingsControls();
+        this.saveSettings();
+        this.updatePresetControls();
+        if (this.displayPreset && (this.sourceImageData || this.hexGrid)) {
+            this.setDisplaySettings(this.displayPreset);
+        }
+        this.reconvert();
+        return true;
+    }
+    
+    loadStoredSettings() {
+        const stored = this.readStorage(HexaImageConverter.STORAGE_KEYS.settings);
+        if (!stored) return;
         
-        // Convert to Image object
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                this.hexagonalImage = img;
-                resolve();
-            };
-            img.src = tempCanvas.toDataURL();
+        try {
+            this.setSettings(stored.settings);
+            this.activePreset = stored.preset || '';
+        } catch (error) {
+            console.warn('Ignoring stored settings:', error.message);
+        }
+    }
+    
+    saveSettings() {
+        this.writeStorage(HexaImageConverter.STORAGE_KEYS.settings, {
+            settings: this.getSettings(),
+            preset: this.activePreset
         });
     }
     
-    calculateHexagonalPixel(pixels, originalWidth, originalHeight, hexX, hexY, hexWidth, hexHeight) {
-        // Map hexagonal coordinates to orthogonal coordinates
-        const scaleX = originalWidth / hexWidth;
-        const scaleY = originalHeight / hexHeight;
+    // localStorage can be missing or full (private windows, file:// pages);
+    // settings then last only as long as the page
+    readStorage(key) {
+        try {
+            const text = localStorage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn(`Could not read ${key}:`, error.message);
+            return null;
+        }
+    }
+    
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save ${key}:`, error.message);
+        }
+    }
+    
+    getPresets() {
+        return this.readStorage(HexaImageConverter.STORAGE_KEYS.presets) || {};
+    }
+    
+    setupPresets() {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
         
-        // Add hexagonal offset for staggered rows
-        const hexOffset = (hexY % 2) * 0.5;
-        const centerX = Math.round((hexX + hexOffset) * scaleX);
-        const centerY = Math.round(hexY * scaleY);
+        select.addEventListener('change', () => this.selectPreset(select.value));
+        document.getElementById('savePreset').addEventListener('click', () => this.savePreset());
+        document.getElementById('deletePreset').addEventListener('click', () => this.deletePreset());
+        document.getElementById('exportSession').addEventListener('click', () => this.exportSession());
+        
+        const sessionInput = document.getElementById('sessionInput');
+        document.getElementById('importSession').addEventListener('click', () => sessionInput.click());
+        sessionInput.addEventListener('change', () => {
+            const [file] = sessionInput.files;
+            sessionInput.value = '';
+            if (file) this.importSession(file);
+        });
         
-        // Sample 3×3 window around center point
-        let centerWeight = 0.5;
-        let outerWeight = 0.5 / 8; // Distribute remaining 50% among 8 outer pixels
+        this.renderPresets();
+    }
+    
+    renderPresets() {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
         
-        let totalR = 0, totalG = 0, totalB = 0;
-        let totalWeight = 0;
+        // Values: '' for settings changed by hand, 'default', or 'preset:<name>'
+        select.innerHTML = '';
+        const entries = [
+            ['', 'Custom'],
+            ['default', 'Default settings'],
+            ...Object.keys(this.getPresets()).sort().map(name => [`preset:${name}`, name])
+        ];
+        entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.hidden = value === '';
+            select.appendChild(option);
+        });
+        this.updatePresetControls();
+    }
+    
+    updatePresetControls() {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
         
-        // Sample 3×3 window
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                const sampleX = Math.max(0, Math.min(originalWidth - 1, centerX + dx));
-                const sampleY = Math.max(0, Math.min(originalHeight - 1, centerY + dy));
-                
-                const pixelIndex = (sampleY * originalWidth + sampleX) * 4;
-                const r = pixels[pixelIndex];
-                const g = pixels[pixelIndex + 1];
-                const b = pixels[pixelIndex + 2];
-                
-                const weight = (dx === 0 && dy === 0) ? centerWeight : outerWeight;
-                
-                totalR += r * weight;
-                totalG += g * weight;
-                totalB += b * weight;
-                totalWeight += weight;
-            }
+        // A preset deleted in another tab reads as Custom
+        const known = Array.from(select.options).some(option => option.value === this.activePreset);
+        select.value = known ? this.activePreset : '';
+        document.getElementById('deletePreset').disabled = !select.value.startsWith('preset:');
+    }
+    
+    selectPreset(value) {
+        if (value === 'default') {
+            this.applySettings(this.defaultSettings, value);
+            this.setPresetInfo('Default settings');
+            return;
         }
         
-        // Normalize to prevent overflow
-        if (totalWeight > 0) {
-            totalR = Math.round(totalR / totalWeight);
-            totalG = Math.round(totalG / totalWeight);
-            totalB = Math.round(totalB / totalWeight);
+        const name = value.slice('preset:'.length);
+        const preset = this.getPresets()[name];
+        if (!preset) {
+            this.renderPresets();
+            this.setPresetInfo(`Preset "${name}" no longer exists`);
+            return;
+        }
+        if (!this.applySettings(preset, value)) {
+            this.updatePresetControls();
+            return;
         }
+        this.setPresetInfo(`Preset "${name}"`);
+    }
+    
+    savePreset() {
+        const current = this.activePreset.startsWith('preset:') ? this.activePreset.slice('preset:'.length) : '';
+        const name = prompt('Save the current settings as preset:', current)?.trim();
+        if (!name) return;
         
-        return {
-            r: Math.max(0, Math.min(255, totalR)),
-            g: Math.max(0, Math.min(255, totalG)),
-            b: Math.max(0, Math.min(255, totalB))
-        };
+        // With a result on show the preset keeps its stretch; before that,
+        // files it is used on get their own defaults
+        const settings = this.getSettings();
+        if (this.sourceImageData || this.hexGrid) {
+            settings.display = { ...this.displaySettings };
+            this.displayPreset = settings.display;
+        }
+        
+        const presets = this.getPresets();
+        presets[name] = settings;
+        this.writeStorage(HexaImageConverter.STORAGE_KEYS.presets, presets);
+        this.activePreset = `preset:${name}`;
+        this.saveSettings();
+        this.renderPresets();
+        this.setPresetInfo(`Saved preset "${name}"`);
     }
     
-    showResults() {
-        const processingTime = performance.now() - this.processingStartTime;
+    deletePreset() {
+        if (!this.activePreset.startsWith('preset:')) return;
         
-        // Complete progress bar
-        document.getElementById('progressFill').style.width = '100%';
-        document.getElementById('statusText').textContent = 'Conversion complete!';
+        const name = this.activePreset.slice('preset:'.length);
+        if (!confirm(`Delete preset "${name}"?`)) return;
         
-        setTimeout(() => {
-            this.hideProcessingStatus();
-            document.getElementById('resultsSection').style.display = 'block';
-            
-            // Display images in canvases
-            this.displayImages();
-            
-            // Update information
-            this.updateProcessingDetails(processingTime);
-        }, 500);
+        const presets = this.getPresets();
+        delete presets[name];
+        this.writeStorage(HexaImageConverter.STORAGE_KEYS.presets, presets);
+        this.activePreset = '';
+        this.saveSettings();
+        this.renderPresets();
+        this.setPresetInfo(`Deleted preset "${name}"`);
     }
     
-    displayImages() {
-        // Display original image
-        if (this.originalCanvas && this.originalImage) {
-            const canvas = this.originalCanvas;
-            const ctx = this.originalCtx;
+    setPresetInfo(message) {
+        const info = document.getElementById('presetInfo');
+        if (info) info.textContent = message;
+    }
+    
+    setupOperatorSettings() {
+        const select = document.getElementById('operatorSelect');
+        if (!select) return;
+        
+        HexOperators.list().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.operatorName;
+        
+        select.addEventListener('change', () => {
+            this.operatorName = select.value;
+            this.operatorOptions = {};
+            this.renderOperatorParams();
+        });
+        
+        document.getElementById('applyOperator').addEventListener('click', () => this.applyOperator());
+        document.getElementById('revertOperators').addEventListener('click', () => this.revertOperators());
+        
+        this.renderOperatorParams();
+        this.updateOperatorControls();
+    }
+    
+    renderOperatorParams() {
+        const container = document.getElementById('operatorParams');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const definition = HexOperators.list().find(operator => operator.name === this.operatorName);
+        
+        definition.params.forEach(param => {
+            const label = document.createElement('label');
+            label.textContent = `${param.label}:`;
             
-            canvas.width = canvas.offsetWidth * window.devicePixelRatio;
-            canvas.height = canvas.offsetHeight * window.devicePixelRatio;
-            canvas.style.width = canvas.offsetWidth + 'px';
-            canvas.style.height = canvas.offsetHeight + 'px';
-            ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+            const input = document.createElement('input');
+            if (param.type === 'text') {
+                // Free-form values such as convolution weights are checked on apply
+                input.type = 'text';
+                input.title = param.hint || '';
+                input.value = this.operatorOptions[param.name] ?? param.default;
+                this.operatorOptions[param.name] = input.value;
+                input.addEventListener('change', () => {
+                    this.operatorOptions[param.name] = input.value;
+                });
+            } else {
+                input.type = 'number';
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+                input.value = this.operatorOptions[param.name] ?? param.default;
+                this.operatorOptions[param.name] = Number(input.value);
+                input.addEventListener('change', () => {
+                    const value = Math.max(param.min, Math.min(param.max, Number(input.value) || param.default));
+                    input.value = value;
+                    this.operatorOptions[param.name] = value;
+                });
+            }
             
-            this.drawOriginalImage();
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+    }
+    
+    applyOperator() {
+        if (!this.hexGrid || this.hexFrames) return;
+        
+        const options = { ...this.operatorOptions };
+        try {
+            this.hexGrid = HexOperators.apply(this.hexGrid, this.operatorName, options);
+        } catch (error) {
+            alert(error.message);
+            return;
         }
         
-        // Display hexagonal image
-        if (this.hexCanvas && this.hexagonalImage) {
-            const canvas = this.hexCanvas;
-            const ctx = this.hexCtx;
-            
-            canvas.width = canvas.offsetWidth * window.devicePixelRatio;
-            canvas.height = canvas.offsetHeight * window.devicePixelRatio;
-            canvas.style.width = canvas.offsetWidth + 'px';
-            canvas.style.height = canvas.offsetHeight + 'px';
-            ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
-            
-            this.drawHexImage();
+        this.hexOperations.push({ name: this.operatorName, options });
+        this.showOperatorResult();
+    }
+    
+    revertOperators() {
+        if (!this.hexBase) return;
+        
+        this.hexGrid = this.hexBase.grid;
+        this.hexOperations = [...this.hexBase.operations];
+        this.showOperatorResult();
+    }
+    
+    showOperatorResult() {
+        // The inspector's window and the round-trip figures stay those of the sampling
+        this.inspection = null;
+        this.hexRaster = this.createHexRaster(this.hexGrid);
+        this.drawHexImage();
+        this.updateOperatorControls();
+        if (this.spectra) this.analyzeSpectra();
+    }
+    
+    updateOperatorControls() {
+        const history = this.hexOperations.length > 0
+            ? this.hexOperations.map(operation => this.formatOperation(operation)).join(' → ')
+            : '';
+        
+        const apply = document.getElementById('applyOperator');
+        if (apply) {
+            // Operators work on single images; frames would each need filtering
+            apply.disabled = !this.hexGrid || Boolean(this.hexFrames);
+            apply.title = this.hexFrames ? 'Lattice operators apply to single images only' : '';
+            document.getElementById('revertOperators').disabled = !this.hexBase || this.hexGrid === this.hexBase.grid;
+            document.getElementById('operatorHistory').textContent = history;
+        }
+        
+        const details = document.getElementById('operatorsApplied');
+        if (details) details.textContent = history || '-';
+    }
+    
+    formatOperation({ name, options }) {
+        const values = Object.entries(options || {}).map(([key, value]) => `${key}=${value}`);
+        return values.length > 0 ? `${name}(${values.join(', ')})` : name;
+    }
+    
+    setupSpectrumAnalysis() {
+        document.getElementById('analyzeSpectrum')?.addEventListener('click', () => this.analyzeSpectra());
+    }
+    
+    /**
+     * Power spectra of the orthogonal source and of the lattice, drawn on one
+     * frequency scale (cycles per source pixel) and one dB scale so the two
+     * compare directly. A lattice reopened from HXI has no source spectrum.
+     */
+    analyzeSpectra() {
+        if (!this.hexGrid) return;
+        
+        try {
+            this.spectra = this.sourceImageData
+                ? SpectralAnalysis.compare(this.getConvertedArea(this.sourceImageData), this.hexGrid)
+                : { source: null, lattice: SpectralAnalysis.latticeSpectrum(this.hexGrid) };
+        } catch (error) {
+            this.clearSpectra();
+            document.getElementById('spectrumInfo').textContent = error.message;
+            return;
+        }
+        
+        this.drawSpectra();
+    }
+    
+    clearSpectra() {
+        this.spectra = null;
+        const plots = document.getElementById('spectrumPlots');
+        if (!plots) return;
+        
+        plots.hidden = true;
+        document.getElementById('spectrumInfo').textContent = '';
+    }
+    
+    drawSpectra() {
+        const { source, lattice } = this.spectra;
+        const spectra = [source, lattice].filter(Boolean);
+        
+        // Wide enough for both Brillouin zones, and for the pixel grid's Nyquist square
+        const corners = spectra.flatMap(spectrum => SpectralAnalysis.zonePolygon(spectrum));
+        const extent = Math.max(0.75, 1.1 * Math.max(...corners.map(p => Math.hypot(p.x, p.y))));
+        let peak = 0;
+        spectra.forEach(spectrum => SpectralAnalysis.forEachBin(spectrum, (fx, fy, power) => {
+            peak = Math.max(peak, power);
+        }));
+        
+        // The angular profile averages a ring both lattices sample without aliasing
+        const nyquist = Math.min(...spectra.map(spectrum => SpectralAnalysis.nyquistRadius(spectrum)));
+        const band = [0.1 * nyquist, 0.9 * nyquist];
+        const scale = { extent, peak, band };
+        
+        document.getElementById('spectrumPlots').hidden = false;
+        this.drawSpectrum(document.getElementById('rectSpectrumCanvas'), source, scale);
+        this.drawSpectrum(document.getElementById('hexSpectrumCanvas'), lattice, scale);
+        
+        const series = [
+            { spectrum: source, label: 'Source', color: HexaImageConverter.SPECTRUM_COLORS.source },
+            { spectrum: lattice, label: 'Hex', color: HexaImageConverter.SPECTRUM_COLORS.lattice }
+        ].filter(({ spectrum }) => spectrum);
+        const bins = HexaImageConverter.SPECTRUM_BINS;
+        
+        // Radial: power against |f| relative to the shared peak
+        this.drawProfile(document.getElementById('radialProfileCanvas'), series.map(({ spectrum, ...line }) => ({
+            ...line,
+            values: SpectralAnalysis.radialProfile(spectrum, bins.radial, extent)
+                .map(power => 10 * Math.log10(power / peak))
+        })), { xMax: extent, xUnit: 'cyc/px', marks: band });
+        
+        // Angular: power against direction relative to its own mean, flat when isotropic
+        const angular = series.map(({ spectrum, ...line }) => {
+            const profile = SpectralAnalysis.angularProfile(spectrum, bins.angular, band[0], band[1]);
+            const mean = profile.filter(Number.isFinite).reduce((sum, power) => sum + power, 0) / bins.angular;
+            return { ...line, profile, values: profile.map(power => 10 * Math.log10(power / mean)) };
+        });
+        this.drawProfile(document.getElementById('angularProfileCanvas'), angular, { xMax: 180, xUnit: '°' });
+        
+        const anisotropy = angular.map(({ label, profile }) => `${label} ${SpectralAnalysis.anisotropy(profile).toFixed(3)}`);
+        const limits = series.map(({ label, spectrum }) => `${label} ${SpectralAnalysis.nyquistRadius(spectrum).toFixed(3)}`);
+        document.getElementById('spectrumInfo').textContent =
+            `Anisotropy (std / mean of angular power, ${band[0].toFixed(2)}–${band[1].toFixed(2)} cyc/px): ${anisotropy.join(', ')}` +
+            ` · Isotropic Nyquist radius: ${limits.join(', ')} cyc/px`;
+    }
+    
+    drawSpectrum(canvas, spectrum, { extent, peak, band }) {
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const size = canvas.width;
+        ctx.clearRect(0, 0, size, size);
+        if (!spectrum) return;
+        
+        // Frequency (0, 0) in the middle, ±extent cycles per pixel at the edges
+        const step = 2 * extent / size;
+        const toCanvas = (f) => (f + extent) / step;
+        const image = ctx.createImageData(size, size);
+        const color = [0, 0, 0];
+        for (let y = 0; y < size; y++) {
+            const fy = (y + 0.5) * step - extent;
+            for (let x = 0; x < size; x++) {
+                const fx = (x + 0.5) * step - extent;
+                const db = 10 * Math.log10(SpectralAnalysis.sampleAt(spectrum, fx, fy) / peak);
+                this.heatmapColor(1 + db / HexaImageConverter.SPECTRUM_RANGE, color);
+                const i = (y * size + x) * 4;
+                image.data[i] = color[0];
+                image.data[i + 1] = color[1];
+                image.data[i + 2] = color[2];
+                image.data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+        
+        // Alias-free region of this lattice
+        ctx.strokeStyle = '#f6e05e';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        SpectralAnalysis.zonePolygon(spectrum).forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toCanvas(p.x), toCanvas(p.y));
+            else ctx.lineTo(toCanvas(p.x), toCanvas(p.y));
+        });
+        ctx.closePath();
+        ctx.stroke();
+        
+        // Band the angular profile is taken over
+        ctx.strokeStyle = 'rgba(226, 232, 240, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        band.forEach(radius => {
+            ctx.beginPath();
+            ctx.arc(size / 2, size / 2, radius / step, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    }
+    
+    /**
+     * Line plot of one or more dB series spread evenly over 0 … xMax, with
+     * dashed verticals at `marks`.
+     */
+    drawProfile(canvas, series, { xMax, xUnit, marks = [] }) {
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const plot = { left: 36, right: width - 8, top: 22, bottom: height - 22 };
+        ctx.clearRect(0, 0, width, height);
+        
+        const finite = series.flatMap(({ values }) => values.filter(Number.isFinite));
+        const yMax = Math.ceil(Math.max(0, ...finite) / 10) * 10;
+        const yMin = Math.max(yMax - HexaImageConverter.SPECTRUM_RANGE, Math.floor(Math.min(...finite, yMax - 10) / 10) * 10);
+        const toX = (x) => plot.left + (x / xMax) * (plot.right - plot.left);
+        const toY = (db) => plot.bottom - (Math.max(yMin, db) - yMin) / (yMax - yMin) * (plot.bottom - plot.top);
+        
+        ctx.font = '10px monospace';
+        ctx.fillStyle = '#a0aec0';
+        ctx.strokeStyle = 'rgba(226, 232, 240, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${yMax} dB`, plot.left - 3, plot.top + 8);
+        ctx.fillText(`${yMin}`, plot.left - 3, plot.bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText('0', plot.left, plot.bottom + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${Number(xMax.toFixed(2))} ${xUnit}`, plot.right, plot.bottom + 12);
+        
+        ctx.setLineDash([4, 4]);
+        marks.forEach(x => {
+            ctx.beginPath();
+            ctx.moveTo(toX(x), plot.top);
+            ctx.lineTo(toX(x), plot.bottom);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        ctx.textAlign = 'left';
+        series.forEach(({ label, color, values }, s) => {
+            // Bin centres; empty bins break the line
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let drawing = false;
+            values.forEach((db, i) => {
+                if (!Number.isFinite(db)) {
+                    drawing = false;
+                    return;
+                }
+                const x = toX((i + 0.5) / values.length * xMax);
+                if (drawing) ctx.lineTo(x, toY(db));
+                else ctx.moveTo(x, toY(db));
+                drawing = true;
+            });
+            ctx.stroke();
+            
+            ctx.fillStyle = color;
+            ctx.fillText(label, plot.left + 4 + s * 60, plot.top - 8);
+        });
+    }
+    
+    /**
+     * Lattice for a width × height source with the current settings.
+     * `format` gives the cell channels and sample type, and the `region`
+     * to cover when only part of the source is converted.
+     */
+    createLattice(width, height, format) {
+        return HexConverterCore.createLattice(width, height, {
+            orientation: this.latticeOrientation,
+            sizingMode: this.sizingMode,
+            sizingValue: this.sizingValues[this.sizingMode],
+            ...format
+        });
+    }
+    
+    getKernel() {
+        return ResamplingKernels.create(this.kernelName, this.kernelOptions);
+    }
+    
+    reconvert() {
+        // Settings apply to the next conversion; rerun the image on show. While
+        // a batch runs they apply to the files still waiting instead.
+        if (this.originalImage && this.activeEntry && !this.queueRunning) {
+            this.runEntry(this.activeEntry, () => this.startProcessing());
+        }
+    }
+    
+    setupCanvasInteraction(canvas, type) {
+        // Mouse events for panning, or for dragging out a region on the original
+        canvas.addEventListener('mousedown', (e) => {
+            if (type === 'original' && this.roiSelecting) {
+                this.startRoiDrag(e);
+            } else {
+                this.startPan(e, type);
+            }
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            this.pan(e, type);
+            if (type === 'original') this.dragRoi(e);
+            this.inspect(e, type);
+        });
+        canvas.addEventListener('mouseup', () => {
+            this.endPan(type);
+            if (type === 'original') this.endRoiDrag();
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.endPan(type);
+            if (type === 'original') this.endRoiDrag();
+            this.clearInspection();
+        });
+        
+        // Wheel event for zooming
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e, type));
+        
+        // Touch events for mobile: one finger pans, two pinch-zoom
+        canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e, type));
+        canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e, type));
+        canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e, type));
+        canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e, type));
+        
+        // Keyboard navigation once the viewer has focus
+        canvas.addEventListener('keydown', (e) => this.handleViewerKey(e, type));
+    }
+    
+    handleFileSelect(event) {
+        this.enqueueFiles(Array.from(event.target.files, file => ({ file, path: file.name })));
+        
+        // Picking the same files again should queue them again
+        event.target.value = '';
+    }
+    
+    handleDragOver(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        document.getElementById('dropZone').classList.add('dragover');
+    }
+    
+    handleDragLeave(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        document.getElementById('dropZone').classList.remove('dragover');
+    }
+    
+    handleDrop(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        document.getElementById('dropZone').classList.remove('dragover');
+        
+        // Entries must be taken while the event is live; folders are read afterwards
+        const entries = Array.from(event.dataTransfer.items || [], item => item.webkitGetAsEntry?.()).filter(Boolean);
+        if (entries.length > 0) {
+            this.readDroppedEntries(entries).then(files => this.enqueueFiles(files));
+        } else {
+            this.enqueueFiles(Array.from(event.dataTransfer.files, file => ({ file, path: file.name })));
+        }
+    }
+    
+    /**
+     * Files under dropped file system entries, folders expanded recursively
+     * in name order. Paths are relative to the drop.
+     */
+    async readDroppedEntries(entries) {
+        const files = [];
+        
+        const visit = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+                return;
+            }
+            
+            // readEntries hands out a directory in chunks, then an empty list
+            const reader = entry.createReader();
+            const children = [];
+            for (;;) {
+                const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (chunk.length === 0) break;
+                children.push(...chunk);
+            }
+            children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            for (const child of children) {
+                await visit(child);
+            }
+        };
+        
+        for (const entry of entries) {
+            await visit(entry);
+        }
+        return files;
+    }
+    
+    isHexContainerFile(file) {
+        return file.name.toLowerCase().endsWith(HexaImageFormat.FILE_EXTENSION);
+    }
+    
+    isVideoFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        return file.type.startsWith('video/') || HexaImageConverter.VIDEO_EXTENSIONS.includes(extension);
+    }
+    
+    isSupportedFile(file) {
+        return this.isHexContainerFile(file) || RawDecoder.isRawFile(file) || this.isVideoFile(file) || file.type.startsWith('image/');
+    }
+    
+    enqueueFiles(files) {
+        const items = document.getElementById('groupSequences')?.checked ? this.findSequences(files) : files;
+        
+        // Anything else stays in the list as skipped rather than vanishing
+        items.forEach(({ file, path, frames }) => {
+            if (frames) {
+                this.enqueue(path, () => this.loadSequence(path, frames));
+            } else if (this.isSupportedFile(file)) {
+                this.enqueue(path, () => this.loadFile(file));
+            } else {
+                this.enqueue(path, null, 'Unsupported file type');
+            }
+        });
+    }
+    
+    /**
+     * Gather numbered stills in one folder, such as shot_0001.png …
+     * shot_0120.png, into a sequence item { path: 'shot_####.png', frames }
+     * in place of the first of them. Other files pass through unchanged.
+     */
+    findSequences(files) {
+        const groups = new Map();
+        const items = [];
+        
+        files.forEach(item => {
+            const match = HexaImageConverter.SEQUENCE_PATTERN.exec(item.path);
+            const still = this.isSupportedFile(item.file) && !this.isHexContainerFile(item.file) && !this.isVideoFile(item.file);
+            if (!match || !still) {
+                items.push(item);
+                return;
+            }
+            
+            const [, stem, number, extension] = match;
+            const key = `${stem}\0${extension.toLowerCase()}`;
+            if (!groups.has(key)) {
+                const group = { path: stem + '#'.repeat(number.length) + extension, frames: [] };
+                groups.set(key, group);
+                items.push(group);
+            }
+            groups.get(key).frames.push({ ...item, number: Number(number) });
+        });
+        
+        // A lone numbered file is just a file
+        return items.map(item => {
+            if (!item.frames) return item;
+            if (item.frames.length === 1) return item.frames[0];
+            item.frames.sort((a, b) => a.number - b.number);
+            return item;
+        });
+    }
+    
+    /**
+     * Add an entry to the batch queue and start the queue if it is idle.
+     * `load` sets up the source (or, for HXI, the lattice) and resolves to
+     * true when the source still needs converting.
+     */
+    enqueue(name, load, error = null) {
+        this.queue.push({
+            id: ++this.entryCounter,
+            name,
+            load,
+            status: error ? 'skipped' : 'queued',
+            error,
+            time: null,
+            thumbnail: null,
+            result: null
+        });
+        this.renderQueue();
+        this.processQueue();
+    }
+    
+    async processQueue() {
+        if (this.queueRunning) return;
+        this.queueRunning = true;
+        this.queueCancelled = false;
+        this.renderQueue();
+        
+        let entry;
+        while (!this.queueCancelled && (entry = this.queue.find(queued => queued.status === 'queued'))) {
+            const current = entry;
+            await this.runEntry(current, async () => {
+                const convert = await current.load();
+                if (this.queueCancelled) {
+                    throw new DOMException('Conversion cancelled', 'AbortError');
+                }
+                if (!convert) {
+                    this.showResults();
+                    return true;
+                }
+                return this.startProcessing();
+            });
+        }
+        
+        // Cancelling stops the rest of the batch too
+        this.queue.filter(queued => queued.status === 'queued').forEach(queued => {
+            queued.status = 'cancelled';
+        });
+        this.queueRunning = false;
+        this.renderQueue();
+    }
+    
+    cancelQueue() {
+        this.queueCancelled = this.queueRunning;
+        this.cancelConversion();
+    }
+    
+    /**
+     * Run `work` for an entry and record the outcome: its time, a snapshot of
+     * the result with a thumbnail, or the error. `work` resolves to false
+     * when a newer conversion took over.
+     */
+    async runEntry(entry, work) {
+        this.stopPlayback(false);
+        this.saveActiveEntry(entry);
+        this.activeEntry = entry;
+        entry.status = 'processing';
+        entry.error = null;
+        this.renderQueue();
+        
+        const started = performance.now();
+        this.processingStartTime = started;
+        this.showProcessingStatus();
+        this.setProgress(0, `Loading ${entry.name}...`);
+        
+        try {
+            if (await work() === false) {
+                entry.status = entry.result ? 'done' : 'queued';
+                this.renderQueue();
+                return;
+            }
+            if (this.pendingSession?.operations && this.isSessionInput()) this.replaySessionOperations();
+            entry.time = performance.now() - started;
+            entry.result = this.captureResult();
+            entry.thumbnail = this.createThumbnail();
+            entry.status = 'done';
+        } catch (error) {
+            this.hideProcessingStatus();
+            if (error.name === 'AbortError') {
+                // A cancelled rerun keeps the result it already had
+                entry.status = entry.result ? 'done' : 'cancelled';
+            } else {
+                console.error(`Error processing ${entry.name}:`, error);
+                entry.status = 'error';
+                entry.error = error.message;
+            }
+            
+            // Back to the last good result, if there is one
+            const fallback = entry.result ? entry : this.queue.filter(queued => queued.status === 'done').pop();
+            if (fallback) {
+                await this.showEntry(fallback);
+            } else {
+                this.activeEntry = null;
+            }
+        }
+        
+        this.renderQueue();
+    }
+    
+    /**
+     * The state that makes up one displayed result, by field name.
+     */
+    captureResult() {
+        return Object.fromEntries(HexaImageConverter.RESULT_FIELDS.map(field => [field, this[field]]));
+    }
+    
+    restoreResult(result) {
+        HexaImageConverter.RESULT_FIELDS.forEach(field => {
+            this[field] = result[field];
+        });
+        this.displayTransfer = new DisplayTransfer(this.displaySettings);
+        this.syncDisplayControls();
+        this.differenceCanvas = null;
+        this.inspection = null;
+    }
+    
+    /**
+     * Keep lattice operators and display changes made since the active entry
+     * finished. Leaving it for `next`, only its lattice is kept (see
+     * compactResult).
+     */
+    saveActiveEntry(next = this.activeEntry) {
+        if (this.activeEntry?.status === 'done') {
+            const result = this.captureResult();
+            this.activeEntry.result = next === this.activeEntry ? result : this.compactResult(result);
+        }
+    }
+    
+    /**
+     * What an entry that is not on show keeps of its result: the lattice
+     * (every frame's, for a clip), header, settings and figures. The decoded
+     * source and the images rendered from it are dropped, so a batch's
+     * memory does not grow with its length; showEntry() decodes the source
+     * again.
+     */
+    compactResult(result) {
+        const compact = { ...result };
+        HexaImageConverter.DECODED_FIELDS.forEach(field => {
+            compact[field] = null;
+        });
+        
+        const source = result.sourceImageData;
+        compact.sourceSize = source ? { width: source.width, height: source.height } : null;
+        // How to rebuild the rest once the source is back
+        compact.sampledMosaic = Boolean(result.hexSource?.cfa);
+        compact.reconstructed = Boolean(result.reconstruction);
+        return compact;
+    }
+    
+    isQueueBusy() {
+        return this.queue.some(entry => entry.status === 'processing');
+    }
+    
+    async selectEntry(entry) {
+        // Switching mid-conversion would mix the result on show with the one in flight
+        if (this.isQueueBusy() || this.queueRunning || !entry.result || entry === this.activeEntry) return;
+        
+        // Files dropped while the source is decoded again wait their turn
+        this.queueRunning = true;
+        try {
+            await this.showEntry(entry);
+        } finally {
+            this.queueRunning = false;
+            this.processQueue();
+        }
+    }
+    
+    async showEntry(entry) {
+        this.stopPlayback(false);
+        this.saveActiveEntry(entry);
+        this.activeEntry = entry;
+        this.restoreResult(entry.result);
+        if (entry.result.sourceSize && !(await this.reloadSource(entry))) return;
+        
+        document.getElementById('resultsSection').style.display = 'block';
+        this.displayImages();
+        this.updateProcessingDetails(entry.time);
+        if (this.spectra) this.analyzeSpectra();
+        this.renderQueue();
+    }
+    
+    /**
+     * Decode the source of an entry brought back on show (see compactResult)
+     * and rebuild the images rendered from it. Resolves to false when a
+     * reset overtook the reload. A source that cannot be read any more
+     * leaves the lattice on its own, as for an HXI container.
+     */
+    async reloadSource(entry) {
+        const { result } = entry;
+        const generation = this.loadGeneration;
+        entry.status = 'processing';
+        this.renderQueue();
+        this.showProcessingStatus();
+        this.setProgress(0, `Loading ${entry.name}...`);
+        
+        try {
+            await entry.load();
+        } catch (error) {
+            if (generation !== this.loadGeneration) return false;
+            if (error.name !== 'AbortError') console.error(`Error reloading ${entry.name}:`, error);
+            HexaImageConverter.DECODED_FIELDS.forEach(field => {
+                this[field] = null;
+            });
+        } finally {
+            entry.status = 'done';
+            this.hideProcessingStatus();
+        }
+        if (generation !== this.loadGeneration) return false;
+        
+        // Loading picks a fresh file record, first frame and display defaults
+        this.sourceFile = result.sourceFile;
+        if (this.sourceFrames) {
+            this.frameIndex = Math.min(result.frameIndex, this.sourceFrames.frames.length - 1);
+            const frame = this.sourceFrames.frames[this.frameIndex];
+            this.sourceImageData = frame.image;
+            this.rawImage = frame.raw;
+        }
+        this.hexSource = result.sampledMosaic ? this.rawImage : this.sourceImageData;
+        this.setDisplaySettings(result.displaySettings);
+        if (result.reconstructed && this.sourceImageData) this.evaluateRoundTrip(this.hexBase.grid);
+        return true;
+    }
+    
+    createThumbnail() {
+        // The viewers' frame, so the thumbnail has the same proportions
+        const frame = this.getViewFrame();
+        const scale = HexaImageConverter.THUMBNAIL_SIZE / Math.max(frame.width, frame.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(frame.width * scale));
+        canvas.height = Math.max(1, Math.round(frame.height * scale));
+        
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.hexRaster, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL();
+    }
+    
+    renderQueue() {
+        const section = document.getElementById('queueSection');
+        if (!section) return;
+        
+        section.style.display = this.queue.length > 0 ? 'block' : 'none';
+        const busy = this.isQueueBusy();
+        const strip = document.getElementById('queueStrip');
+        strip.innerHTML = '';
+        
+        this.queue.forEach(entry => {
+            const item = document.createElement('button');
+            item.className = `queue-item ${entry.status}${entry === this.activeEntry ? ' active' : ''}`;
+            item.disabled = busy || !entry.result;
+            item.title = entry.error ? `${entry.name}: ${entry.error}` : entry.name;
+            item.addEventListener('click', () => this.selectEntry(entry));
+            
+            if (entry.thumbnail) {
+                const image = document.createElement('img');
+                image.src = entry.thumbnail;
+                image.alt = '';
+                item.appendChild(image);
+            } else {
+                const placeholder = document.createElement('span');
+                placeholder.className = 'queue-placeholder';
+                placeholder.textContent = '⬡';
+                item.appendChild(placeholder);
+            }
+            
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = entry.name;
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = entry.error || HexaImageConverter.QUEUE_STATUS[entry.status];
+            item.append(name, status);
+            
+            if (entry.status === 'done') {
+                const stats = document.createElement('span');
+                stats.className = 'queue-stats';
+                stats.textContent = this.describeEntry(entry);
+                item.appendChild(stats);
+            }
+            strip.appendChild(item);
+        });
+        
+        const counts = {};
+        this.queue.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+        document.getElementById('queueSummary').textContent = Object.entries(counts)
+            .map(([status, count]) => `${count} ${HexaImageConverter.QUEUE_STATUS[status].toLowerCase()}`)
+            .join(' · ');
+        document.getElementById('downloadAllBtn').disabled = busy || !counts.done;
+    }
+    
+    describeEntry({ result, time }) {
+        const { psnr } = result.roundTripMetrics || {};
+        return [
+            `${result.hexGrid.cellCount.toLocaleString()} cells`,
+            psnr === undefined ? null : `PSNR ${Number.isFinite(psnr) ? psnr.toFixed(1) + ' dB' : '∞'}`,
+            `${(time / 1000).toFixed(2)}s`
+        ].filter(Boolean).join(' · ');
+    }
+    
+    /**
+     * Set up the source from a file. Resolves to false for an HXI
+     * container, which brings its lattice with it, and true otherwise.
+     */
+    async loadFile(file) {
+        this.sourceFile = {
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            lastModified: file.lastModified
+        };
+        this.sourceFrames = null;
+        
+        if (this.isHexContainerFile(file)) {
+            await this.openHexContainer(file);
+            return false;
+        }
+        
+        if (this.isVideoFile(file)) {
+            await this.openVideoFile(file);
+        } else if (RawDecoder.isRawFile(file)) {
+            await this.openRawFile(file);
+        } else {
+            await this.openImageFile(file);
+        }
+        return true;
+    }
+    
+    async openImageFile(file) {
+        const generation = this.loadGeneration;
+        const image = await this.decodeImageFile(file);
+        this.checkLoadCurrent(generation);
+        this.rawImage = null;
+        this.sourceImageData = image;
+        this.setDisplaySettings(this.displayPreset || { ...DisplayTransfer.DEFAULTS });
+    }
+    
+    decodeImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const img = new Image();
+                img.onload = () => {
+                    // Browser-decoded images are always 8-bit straight-alpha RGBA
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.width;
+                    canvas.height = img.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+                    const imageData = ctx.getImageData(0, 0, img.width, img.height);
+                    resolve({ width: img.width, height: img.height, channels: 4, data: imageData.data });
+                };
+                img.onerror = () => reject(new Error('The browser cannot decode this image'));
+                img.src = e.target.result;
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    async openRawFile(file) {
+        const generation = this.loadGeneration;
+        const buffer = await file.arrayBuffer();
+        this.checkLoadCurrent(generation);
+        if (RawDecoder.isPlainTiff(file, buffer)) {
+            await this.openImageFile(file);
+            return;
+        }
+        const raw = RawDecoder.decode(buffer);
+        
+        // Full-precision image for display, the non-mosaic path and round-trip metrics
+        this.rawImage = raw;
+        this.sourceImageData = RawDecoder.toImage(raw);
+        this.setDisplaySettings(this.displayPreset || DisplayTransfer.defaultsForRaw(raw));
+    }
+    
+    /**
+     * Decode a video into frames at the rate chosen in #frameRate, by seeking
+     * a <video> element and drawing each frame to a canvas.
+     */
+    async openVideoFile(file) {
+        const generation = this.loadGeneration;
+        const rate = this.getFrameRate();
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(file);
+        
+        try {
+            await this.waitForVideo(video, 'loadeddata');
+            if (!Number.isFinite(video.duration)) {
+                // Recorded WebM often has no duration until it is seeked to the end
+                video.currentTime = Number.MAX_SAFE_INTEGER;
+                await this.waitForVideo(video, 'seeked');
+            }
+            
+            const { videoWidth: width, videoHeight: height } = video;
+            const total = Math.max(1, Math.floor(video.duration * rate));
+            // Frames are decoded as 8-bit RGBA
+            const count = Math.min(total, this.getFrameLimit(width * height * 4));
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            
+            const frames = [];
+            for (let i = 0; i < count; i++) {
+                this.checkQueueCancelled();
+                this.setProgress(0, `Decoding ${file.name}: frame ${i + 1} / ${count}...`);
+                // Middle of each frame interval, clear of the boundaries
+                video.currentTime = (i + 0.5) / rate;
+                await this.waitForVideo(video, 'seeked');
+                this.checkLoadCurrent(generation);
+                ctx.drawImage(video, 0, 0);
+                frames.push({
+                    name: `${file.name} @ ${(i / rate).toFixed(2)}s`,
+                    image: { width, height, channels: 4, data: ctx.getImageData(0, 0, width, height).data },
+                    raw: null
+                });
+            }
+            this.openFrames(frames, rate, total);
+        } finally {
+            URL.revokeObjectURL(video.src);
+        }
+    }
+    
+    waitForVideo(video, event) {
+        return new Promise((resolve, reject) => {
+            video.addEventListener(event, () => resolve(), { once: true });
+            video.onerror = () => reject(new Error('The browser cannot decode this video'));
+        });
+    }
+    
+    /**
+     * Decode numbered stills as the frames of one clip, in order. Every
+     * frame must match the first one's size.
+     */
+    async loadSequence(path, files) {
+        const generation = this.loadGeneration;
+        const count = files.length;
+        const frames = [];
+        
+        for (const { file, path: name } of files) {
+            this.checkQueueCancelled();
+            this.setProgress(0, `Decoding ${name} (${frames.length + 1} / ${count})...`);
+            const { image, raw } = await this.decodeFrame(file);
+            this.checkLoadCurrent(generation);
+            
+            const first = frames[0]?.image || image;
+            if (image.width !== first.width || image.height !== first.height) {
+                throw new Error(`${name} is ${image.width} × ${image.height}, the sequence starts at ${first.width} × ${first.height}`);
+            }
+            frames.push({ name, image, raw });
+            if (frames.length >= this.getFrameLimit(image.data.byteLength + (raw ? raw.data.byteLength : 0))) break;
+        }
+        
+        this.sourceFile = {
+            name: path.split('/').pop(),
+            type: '',
+            size: files.reduce((sum, { file }) => sum + file.size, 0),
+            lastModified: Math.max(...files.map(({ file }) => file.lastModified))
+        };
+        this.openFrames(frames, this.getFrameRate(), count);
+        return true;
+    }
+    
+    async decodeFrame(file) {
+        if (RawDecoder.isRawFile(file)) {
+            const buffer = await file.arrayBuffer();
+            if (!RawDecoder.isPlainTiff(file, buffer)) {
+                const raw = RawDecoder.decode(buffer);
+                return { image: RawDecoder.toImage(raw), raw };
+            }
+        }
+        return { image: await this.decodeImageFile(file), raw: null };
+    }
+    
+    /**
+     * Make decoded frames the source; the first is shown until converted.
+     * `total` is how many the input has, of which only the first
+     * `frames.length` may have been kept.
+     */
+    openFrames(frames, rate, total) {
+        const [first] = frames;
+        this.sourceFrames = { rate, total, frames };
+        this.frameIndex = 0;
+        this.rawImage = first.raw;
+        this.sourceImageData = first.image;
+        this.setDisplaySettings(this.displayPreset || (first.raw ? DisplayTransfer.defaultsForRaw(first.raw) : { ...DisplayTransfer.DEFAULTS }));
+    }
+    
+    getFrameRate() {
+        return Number(document.getElementById('frameRate')?.value) || HexaImageConverter.DEFAULT_FRAME_RATE;
+    }
+    
+    /**
+     * Frames kept of a clip whose decoded frames take `frameBytes` each, so
+     * the frames and what they convert to stay within
+     * HexaImageConverter.FRAME_BYTE_BUDGET.
+     */
+    getFrameLimit(frameBytes) {
+        // Each frame's lattice and display raster take about as much again
+        const limit = Math.floor(HexaImageConverter.FRAME_BYTE_BUDGET / (2 * frameBytes));
+        return Math.max(1, Math.min(HexaImageConverter.FRAME_LIMIT, limit));
+    }
+    
+    checkQueueCancelled() {
+        if (this.queueCancelled) {
+            throw new DOMException('Conversion cancelled', 'AbortError');
+        }
+    }
+    
+    /**
+     * Throw an AbortError when reset() has run since a load took its
+     * `generation`, so a decode that finishes late drops its result.
+     */
+    checkLoadCurrent(generation) {
+        if (generation !== this.loadGeneration) {
+            throw new DOMException('Load superseded', 'AbortError');
+        }
+    }
+    
+    setupTestTargets() {
+        const container = document.getElementById('testTargets');
+        if (!container) return;
+        
+        TestTargets.list().forEach(({ name, label }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => this.loadTestTarget(name));
+            container.appendChild(button);
+        });
+    }
+    
+    loadTestTarget(name) {
+        // Generated in the page, then queued and converted exactly like a loaded file
+        const size = Number(document.getElementById('targetSize').value);
+        const fileName = `${name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())}-${size}`;
+        
+        this.enqueue(fileName, async () => {
+            const image = TestTargets.create(name, size);
+            this.sourceFile = {
+                name: fileName,
+                type: '',
+                size: image.data.byteLength,
+                lastModified: Date.now()
+            };
+            this.rawImage = null;
+            this.sourceFrames = null;
+            this.sourceImageData = image;
+            this.setDisplaySettings(this.displayPreset || { ...DisplayTransfer.DEFAULTS });
+            return true;
+        });
+    }
+    
+    async openHexContainer(file) {
+        const generation = this.loadGeneration;
+        const { grid, header, frames } = await HexaImageFormat.decode(await file.arrayBuffer());
+        this.checkLoadCurrent(generation);
+        
+        // A container carries no orthogonal source, only the lattice
+        this.originalImage = null;
+        this.rawImage = null;
+        this.sourceImageData = null;
+        this.reconstruction = null;
+        this.roundTripMetrics = null;
+        this.differenceCanvas = null;
+        this.samplingBenchmark = null;
+        
+        this.hexFrames = frames.length > 1
+            ? { rate: header.frames.rate || HexaImageConverter.DEFAULT_FRAME_RATE, grids: frames }
+            : null;
+        this.frameIndex = 0;
+        this.hexGrid = grid;
+        this.hexHeader = header;
+        this.hexRoi = header.roi || null;
+        this.hexSource = null;
+        this.hexOperations = [...(header.operations || [])];
+        this.hexBase = { grid, operations: [...this.hexOperations] };
+        this.hexKernel = header.kernel && ResamplingKernels.registry.has(header.kernel.name)
+            ? ResamplingKernels.create(header.kernel.name, header.kernel.options)
+            : null;
+        this.setDisplaySettings(this.displayPreset || header.display || { ...DisplayTransfer.DEFAULTS });
+    }
+    
+    /**
+     * Convert the current source. Resolves to true when done and to false
+     * when a newer conversion superseded this one; errors, including an
+     * AbortError on cancel, are thrown for the caller to report.
+     */
+    async startProcessing() {
+        // A new conversion supersedes one still in flight
+        this.cancelConversion();
+        const run = ++this.processingRun;
+        
+        this.processingStartTime = performance.now();
+        this.showProcessingStatus();
+        
+        // Small delay to allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 100));
+        if (run !== this.processingRun) return false;
+        
+        try {
+            await this.convertToHexagonal();
+            this.setProgress(95, 'Evaluating round-trip quality...');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this.applySampleType();
+            this.evaluateRoundTrip();
+            this.showResults();
+            return true;
+        } catch (error) {
+            if (run !== this.processingRun) return false;
+            this.hideProcessingStatus();
+            throw error;
+        }
+    }
+    
+    showProcessingStatus() {
+        document.getElementById('statusSection').style.display = 'block';
+        document.getElementById('resultsSection').style.display = 'none';
+        this.inspection = null;
+        this.setProgress(0, 'Analyzing image structure...');
+    }
+    
+    setProgress(percent, message) {
+        document.getElementById('progressFill').style.width = percent + '%';
+        document.getElementById('statusText').textContent = message;
+    }
+    
+    updateConversionProgress(job) {
+        // Conversion accounts for the job's share of the first 90% of the bar
+        const rowsDone = job.rowsDone.reduce((sum, rows) => sum + rows, 0);
+        const percent = (rowsDone / job.grid.rows) * job.share;
+        const mode = job.planParts ? `${job.mode}, building resampling plan` : job.mode;
+        this.setProgress(percent, 
+            `Sampling with ${job.kernel.label} kernel... ${rowsDone} / ${job.grid.rows} rows (${mode})`);
+    }
+    
+    cancelConversion() {
+        const job = this.activeJob;
+        if (!job) return;
+        
+        job.cancelled = true;
+        this.activeJob = null;
+        
+        // Terminating is the only way to stop a busy worker; the pool is rebuilt on demand
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        
+        job.reject?.(new DOMException('Conversion cancelled', 'AbortError'));
+    }
+    
+    hideProcessingStatus() {
+        document.getElementById('statusSection').style.display = 'none';
+    }
+    
+    async convertToHexagonal() {
+        if (this.sourceFrames) {
+            await this.convertFrames();
+            return;
+        }
+        
+        const source = this.bayerSampling && this.rawImage?.cfa
+            ? this.rawImage
+            : this.sourceImageData;
+        
+        // Lattice rows and columns follow from the pitch and √3/2 line spacing;
+        // cells keep the source's sample type and channels
+        const roi = HexConverterCore.clampRegion(this.roi, source.width, source.height);
+        const grid = this.createLattice(source.width, source.height, { ...HexConverterCore.outputFormat(source), region: roi });
+        const kernel = this.getKernel();
+        
+        this.samplingBenchmark = await this.sampleSource(source, grid, kernel);
+        this.hexFrames = null;
+        this.setConvertedLattice(grid, kernel, source, roi);
+    }
+    
+    /**
+     * Fill the cells of `grid` from `source`. A cached resampling plan for
+     * the same size, lattice and kernel is applied on this thread; otherwise
+     * the bands are sampled by the workers, which build their part of the
+     * plan as they go, and the joined plan is cached for the next run.
+     * `share` is the part of the progress bar this conversion fills.
+     * Resolves to the timings shown as the sampling benchmark.
+     */
+    async sampleSource(source, grid, kernel, share = 90) {
+        const started = performance.now();
+        const job = {
+            id: ++this.jobCounter,
+            grid,
+            kernel,
+            source,
+            share,
+            bands: HexConverterCore.splitRows(grid, this.workerCount * 4),
+            plan: ResamplingPlan.lookup(ResamplingPlan.key(source, grid, kernel)),
+            cancelled: false
+        };
+        job.rowsDone = new Array(job.bands.length).fill(0);
+        // One band plan per band, joined once they are all in
+        job.planParts = !job.plan && ResamplingPlan.fits(source, grid, kernel)
+            ? new Array(job.bands.length).fill(null)
+            : null;
+        this.activeJob = job;
+        
+        try {
+            if (job.plan) {
+                await this.convertWithPlan(job);
+            } else if (this.workersAvailable) {
+                try {
+                    await this.convertWithWorkers(job);
+                } catch (error) {
+                    // The other workers may still be busy with the job's bands
+                    this.workers.forEach(worker => worker.terminate());
+                    this.workers = [];
+                    // Workers cannot load from file:// pages; fall back to this thread
+                    if (!error.workerUnavailable) throw error;
+                    this.workersAvailable = false;
+                    job.rowsDone.fill(0);
+                    await this.convertOnMainThread(job);
+                }
+            } else {
+                await this.convertOnMainThread(job);
+            }
+        } finally {
+            if (this.activeJob === job) this.activeJob = null;
+        }
+        
+        const time = performance.now() - started;
+        let plan = job.plan;
+        if (!plan && job.planParts) {
+            plan = ResamplingPlan.join(job.planParts, source, grid, kernel);
+            if (plan) {
+                plan.buildTime = time;
+                ResamplingPlan.store(plan);
+            }
+        }
+        
+        return {
+            time,
+            mode: job.mode,
+            plan: job.plan ? 'cached' : plan ? 'built' : null,
+            taps: plan ? plan.tapCount : 0,
+            buildTime: plan ? plan.buildTime : null,
+            adaptive: Boolean(kernel.select)
+        };
+    }
+    
+    /**
+     * Convert every frame of a video or sequence onto one lattice. The first
+     * frame is sampled like a still, which leaves its resampling plan in the
+     * cache; the other frames are gathered through it on this thread, one at
+     * a time. Kernels that cannot be planned sample each frame directly.
+     */
+    async convertFrames() {
+        const { rate, frames } = this.sourceFrames;
+        const sources = frames.map(frame => this.getFrameSource(frame));
+        const roi = HexConverterCore.clampRegion(this.roi, sources[0].width, sources[0].height);
+        const lattice = this.createLattice(sources[0].width, sources[0].height, { ...HexConverterCore.outputFormat(sources[0]), region: roi });
+        const kernel = this.getKernel();
+        
+        const first = await this.sampleSource(sources[0], lattice, kernel, 90 / sources.length);
+        const plan = ResamplingPlan.lookup(ResamplingPlan.key(sources[0], lattice, kernel));
+        const mode = plan ? 'resampling plan' : 'per-frame taps';
+        
+        const job = { cancelled: false };
+        this.activeJob = job;
+        const grids = [lattice];
+        const started = performance.now();
+        
+        try {
+            for (let i = 1; i < sources.length; i++) {
+                if (job.cancelled) {
+                    throw new DOMException('Conversion cancelled', 'AbortError');
+                }
+                
+                const grid = new HexGrid({ ...lattice.geometry(), data: new lattice.data.constructor(lattice.data.length) });
+                if (plan) {
+                    plan.apply(sources[i], grid);
+                } else {
+                    HexConverterCore.convertGrid(sources[i], grid, kernel);
+                }
+                grids.push(grid);
+                this.setProgress(((i + 1) / sources.length) * 90,
+                    `Sampling with ${kernel.label} kernel... frame ${i + 1} / ${sources.length} (${mode})`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            if (this.activeJob === job) this.activeJob = null;
+        }
+        
+        this.samplingBenchmark = {
+            ...first,
+            frames: sources.length,
+            // Includes the yields to the page between frames
+            frameTime: sources.length > 1 ? (performance.now() - started) / (sources.length - 1) : null
+        };
+        
+        // A rerun keeps the frame on show
+        this.hexFrames = { rate, grids };
+        this.frameIndex = Math.min(this.frameIndex, grids.length - 1);
+        this.setConvertedLattice(grids[this.frameIndex], kernel, sources[this.frameIndex], roi);
+    }
+    
+    getFrameSource(frame) {
+        return this.bayerSampling && frame.raw?.cfa ? frame.raw : frame.image;
+    }
+    
+    setConvertedLattice(grid, kernel, source, roi = null) {
+        this.hexGrid = grid;
+        this.hexRoi = roi;
+        this.hexHeader = null;
+        this.hexKernel = kernel;
+        this.hexSource = source;
+        this.hexOperations = [];
+        this.hexBase = { grid, operations: [] };
+        this.hexRaster = this.createHexRaster(grid);
+    }
+    
+    getWorkers() {
+        while (this.workers.length < this.workerCount) {
+            this.workers.push(new Worker('hexworker.js'));
+        }
+        return this.workers;
+    }
+    
+    convertWithWorkers(job) {
+        return new Promise((resolve, reject) => {
+            job.mode = `${this.workerCount} worker${this.workerCount > 1 ? 's' : ''}`;
+            job.reject = reject;
+            
+            let workers;
+            try {
+                workers = this.getWorkers();
+            } catch (error) {
+                error.workerUnavailable = true;
+                reject(error);
+                return;
+            }
+            
+            const queue = job.bands.map((band, bandId) => ({ ...band, bandId }));
+            const dispatched = [...queue];
+            let remaining = queue.length;
+            let started = false;
+            
+            const fail = (error) => {
+                // Results still arriving from the other workers must not land in a
+                // failed job; a pool that never started is replaced by the main thread
+                if (!error.workerUnavailable) job.cancelled = true;
+                reject(error);
+            };
+            
+            const dispatch = (worker) => {
+                const band = queue.shift();
+                if (!band || job.cancelled) return;
+                
+                // Each worker only receives the source rows its band samples from
+                const bandGrid = job.grid.band(band.rowStart, band.rowEnd);
+                const source = HexConverterCore.sliceSource(job.source, bandGrid, job.kernel);
+                
+                band.offsetY = source.offsetY;
+                
+                worker.postMessage({
+                    type: 'convert',
+                    jobId: job.id,
+                    bandId: band.bandId,
+                    lattice: bandGrid.geometry(),
+                    rowStart: band.rowStart,
+                    rowEnd: band.rowEnd,
+                    kernel: { name: job.kernel.name, options: job.kernel.options },
+                    source,
+                    plan: Boolean(job.planParts)
+                }, [source.data.buffer]);
+            };
+            
+            workers.forEach(worker => {
+                worker.onmessage = (event) => {
+                    const message = event.data;
+                    if (message.jobId !== job.id || job.cancelled) return;
+                    started = true;
+                    
+                    if (message.type === 'progress') {
+                        job.rowsDone[message.bandId] = message.rows;
+                        this.updateConversionProgress(job);
+                    } else if (message.type === 'done') {
+                        job.grid.data.set(new job.grid.data.constructor(message.data), job.grid.index(0, message.rowStart));
+                        job.rowsDone[message.bandId] = message.rowEnd - message.rowStart;
+                        if (job.planParts && message.plan) {
+                            job.planParts[message.bandId] = {
+                                rowStart: message.rowStart,
+                                offsetY: dispatched[message.bandId].offsetY,
+                                plan: new ResamplingPlan(message.plan)
+                            };
+                        }
+                        this.updateConversionProgress(job);
+                        
+                        if (--remaining === 0) {
+                            resolve();
+                        } else {
+                            dispatch(worker);
+                        }
+                    } else if (message.type === 'error') {
+                        fail(new Error(message.message));
+                    }
+                };
+                
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    const error = new Error(event.message || 'Conversion worker failed to start');
+                    error.workerUnavailable = !started;
+                    fail(error);
+                };
+                
+                dispatch(worker);
+            });
+        });
+    }
+    
+    async convertOnMainThread(job) {
+        job.mode = 'main thread';
+        
+        for (let bandId = 0; bandId < job.bands.length; bandId++) {
+            if (job.cancelled) {
+                throw new DOMException('Conversion cancelled', 'AbortError');
+            }
+            
+            const { rowStart, rowEnd } = job.bands[bandId];
+            const bandGrid = job.grid.band(rowStart, rowEnd);
+            // The band grid sits at its true position, so its plan indexes the whole source
+            const plan = job.planParts ? ResamplingPlan.build(job.source, bandGrid, job.kernel) : null;
+            if (plan) {
+                plan.apply(job.source, bandGrid);
+                job.planParts[bandId] = { rowStart, offsetY: 0, plan };
+            } else {
+                HexConverterCore.convertGrid(job.source, bandGrid, job.kernel);
+            }
+            job.grid.data.set(bandGrid.data, job.grid.index(0, rowStart));
+            job.rowsDone[bandId] = rowEnd - rowStart;
+            this.updateConversionProgress(job);
+            
+            // Let the page repaint and handle the Cancel button between bands
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    
+    /**
+     * Gather every band through the cached plan, yielding between bands so
+     * progress and the Cancel button stay live.
+     */
+    async convertWithPlan(job) {
+        job.mode = 'cached resampling plan';
+        
+        for (let bandId = 0; bandId < job.bands.length; bandId++) {
+            if (job.cancelled) {
+                throw new DOMException('Conversion cancelled', 'AbortError');
+            }
+            
+            const { rowStart, rowEnd } = job.bands[bandId];
+            job.plan.apply(job.source, job.grid, rowStart, rowEnd);
+            job.rowsDone[bandId] = rowEnd - rowStart;
+            this.updateConversionProgress(job);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    
+    evaluateRoundTrip(grid = this.hexGrid) {
+        this.differenceCanvas = null;
+        // Rebuild the orthogonal image from the lattice and compare to the source,
+        // over the region of interest only when there is one
+        // Sensor codes peak at the white level rather than the 16-bit maximum
+        const peak = this.rawImage && !this.rawImage.cfa ? this.rawImage.whiteLevel : undefined;
+        const { reconstruction, metrics } = HexConverterCore.evaluateRoundTrip(this.sourceImageData, grid, peak, this.hexRoi);
+        this.reconstruction = reconstruction;
+        this.roundTripMetrics = metrics;
+    }
+    
+    /**
+     * The part of a full-frame image the lattice on show was converted
+     * from: a crop to its region of interest, or the image itself.
+     */
+    getConvertedArea(image) {
+        return this.hexRoi ? HexConverterCore.cropSource(image, this.hexRoi) : image;
+    }
+    
+    /**
+     * Store the cells as the chosen sample type, every frame of a clip alike.
+     * Runs before the round trip so its figures include the requantisation.
+     */
+    applySampleType() {
+        const SampleArray = HexaImageFormat.SAMPLE_TYPES[this.sampleType];
+        if (!SampleArray || this.hexGrid.data instanceof SampleArray) return;
+        
+        const convert = (grid) => HexConverterCore.convertSampleType(grid, SampleArray);
+        if (this.hexFrames) {
+            this.hexFrames.grids = this.hexFrames.grids.map(convert);
+        }
+        this.hexGrid = this.hexFrames ? this.hexFrames.grids[this.frameIndex] : convert(this.hexGrid);
+        this.hexBase = { grid: this.hexGrid, operations: [] };
+        this.hexRaster = this.createHexRaster(this.hexGrid);
+    }
+    
+    createHexRaster(grid) {
+        // Staggered raster of the lattice, used for display and PNG export
+        return this.rgbaToCanvas(grid.toRaster(this.displayTransfer));
+    }
+    
+    renderSourceImage(image) {
+        return this.rgbaToCanvas(this.displayTransfer.render(image));
+    }
+    
+    rgbaToCanvas({ width, height, data }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        return canvas;
+    }
+    
+    showResults() {
+        const processingTime = performance.now() - this.processingStartTime;
+        const entry = this.activeEntry;
+        
+        // Complete progress bar
+        document.getElementById('progressFill').style.width = '100%';
+        document.getElementById('statusText').textContent = 'Conversion complete!';
+        
+        setTimeout(() => {
+            // In a batch the next file may already be loading
+            if (this.activeEntry !== entry) return;
+            this.hideProcessingStatus();
+            document.getElementById('resultsSection').style.display = 'block';
+            
+            // Display images in canvases
+            this.displayImages();
+            
+            // Update information
+            this.updateProcessingDetails(processingTime);
+            
+            if (this.spectra) this.analyzeSpectra();
+            
+            // The viewers have their size now, so a session's view can be placed
+            if (this.pendingSession && !this.pendingSession.operations) this.applySessionView();
+        }, 500);
+    }
+    
+    displayImages() {
+        // Display original image
+        if (this.originalCanvas && this.originalImage) {
+            const canvas = this.originalCanvas;
+            const ctx = this.originalCtx;
+            
+            canvas.width = canvas.offsetWidth * window.devicePixelRatio;
+            canvas.height = canvas.offsetHeight * window.devicePixelRatio;
+            canvas.style.width = canvas.offsetWidth + 'px';
+            canvas.style.height = canvas.offsetHeight + 'px';
+            ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+            
+            this.drawOriginalImage();
+        } else if (this.originalCtx) {
+            // Nothing to show, e.g. a lattice reopened from an HXI container
+            this.originalCtx.clearRect(0, 0, this.originalCanvas.width, this.originalCanvas.height);
+        }
+        
+        // Display hexagonal image
+        if (this.hexCanvas && this.hexGrid) {
+            const canvas = this.hexCanvas;
+            const ctx = this.hexCtx;
+            
+            canvas.width = canvas.offsetWidth * window.devicePixelRatio;
+            canvas.height = canvas.offsetHeight * window.devicePixelRatio;
+            canvas.style.width = canvas.offsetWidth + 'px';
+            canvas.style.height = canvas.offsetHeight + 'px';
+            ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+            
+            this.drawHexImage();
+        }
+        
+        this.updateCompareControls();
+        this.updateTimeline();
+    }
+    
+    /**
+     * Source-space rectangle both viewers fit to the canvas: the source image
+     * (pixel centres at 0 … n-1, so edges at -0.5) together with the lattice.
+     * Sharing one frame is what lets linked viewers line up exactly.
+     */
+    getViewFrame() {
+        const rects = [];
+        if (this.originalImage) {
+            rects.push({ x: -0.5, y: -0.5, width: this.originalImage.width, height: this.originalImage.height });
+        }
+        if (this.hexGrid) {
+            rects.push(this.hexGrid.bounds());
+        }
+        if (rects.length === 0) return null;
+        
+        const x0 = Math.min(...rects.map(r => r.x));
+        const y0 = Math.min(...rects.map(r => r.y));
+        const x1 = Math.max(...rects.map(r => r.x + r.width));
+        const y1 = Math.max(...rects.map(r => r.y + r.height));
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+    
+    /**
+     * Fit of the view frame into a viewer's canvas, before zoom and pan.
+     * A source point (sx, sy) lands on screen at
+     *   w/2 + zoom · (panX - w/2 + x + fit · (sx - frame.x))
+     * and likewise for y.
+     */
+    getViewLayout(type) {
+        const canvas = type === 'original' ? this.originalCanvas : this.hexCanvas;
+        const frame = this.getViewFrame();
+        if (!canvas || !frame) return null;
+        
+        const width = canvas.offsetWidth;
+        const height = canvas.offsetHeight;
+        const fit = Math.min(width / frame.width, height / frame.height);
+        
+        return {
+            width,
+            height,
+            frame,
+            fit,
+            x: (width - frame.width * fit) / 2,
+            y: (height - frame.height * fit) / 2,
+            zoom: this[type + 'Zoom'],
+            panX: this[type + 'PanX'],
+            panY: this[type + 'PanY']
+        };
+    }
+    
+    applyViewTransform(ctx, layout) {
+        // Zoom and pan about the canvas centre, then fit the frame; afterwards
+        // the context draws in source pixel units
+        ctx.translate(layout.width / 2, layout.height / 2);
+        ctx.scale(layout.zoom, layout.zoom);
+        ctx.translate(-layout.width / 2 + layout.panX, -layout.height / 2 + layout.panY);
+        ctx.translate(layout.x, layout.y);
+        ctx.scale(layout.fit, layout.fit);
+        ctx.translate(-layout.frame.x, -layout.frame.y);
+    }
+    
+    screenToSource(layout, screenX, screenY) {
+        return {
+            x: layout.frame.x + ((screenX - layout.width / 2) / layout.zoom + layout.width / 2 - layout.panX - layout.x) / layout.fit,
+            y: layout.frame.y + ((screenY - layout.height / 2) / layout.zoom + layout.height / 2 - layout.panY - layout.y) / layout.fit
+        };
+    }
+    
+    /**
+     * Source coordinates under a pointer event. Layouts are in CSS pixels,
+     * as the contexts are pre-scaled by devicePixelRatio (see displayImages),
+     * so only the canvas's page offset and any CSS scaling need undoing.
+     * Also returns the canvas-relative `screen` point.
+     */
+    eventToSource(event, type) {
+        const canvas = type === 'original' ? this.originalCanvas : this.hexCanvas;
+        const layout = this.getViewLayout(type);
+        if (!layout) return null;
+        
+        const rect = canvas.getBoundingClientRect();
+        const screen = {
+            x: (event.clientX - rect.left) * layout.width / rect.width,
+            y: (event.clientY - rect.top) * layout.height / rect.height
+        };
+        return { ...this.screenToSource(layout, screen.x, screen.y), screen };
+    }
+    
+    drawOriginalImage() {
+        if (!this.originalCanvas || !this.originalImage || !this.originalCtx) return;
+        
+        const canvas = this.originalCanvas;
+        const ctx = this.originalCtx;
+        const img = this.originalImage;
+        const layout = this.getViewLayout('original');
+        
+        ctx.clearRect(0, 0, canvas.offsetWidth, canvas.offsetHeight);
+        ctx.save();
+        
+        this.applyViewTransform(ctx, layout);
+        ctx.drawImage(img, -0.5, -0.5, img.width, img.height);
+        const roi = this.getRoi();
+        if (roi) this.drawRoi(ctx, layout, img, roi);
+        if (this.inspection) this.drawInspection(ctx, layout, 'original');
+        ctx.restore();
+    }
+    
+    drawRoi(ctx, layout, img, { x, y, width, height }) {
+        // Shade the image outside the region, then outline it
+        ctx.fillStyle = 'rgba(13, 20, 33, 0.55)';
+        ctx.beginPath();
+        ctx.rect(-0.5, -0.5, img.width, img.height);
+        ctx.rect(x - 0.5, y - 0.5, width, height);
+        ctx.fill('evenodd');
+        
+        const scale = layout.fit * layout.zoom;
+        ctx.lineWidth = 2 / scale;
+        ctx.setLineDash([6 / scale, 4 / scale]);
+        ctx.strokeStyle = '#4299e1';
+        ctx.strokeRect(x - 0.5, y - 0.5, width, height);
+        ctx.setLineDash([]);
+    }
+    
+    drawHexImage() {
+        if (!this.hexCanvas || !this.hexGrid || !this.hexCtx) return;
+        
+        const canvas = this.hexCanvas;
+        const ctx = this.hexCtx;
+        const grid = this.hexGrid;
+        const bounds = grid.bounds();
+        const layout = this.getViewLayout('hex');
+        const mode = this.getCompareMode();
+        
+        ctx.clearRect(0, 0, canvas.offsetWidth, canvas.offsetHeight);
+        ctx.save();
+        this.applyViewTransform(ctx, layout);
+        
+        const screenScale = layout.fit * layout.zoom;
+        const cellSize = grid.pitch * screenScale;
+        const range = this.getVisibleHexRange(layout);
+        
+        if (mode === 'difference') {
+            // Per-pixel round-trip error, drawn over the area that was converted
+            const heatmap = this.getDifferenceCanvas();
+            const { x, y } = this.hexRoi || { x: 0, y: 0 };
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(heatmap, x - 0.5, y - 0.5, heatmap.width, heatmap.height);
+        } else if (cellSize >= this.hexCellThreshold) {
+            this.drawHexCells(ctx, grid, range, true);
+        } else {
+            // Keep cell edges crisp so the row stagger stays visible
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(this.hexRaster, bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+        
+        if (mode === 'onion') {
+            ctx.globalAlpha = this.compareAmount;
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(this.originalImage, -0.5, -0.5, this.originalImage.width, this.originalImage.height);
+            ctx.globalAlpha = 1;
+        }
+        
+        // Outlines are unreadable below a few screen pixels per cell
+        if (this.hexShowOutlines && cellSize >= 4) {
+            ctx.lineWidth = 1 / screenScale;
+            ctx.strokeStyle = 'rgba(13, 20, 33, 0.6)';
+            this.drawHexCells(ctx, grid, range, false);
+        }
+        
+        ctx.restore();
+        
+        if (mode === 'swipe') {
+            this.drawSwipe(ctx, layout);
+        }
+        
+        if (this.inspection) {
+            ctx.save();
+            this.applyViewTransform(ctx, layout);
+            this.drawInspection(ctx, layout, 'hex');
+            ctx.restore();
+        }
+    }
+    
+    drawSwipe(ctx, layout) {
+        // Original to the right of the divider, hex lattice to the left
+        const divider = layout.width * this.compareAmount;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(divider, 0, layout.width - divider, layout.height);
+        ctx.clip();
+        ctx.clearRect(divider, 0, layout.width - divider, layout.height);
+        this.applyViewTransform(ctx, layout);
+        ctx.drawImage(this.originalImage, -0.5, -0.5, this.originalImage.width, this.originalImage.height);
+        ctx.restore();
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(226, 232, 240, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(divider, 0);
+        ctx.lineTo(divider, layout.height);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    getVisibleHexRange(layout) {
+        // Invert the view transform for the canvas corners
+        const topLeft = this.screenToSource(layout, 0, 0);
+        const bottomRight = this.screenToSource(layout, layout.width, layout.height);
+        return this.hexGrid.cellRange(topLeft.x, topLeft.y, bottomRight.x, bottomRight.y);
+    }
+    
+    drawHexCells(ctx, grid, range, fill) {
+        const vertices = grid.cellVertices();
+        const rgba = [0, 0, 0, 255];
+        
+        if (!fill) ctx.beginPath();
+        
+        for (let row = range.rowStart; row <= range.rowEnd; row++) {
+            for (let col = range.colStart; col <= range.colEnd; col++) {
+                const center = grid.cellCenter(col, row);
+                
+                if (fill) ctx.beginPath();
+                this.traceHexagon(ctx, center.x, center.y, vertices);
+                
+                if (fill) {
+                    grid.cellToRGBA(col, row, rgba, this.displayTransfer);
+                    ctx.fillStyle = `rgba(${rgba[0]}, ${rgba[1]}, ${rgba[2]}, ${rgba[3] / 255})`;
+                    ctx.fill();
+                }
+            }
+        }
+        
+        if (!fill) ctx.stroke();
+    }
+    
+    traceHexagon(ctx, centerX, centerY, vertices) {
+        for (let i = 0; i < 6; i++) {
+            const x = centerX + vertices[i].x;
+            const y = centerY + vertices[i].y;
+            
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.closePath();
+    }
+    
+    getCompareMode() {
+        // Overlays need the orthogonal source, the heatmap also the reconstruction
+        if (!this.originalImage) return 'hex';
+        if (this.compareMode === 'difference' && !this.reconstruction) return 'hex';
+        return this.compareMode;
+    }
+    
+    setCompareMode(mode) {
+        this.compareMode = mode;
+        this.updateCompareControls();
+        this.drawHexImage();
+    }
+    
+    updateCompareControls() {
+        const select = document.getElementById('compareMode');
+        const amount = document.getElementById('compareAmount');
+        const info = document.getElementById('compareInfo');
+        if (!select) return;
+        
+        select.querySelector('option[value="swipe"]').disabled = !this.originalImage;
+        select.querySelector('option[value="onion"]').disabled = !this.originalImage;
+        select.querySelector('option[value="difference"]').disabled = !this.reconstruction;
+        select.value = this.getCompareMode();
+        
+        // The slider is the swipe position or the onion-skin opacity
+        const mode = this.getCompareMode();
+        amount.disabled = mode !== 'swipe' && mode !== 'onion';
+        amount.value = Math.round(this.compareAmount * 100);
+        
+        if (info) {
+            const scale = this.sourceImageData ? HexConverterCore.fullScale(this.sourceImageData.data) : 1;
+            info.textContent = mode === 'difference'
+                ? `Round-trip error: black = 0, white = ${this.formatSampleValue(this.differenceMax, scale)} (largest |Δ|)`
+                : '';
+        }
+    }
+    
+    formatSampleValue(value, scale) {
+        return scale === 1 ? value.toFixed(4) : value.toFixed(1);
+    }
+    
+    getDifferenceCanvas() {
+        if (this.differenceCanvas) return this.differenceCanvas;
+        
+        // Colour error between the source and the lattice's reconstruction
+        const source = this.getConvertedArea(this.sourceImageData);
+        const difference = ImageMetrics.differenceMap(
+            source.data, this.reconstruction.data, source.width, source.height, source.channels
+        );
+        this.differenceMax = difference.reduce((max, value) => Math.max(max, value), 0);
+        
+        const rgba = new Uint8ClampedArray(source.width * source.height * 4);
+        const color = [0, 0, 0];
+        for (let i = 0; i < difference.length; i++) {
+            this.heatmapColor(this.differenceMax > 0 ? difference[i] / this.differenceMax : 0, color);
+            rgba[i * 4] = color[0];
+            rgba[i * 4 + 1] = color[1];
+            rgba[i * 4 + 2] = color[2];
+            rgba[i * 4 + 3] = 255;
+        }
+        
+        this.differenceCanvas = this.rgbaToCanvas({ width: source.width, height: source.height, data: rgba });
+        this.updateCompareControls();
+        return this.differenceCanvas;
+    }
+    
+    heatmapColor(t, out) {
+        // Piecewise-linear ramp through HexaImageConverter.HEATMAP stops
+        const stops = HexaImageConverter.HEATMAP;
+        const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const i = Math.min(stops.length - 2, Math.floor(position));
+        const f = position - i;
+        for (let c = 0; c < 3; c++) {
+            out[c] = stops[i][c] + (stops[i + 1][c] - stops[i][c]) * f;
+        }
+        return out;
+    }
+    
+    /**
+     * Hover inspector. Over the hex viewer: the cell under the pointer, its
+     * stored value and the source window it was sampled from. Over the
+     * original: the pixel and every cell it feeds. Both viewers highlight
+     * the result in source coordinates.
+     */
+    inspect(event, type) {
+        if (this.originalIsPanning || this.hexIsPanning || this.roiDrag || !this.hexGrid) return;
+        
+        const point = this.eventToSource(event, type);
+        if (!point) return;
+        
+        // Sampling details need the source and kernel the lattice came from
+        const sampled = this.hexSource && this.hexKernel;
+        let target = null;
+        
+        if (type === 'hex') {
+            const cell = this.hexGrid.cellAt(point.x, point.y);
+            if (cell) target = { type, key: `${cell.col},${cell.row}`, cell };
+        } else if (this.sourceImageData) {
+            const x = Math.round(point.x);
+            const y = Math.round(point.y);
+            if (x >= 0 && y >= 0 && x < this.sourceImageData.width && y < this.sourceImageData.height) {
+                target = { type, key: `${x},${y}`, pixel: { x, y } };
+            }
+        }
+        
+        if (target?.type !== this.inspection?.type || target?.key !== this.inspection?.key) {
+            if (target?.type === 'hex') {
+                target.window = sampled
+                    ? HexConverterCore.cellTaps(this.hexSource, this.hexGrid, target.cell.col, target.cell.row, this.hexKernel)
+                    : null;
+            } else if (target) {
+                target.cells = sampled
+                    ? HexConverterCore.pixelContributions(this.hexSource, this.hexGrid, target.pixel.x, target.pixel.y, this.hexKernel)
+                    : [];
+            }
+            
+            this.inspection = target;
+            this.drawOriginalImage();
+            this.drawHexImage();
+        }
+        
+        this.showInspector(type, point.screen);
+    }
+    
+    clearInspection() {
+        ['original', 'hex'].forEach(type => {
+            const panel = document.getElementById(type + 'Inspector');
+            if (panel) panel.hidden = true;
+        });
+        
+        if (!this.inspection) return;
+        this.inspection = null;
+        this.drawOriginalImage();
+        this.drawHexImage();
+    }
+    
+    showInspector(type, screen) {
+        const panel = document.getElementById(type + 'Inspector');
+        if (!panel) return;
+        if (!this.inspection) {
+            panel.hidden = true;
+            return;
+        }
+        
+        panel.textContent = this.describeInspection().join('\n');
+        panel.hidden = false;
+        
+        // Follow the pointer, flipping to its other side near the canvas edges
+        const canvas = type === 'original' ? this.originalCanvas : this.hexCanvas;
+        const offset = 16;
+        const left = screen.x + offset + panel.offsetWidth > canvas.offsetWidth
+            ? screen.x - offset - panel.offsetWidth
+            : screen.x + offset;
+        const top = Math.min(screen.y + offset, canvas.offsetHeight - panel.offsetHeight);
+        panel.style.left = `${Math.max(0, left)}px`;
+        panel.style.top = `${Math.max(0, top)}px`;
+    }
+    
+    describeInspection() {
+        const inspection = this.inspection;
+        const grid = this.hexGrid;
+        const limit = HexaImageConverter.INSPECTOR_ROWS;
+        const lines = [];
+        const byWeight = (a, b) => Math.abs(b.weight) - Math.abs(a.weight);
+        
+        if (inspection.type === 'hex') {
+            const { col, row, q, r } = inspection.cell;
+            const center = grid.cellCenter(col, row);
+            lines.push(`Cell (q, r) = (${q}, ${r}), offset (${col}, ${row})`);
+            lines.push(`Centre (${center.x.toFixed(2)}, ${center.y.toFixed(2)}) px`);
+            lines.push(`Value ${this.formatSamples(grid.data, grid.index(col, row), grid.channels)} (${HexaImageFormat.LAYOUTS[grid.channels]})`);
+            if (this.hexOperations.length > 0) {
+                lines.push(`  after ${this.hexOperations.map(operation => operation.name).join(' → ')}; window below is the sampling`);
+            }
+            
+            const window = inspection.window;
+            if (!window) {
+                lines.push('Source window unavailable (no source loaded)');
+                return lines;
+            }
+            
+            // Adaptive kernels pick a kernel per cell
+            const picked = window.kernel === this.hexKernel ? '' : ` (picked by ${this.hexKernel.label})`;
+            const alpha = window.taps.every(tap => tap.colorWeight !== undefined);
+            lines.push(`${window.kernel.label}${picked}: ${window.taps.length} samples${alpha ? ' (kernel / alpha-weighted weight)' : ''}`);
+            
+            const mosaic = this.hexSource.cfa ? this.hexSource : null;
+            window.taps.slice().sort(byWeight).slice(0, limit).forEach(tap => {
+                const site = mosaic ? ` ${'RGB'[tap.color]} ${mosaic.data[tap.y * mosaic.width + tap.x]}` : '';
+                const colorWeight = alpha ? ` / ${tap.colorWeight.toFixed(4)}` : '';
+                lines.push(`  (${tap.x}, ${tap.y})${site}  ${tap.weight.toFixed(4)}${colorWeight}`);
+            });
+            if (window.taps.length > limit) lines.push(`  … ${window.taps.length - limit} more`);
+            return lines;
+        }
+        
+        const { x, y } = inspection.pixel;
+        const image = this.sourceImageData;
+        lines.push(`Pixel (${x}, ${y})`);
+        lines.push(`Value ${this.formatSamples(image.data, (y * image.width + x) * image.channels, image.channels)} (${HexaImageFormat.LAYOUTS[image.channels]})`);
+        
+        const cfa = this.rawImage?.cfa;
+        if (cfa) {
+            const color = cfa.pattern[(y % cfa.height) * cfa.width + (x % cfa.width)];
+            lines.push(`Sensor ${'RGB'[color]} ${this.rawImage.data[y * this.rawImage.width + x]}`);
         }
+        
+        const cells = inspection.cells;
+        lines.push(`Feeds ${cells.length} cell${cells.length === 1 ? '' : 's'}`);
+        cells.slice().sort(byWeight).slice(0, limit).forEach(({ col, row, weight }) => {
+            const { q, r } = grid.offsetToAxial(col, row);
+            lines.push(`  (q, r) = (${q}, ${r})  ${weight.toFixed(4)}`);
+        });
+        if (cells.length > limit) lines.push(`  … ${cells.length - limit} more`);
+        return lines;
     }
     
-    drawOriginalImage() {
-        if (!this.originalCanvas || !this.originalImage || !this.originalCtx) return;
+    formatSamples(data, index, channels) {
+        const float = HexConverterCore.fullScale(data) === 1;
+        return Array.from(data.subarray(index, index + channels), value => (float ? value.toFixed(4) : String(value))).join(' ');
+    }
+    
+    drawInspection(ctx, layout, viewer) {
+        const inspection = this.inspection;
+        const grid = this.hexGrid;
+        const vertices = grid.cellVertices();
         
-        const canvas = this.originalCanvas;
-        const ctx = this.originalCtx;
-        const img = this.originalImage;
+        // Line widths stay constant on screen whatever the zoom
+        ctx.lineWidth = 2 / (layout.fit * layout.zoom);
         
-        ctx.clearRect(0, 0, canvas.offsetWidth, canvas.offsetHeight);
-        ctx.save();
+        if (inspection.type === 'hex') {
+            const taps = inspection.window?.taps || [];
+            if (viewer === 'original' && taps.length > 0) {
+                // Source window shaded by weight, negative lobes in red
+                const max = Math.max(...taps.map(tap => Math.abs(tap.weight))) || 1;
+                taps.forEach(tap => {
+                    const alpha = 0.15 + 0.6 * Math.abs(tap.weight) / max;
+                    ctx.fillStyle = tap.weight < 0 ? `rgba(245, 101, 101, ${alpha})` : `rgba(246, 224, 94, ${alpha})`;
+                    ctx.fillRect(tap.x - 0.5, tap.y - 0.5, 1, 1);
+                });
+            }
+            
+            const center = grid.cellCenter(inspection.cell.col, inspection.cell.row);
+            ctx.strokeStyle = '#f6e05e';
+            ctx.beginPath();
+            this.traceHexagon(ctx, center.x, center.y, vertices);
+            ctx.stroke();
+            return;
+        }
+        
+        // Every cell the pixel feeds, more opaque for larger weights
+        const cells = inspection.cells;
+        const max = Math.max(...cells.map(cell => Math.abs(cell.weight))) || 1;
+        cells.forEach(({ col, row, weight }) => {
+            const alpha = 0.25 + 0.75 * Math.abs(weight) / max;
+            const center = grid.cellCenter(col, row);
+            ctx.strokeStyle = weight < 0 ? `rgba(245, 101, 101, ${alpha})` : `rgba(246, 224, 94, ${alpha})`;
+            ctx.beginPath();
+            this.traceHexagon(ctx, center.x, center.y, vertices);
+            ctx.stroke();
+        });
         
-        // Apply zoom and pan
-        ctx.translate(canvas.offsetWidth / 2, canvas.offsetHeight / 2);
-        ctx.scale(this.originalZoom, this.originalZoom);
-        ctx.translate(-canvas.offsetWidth / 2 + this.originalPanX, -canvas.offsetHeight / 2 + this.originalPanY);
+        ctx.strokeStyle = '#4299e1';
+        ctx.strokeRect(inspection.pixel.x - 0.5, inspection.pixel.y - 0.5, 1, 1);
+    }
+    
+    /**
+     * Show frame `index` of the clip in both viewers. Playback and dragging
+     * the timeline skip the round-trip evaluation to keep up.
+     */
+    showFrame(index, evaluate = true) {
+        if (!this.hexFrames) return;
         
-        // Calculate scale to fit image in canvas
-        const scale = Math.min(canvas.offsetWidth / img.width, canvas.offsetHeight / img.height);
-        const scaledWidth = img.width * scale;
-        const scaledHeight = img.height * scale;
+        this.frameIndex = index;
+        this.hexGrid = this.hexFrames.grids[index];
+        this.hexBase = { grid: this.hexGrid, operations: [...this.hexOperations] };
+        this.hexRaster = this.createHexRaster(this.hexGrid);
+        this.inspection = null;
         
-        const x = (canvas.offsetWidth - scaledWidth) / 2;
-        const y = (canvas.offsetHeight - scaledHeight) / 2;
+        if (this.sourceFrames) {
+            const frame = this.sourceFrames.frames[index];
+            this.sourceImageData = frame.image;
+            this.rawImage = frame.raw;
+            this.hexSource = this.getFrameSource(frame);
+            this.originalImage = this.renderSourceImage(frame.image);
+            this.reconstruction = null;
+            this.roundTripMetrics = null;
+            this.differenceCanvas = null;
+            if (evaluate) this.evaluateRoundTrip();
+        }
         
-        ctx.drawImage(img, x, y, scaledWidth, scaledHeight);
-        ctx.restore();
+        this.drawOriginalImage();
+        this.drawHexImage();
+        this.updateTimeline();
+        if (evaluate) {
+            this.updateRoundTripDetails();
+            this.updateCompareControls();
+            if (this.spectra) this.analyzeSpectra();
+        }
     }
     
-    drawHexImage() {
-        if (!this.hexCanvas || !this.hexagonalImage || !this.hexCtx) return;
+    updateTimeline() {
+        const timeline = document.getElementById('timeline');
+        if (!timeline) return;
         
-        const canvas = this.hexCanvas;
-        const ctx = this.hexCtx;
-        const img = this.hexagonalImage;
+        timeline.hidden = !this.hexFrames;
+        document.getElementById('downloadWebmBtn').style.display =
+            this.hexFrames && typeof MediaRecorder !== 'undefined' ? '' : 'none';
+        if (!this.hexFrames) return;
         
-        ctx.clearRect(0, 0, canvas.offsetWidth, canvas.offsetHeight);
-        ctx.save();
+        const count = this.hexFrames.grids.length;
+        const slider = document.getElementById('frameSlider');
+        slider.max = count - 1;
+        slider.value = this.frameIndex;
+        document.getElementById('playFrames').textContent = this.playbackTimer ? '⏸ Pause' : '▶ Play';
+        
+        const total = this.sourceFrames?.total ?? count;
+        const name = this.sourceFrames?.frames[this.frameIndex].name;
+        document.getElementById('frameLabel').textContent = [
+            `Frame ${this.frameIndex + 1} / ${count}${total > count ? ` (first ${count} of ${total})` : ''}`,
+            `${this.hexFrames.rate} fps`,
+            name
+        ].filter(Boolean).join(' · ');
+    }
+    
+    togglePlayback() {
+        if (this.playbackTimer) {
+            this.stopPlayback();
+        } else {
+            this.startPlayback();
+        }
+    }
+    
+    startPlayback() {
+        if (!this.hexFrames || this.hexFrames.grids.length < 2 || this.isQueueBusy()) return;
         
-        // Apply zoom and pan
-        ctx.translate(canvas.offsetWidth / 2, canvas.offsetHeight / 2);
-        ctx.scale(this.hexZoom, this.hexZoom);
-        ctx.translate(-canvas.offsetWidth / 2 + this.hexPanX, -canvas.offsetHeight / 2 + this.hexPanY);
+        this.playbackTimer = setInterval(() => {
+            this.showFrame((this.frameIndex + 1) % this.hexFrames.grids.length, false);
+        }, 1000 / this.hexFrames.rate);
+        this.updateTimeline();
+    }
+    
+    /**
+     * Stop playing; with `show`, evaluate the frame it stopped on.
+     */
+    stopPlayback(show = true) {
+        if (!this.playbackTimer) return;
         
-        // Calculate scale to fit image in canvas
-        const scale = Math.min(canvas.offsetWidth / img.width, canvas.offsetHeight / img.height);
-        const scaledWidth = img.width * scale;
-        const scaledHeight = img.height * scale;
+        clearInterval(this.playbackTimer);
+        this.playbackTimer = null;
+        if (show) {
+            this.showFrame(this.frameIndex);
+        } else {
+            this.updateTimeline();
+        }
+    }
+    
+    toggleHexOutlines() {
+        this.hexShowOutlines = !this.hexShowOutlines;
         
-        const x = (canvas.offsetWidth - scaledWidth) / 2;
-        const y = (canvas.offsetHeight - scaledHeight) / 2;
+        const button = document.getElementById('toggleOutlinesHex');
+        if (button) {
+            button.textContent = `⬡ Outlines: ${this.hexShowOutlines ? 'On' : 'Off'}`;
+            button.classList.toggle('active', this.hexShowOutlines);
+            button.setAttribute('aria-pressed', String(this.hexShowOutlines));
+        }
         
-        ctx.drawImage(img, x, y, scaledWidth, scaledHeight);
-        ctx.restore();
+        this.drawHexImage();
     }
     
     updateProcessingDetails(processingTime) {
         if (this.originalImage) {
+            const rawDetails = this.rawImage ? ` (${RawDecoder.describe(this.rawImage)})` : '';
+            const frames = this.sourceFrames ? `, ${this.sourceFrames.frames.length} frames` : '';
+            const region = this.hexRoi ? `, region ${this.formatRegion(this.hexRoi)}` : '';
             document.getElementById('originalInfo').textContent = 
-                `Resolution: ${this.originalImage.width} × ${this.originalImage.height}`;
+                `Resolution: ${this.originalImage.width} × ${this.originalImage.height}${rawDetails}${frames}${region}`;
             document.getElementById('originalSize').textContent = 
                 `${this.originalImage.width} × ${this.originalImage.height}`;
+        } else {
+            // Opened from an HXI container: only the recorded source metadata is known
+            const source = this.hexHeader?.source || {};
+            const size = source.width ? `${source.width} × ${source.height}` : '-';
+            const region = this.hexRoi ? `, region ${this.formatRegion(this.hexRoi)}` : '';
+            document.getElementById('originalInfo').textContent = 
+                `Source not loaded (${source.name || 'unknown'}, ${size}${region})`;
+            document.getElementById('originalSize').textContent = size;
         }
         
-        if (this.hexagonalImage) {
+        if (this.hexGrid) {
+            const samples = `${HexaImageFormat.sampleTypeOf(this.hexGrid.data)} ${HexaImageFormat.LAYOUTS[this.hexGrid.channels]}`;
             document.getElementById('hexInfo').textContent = 
-                `Hexagonal pixels: ${this.hexagonalImage.width} × ${this.hexagonalImage.height}`;
+                `Hexagonal pixels: ${this.hexGrid.columns} × ${this.hexGrid.rows} (${this.hexGrid.orientation}-top, ${samples})`;
             document.getElementById('hexSize').textContent = 
-                `${this.hexagonalImage.width} × ${this.hexagonalImage.height}`;
+                `${this.hexGrid.columns} × ${this.hexGrid.rows} @ ${this.hexGrid.pitch.toFixed(3)}px pitch`;
         }
         
         document.getElementById('processingTime').textContent = 
             `${(processingTime / 1000).toFixed(2)}s`;
         
-        if (this.originalImage && this.hexagonalImage) {
-            const originalPixels = this.originalImage.width * this.originalImage.height;
-            const hexPixels = this.hexagonalImage.width * this.hexagonalImage.height;
-            const ratio = ((1 - hexPixels / originalPixels) * 100).toFixed(1);
-            document.getElementById('compressionRatio').textContent = `${ratio}% fewer pixels`;
+        if (this.hexGrid) {
+            // TIFF exports default to the resolution of the converted area
+            document.getElementById('tiffWidth').value = this.getExportArea().width;
+        }
+        this.updateExportControls();
+        document.getElementById('samplingBenchmark').textContent = 
+            this.samplingBenchmark ? this.describeSamplingBenchmark(this.samplingBenchmark) : '-';
+        
+        this.updateOperatorControls();
+        
+        if (this.hexKernel) {
+            const sigma = this.hexKernel.options.sigma;
+            document.getElementById('kernelUsed').textContent = 
+                sigma !== undefined ? `${this.hexKernel.label} (σ = ${sigma})` : this.hexKernel.label;
+        } else {
+            document.getElementById('kernelUsed').textContent = this.hexHeader?.kernel?.name || '-';
+        }
+        
+        if (this.originalImage && this.hexGrid) {
+            const area = this.hexRoi || this.originalImage;
+            const { pixelRatio, density } = HexConverterCore.samplingStats(area.width, area.height, this.hexGrid);
+            const ratio = pixelRatio * 100;
+            
+            document.getElementById('compressionRatio').textContent = 
+                `${Math.abs(ratio).toFixed(1)}% ${ratio >= 0 ? 'fewer' : 'more'} pixels`;
+            document.getElementById('samplingDensity').textContent = 
+                `${density.toFixed(3)} cells/px²`;
+        }
+        
+        this.updateRoundTripDetails();
+        this.syncRoiControls();
+    }
+    
+    formatRegion({ x, y, width, height }) {
+        return `${width} × ${height} at (${x}, ${y})`;
+    }
+    
+    /**
+     * One line on how the cells were sampled, for comparing a first run,
+     * which builds the resampling plan, with runs that reuse it.
+     */
+    describeSamplingBenchmark({ time, mode, plan, taps, buildTime, adaptive, frames, frameTime }) {
+        const duration = (ms) => ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)}s`;
+        const tapCount = taps >= 1e6 ? `${(taps / 1e6).toFixed(1)}M taps` : `${Math.round(taps / 1000)}k taps`;
+        let text;
+        if (plan === 'cached') {
+            const speedup = buildTime / Math.max(time, 1);
+            text = `${duration(time)} from cached plan (${tapCount}, ${(taps / 1000 / Math.max(time, 1)).toFixed(0)}M taps/s; ` +
+                `built in ${duration(buildTime)}, ${speedup.toFixed(1)}× faster)`;
+        } else if (plan === 'built') {
+            text = `${duration(time)} (${mode}), plan built (${tapCount}, reused by the next conversion)`;
+        } else {
+            text = `${duration(time)} (${mode}), no plan (${adaptive ? 'content-adaptive kernel' : 'too many taps'})`;
+        }
+        
+        if (frames) {
+            const rest = frameTime === null ? '' : `, then ${duration(frameTime)} per frame`;
+            text = `${frames} frames: first ${text}${rest}`;
+        }
+        return text;
+    }
+    
+    updateRoundTripDetails() {
+        if (this.roundTripMetrics) {
+            const { mse, psnr, ssim } = this.roundTripMetrics;
+            document.getElementById('roundTripPsnr').textContent = 
+                Number.isFinite(psnr) ? `${psnr.toFixed(2)} dB` : '∞ (lossless)';
+            document.getElementById('roundTripSsim').textContent = ssim.toFixed(4);
+            document.getElementById('roundTripMse').textContent = 
+                mse.map(value => value.toFixed(2)).join(' / ');
+            // One value per colour channel, Y or RGB; alpha is not compared
+            const layout = HexaImageFormat.LAYOUTS[mse.length];
+            document.getElementById('roundTripMseLabel').textContent = 
+                layout ? `MSE (${layout.split('').join(' / ')}):` : 'MSE per channel:';
+        } else {
+            ['roundTripPsnr', 'roundTripSsim', 'roundTripMse'].forEach(id => {
+                document.getElementById(id).textContent = '-';
+            });
+            document.getElementById('roundTripMseLabel').textContent = 'MSE per channel:';
         }
     }
     
     // Zoom and pan methods for original image
-    zoomOriginal(factor) {
-        this.originalZoom = Math.max(0.1, Math.min(5, this.originalZoom * factor));
-        this.updateOriginalZoomDisplay();
-        this.drawOriginalImage();
+    zoomOriginal(factor, anchor = null) {
+        this.zoomView('original', this.originalZoom * factor, anchor);
     }
     
     updateOriginalZoomDisplay() {
@@ -445,13 +3160,12 @@ class HexaImageConverter {
         this.originalPanY = 0;
         this.updateOriginalZoomDisplay();
         this.drawOriginalImage();
+        this.syncFrom('original');
     }
     
     // Zoom and pan methods for hex image
-    zoomHex(factor) {
-        this.hexZoom = Math.max(0.1, Math.min(5, this.hexZoom * factor));
-        this.updateHexZoomDisplay();
-        this.drawHexImage();
+    zoomHex(factor, anchor = null) {
+        this.zoomView('hex', this.hexZoom * factor, anchor);
     }
     
     updateHexZoomDisplay() {
@@ -465,6 +3179,151 @@ class HexaImageConverter {
         this.hexPanY = 0;
         this.updateHexZoomDisplay();
         this.drawHexImage();
+        this.syncFrom('hex');
+    }
+    
+    clampZoom(zoom) {
+        return Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    }
+    
+    /**
+     * Set a viewer's zoom, within the zoom limits. The source point under
+     * `anchor` ({ x, y } in canvas pixels, the centre by default) stays
+     * where it is on screen.
+     */
+    zoomView(type, zoom, anchor = null) {
+        const layout = this.getViewLayout(type);
+        const previous = this[type + 'Zoom'];
+        const next = this.clampZoom(zoom);
+        
+        if (layout && anchor) {
+            // Solve the layout equation (see getViewLayout) for the anchor's source point
+            const change = 1 / next - 1 / previous;
+            this[type + 'PanX'] += (anchor.x - layout.width / 2) * change;
+            this[type + 'PanY'] += (anchor.y - layout.height / 2) * change;
+        }
+        this[type + 'Zoom'] = next;
+        
+        if (type === 'original') {
+            this.updateOriginalZoomDisplay();
+            this.drawOriginalImage();
+        } else {
+            this.updateHexZoomDisplay();
+            this.drawHexImage();
+        }
+        this.syncFrom(type);
+    }
+    
+    /**
+     * Zoom so one source pixel covers one device pixel, about the centre.
+     */
+    showActualPixels(type) {
+        const layout = this.getViewLayout(type);
+        if (!layout || !(layout.fit > 0)) return;
+        this.zoomView(type, 1 / (layout.fit * (window.devicePixelRatio || 1)));
+    }
+    
+    setMaxZoom(maxZoom) {
+        if (!HexaImageConverter.MAX_ZOOMS.includes(maxZoom)) return;
+        this.maxZoom = maxZoom;
+        const select = document.getElementById('maxZoom');
+        if (select) select.value = String(maxZoom);
+        
+        // Views zoomed in past a lowered limit come back within it
+        this.zoomView('original', this.originalZoom);
+        this.zoomView('hex', this.hexZoom);
+    }
+    
+    /**
+     * Move the other viewer so its centre shows the same source point at the
+     * same on-screen scale as `type`. Works from source coordinates rather
+     * than copying zoom and pan, so canvases of different sizes still agree.
+     */
+    syncFrom(type) {
+        if (!this.syncViews) return;
+        
+        const other = type === 'original' ? 'hex' : 'original';
+        const from = this.getViewLayout(type);
+        const to = this.getViewLayout(other);
+        if (!from || !to) return;
+        
+        const center = this.screenToSource(from, from.width / 2, from.height / 2);
+        const zoom = this.clampZoom((from.fit * from.zoom) / to.fit);
+        
+        // Solve the layout equation (see getViewLayout) for the centre point
+        this[other + 'Zoom'] = zoom;
+        this[other + 'PanX'] = to.width / 2 - to.x - to.fit * (center.x - to.frame.x);
+        this[other + 'PanY'] = to.height / 2 - to.y - to.fit * (center.y - to.frame.y);
+        
+        if (other === 'original') {
+            this.updateOriginalZoomDisplay();
+            this.drawOriginalImage();
+        } else {
+            this.updateHexZoomDisplay();
+            this.drawHexImage();
+        }
+    }
+    
+    /**
+     * Comparison and overlay settings plus, per viewer, its zoom and the
+     * source point at its centre, so the view survives a different canvas
+     * size on another screen.
+     */
+    getViewState() {
+        const view = {
+            syncViews: this.syncViews,
+            compareMode: this.compareMode,
+            compareAmount: this.compareAmount,
+            hexShowOutlines: this.hexShowOutlines,
+            maxZoom: this.maxZoom
+        };
+        ['original', 'hex'].forEach(type => {
+            const layout = this.getViewLayout(type);
+            view[type] = layout?.fit > 0
+                ? { zoom: layout.zoom, center: this.screenToSource(layout, layout.width / 2, layout.height / 2) }
+                : null;
+        });
+        return view;
+    }
+    
+    setViewState(view) {
+        if (typeof view.syncViews === 'boolean' && view.syncViews !== this.syncViews) this.toggleSyncViews();
+        if (typeof view.hexShowOutlines === 'boolean' && view.hexShowOutlines !== this.hexShowOutlines) this.toggleHexOutlines();
+        if (HexaImageConverter.COMPARE_MODES.includes(view.compareMode)) this.compareMode = view.compareMode;
+        if (Number.isFinite(view.compareAmount)) this.compareAmount = Math.max(0, Math.min(1, view.compareAmount));
+        this.setMaxZoom(view.maxZoom);
+        
+        ['original', 'hex'].forEach(type => {
+            const saved = view[type];
+            const layout = this.getViewLayout(type);
+            if (!layout || !(layout.fit > 0) || !Number.isFinite(saved?.zoom)) return;
+            if (!Number.isFinite(saved.center?.x) || !Number.isFinite(saved.center?.y)) return;
+            
+            // As in syncFrom: pan that puts the saved point at the centre
+            this[type + 'Zoom'] = this.clampZoom(saved.zoom);
+            this[type + 'PanX'] = layout.width / 2 - layout.x - layout.fit * (saved.center.x - layout.frame.x);
+            this[type + 'PanY'] = layout.height / 2 - layout.y - layout.fit * (saved.center.y - layout.frame.y);
+        });
+        
+        this.updateOriginalZoomDisplay();
+        this.updateHexZoomDisplay();
+        this.updateCompareControls();
+        this.drawOriginalImage();
+        this.drawHexImage();
+    }
+    
+    toggleSyncViews() {
+        this.syncViews = !this.syncViews;
+        
+        const button = document.getElementById('toggleSync');
+        if (button) {
+            button.textContent = `🔗 Sync: ${this.syncViews ? 'On' : 'Off'}`;
+            button.classList.toggle('active', this.syncViews);
+            button.setAttribute('aria-pressed', String(this.syncViews));
+        }
+        
+        // Linking snaps the original viewer onto the hex viewer
+        this.syncFrom('hex');
     }
     
     // Pan interaction methods
@@ -474,6 +3333,7 @@ class HexaImageConverter {
         
         this[prop] = true;
         this[lastProp] = { x: event.clientX, y: event.clientY };
+        this.clearInspection();
     }
     
     pan(event, type) {
@@ -488,11 +3348,14 @@ class HexaImageConverter {
         const deltaX = event.clientX - this[lastProp].x;
         const deltaY = event.clientY - this[lastProp].y;
         
-        this[panXProp] += deltaX;
-        this[panYProp] += deltaY;
+        // Pan is applied before zoom (see getViewLayout), so the image follows the pointer
+        const zoom = this[type + 'Zoom'];
+        this[panXProp] += deltaX / zoom;
+        this[panYProp] += deltaY / zoom;
         
         this[lastProp] = { x: event.clientX, y: event.clientY };
         this[drawMethod]();
+        this.syncFrom(type);
     }
     
     endPan(type) {
@@ -503,40 +3366,589 @@ class HexaImageConverter {
         this[lastProp] = null;
     }
     
+    // Region of interest dragging on the original viewer
+    startRoiDrag(event) {
+        const point = this.eventToSource(event, 'original');
+        if (!point || !this.sourceImageData) return;
+        
+        this.clearInspection();
+        this.roiDrag = { anchor: point, previous: this.roi, moved: false };
+    }
+    
+    dragRoi(event) {
+        if (!this.roiDrag) return;
+        const point = this.eventToSource(event, 'original');
+        if (!point) return;
+        
+        this.roiDrag.moved = true;
+        this.roi = this.regionFromDrag(this.roiDrag.anchor, point);
+        this.syncRoiControls();
+        this.drawOriginalImage();
+    }
+    
+    endRoiDrag() {
+        const drag = this.roiDrag;
+        if (!drag) return;
+        
+        this.roiDrag = null;
+        // A click without dragging keeps the region there was
+        this.setRoi(drag.moved ? this.roi : drag.previous);
+    }
+    
+    /**
+     * Whole-pixel rectangle between the drag's anchor and `point`, both in
+     * source coordinates, inside the image and at the locked aspect ratio.
+     */
+    regionFromDrag(anchor, point) {
+        const { width, height } = this.sourceImageData;
+        // Pixel edges rather than centres, 0 … width
+        const edgeX = (x) => Math.max(0, Math.min(width, x + 0.5));
+        const edgeY = (y) => Math.max(0, Math.min(height, y + 0.5));
+        const x0 = edgeX(anchor.x);
+        const y0 = edgeY(anchor.y);
+        let dx = edgeX(point.x) - x0;
+        let dy = edgeY(point.y) - y0;
+        
+        // Shortening the longer side keeps a locked rectangle inside the image
+        const aspect = this.getRoiAspect();
+        if (aspect && Math.abs(dx) > Math.abs(dy) * aspect) {
+            dx = Math.sign(dx) * Math.abs(dy) * aspect;
+        } else if (aspect) {
+            dy = Math.sign(dy) * Math.abs(dx) / aspect;
+        }
+        
+        return {
+            x: Math.round(Math.min(x0, x0 + dx)),
+            y: Math.round(Math.min(y0, y0 + dy)),
+            width: Math.max(1, Math.round(Math.abs(dx))),
+            height: Math.max(1, Math.round(Math.abs(dy)))
+        };
+    }
+    
     handleWheel(event, type) {
         event.preventDefault();
         const factor = event.deltaY > 0 ? 0.9 : 1.1;
+        // Zoom about the point under the cursor
+        const { screen } = this.eventToSource(event, type) || {};
         
         if (type === 'original') {
-            this.zoomOriginal(factor);
+            this.zoomOriginal(factor, screen);
         } else {
-            this.zoomHex(factor);
+            this.zoomHex(factor, screen);
         }
     }
     
     handleTouchStart(event, type) {
+        // More fingers are left to the browser
+        if (event.touches.length > 2) return;
         event.preventDefault();
-        if (event.touches.length === 1) {
-            const touch = event.touches[0];
-            this.startPan({ clientX: touch.clientX, clientY: touch.clientY }, type);
-        }
+        this.startTouches(event.touches, type);
     }
     
     handleTouchMove(event, type) {
+        if (event.touches.length > 2) return;
         event.preventDefault();
+        
         if (event.touches.length === 1 && this[type === 'original' ? 'originalIsPanning' : 'hexIsPanning']) {
             const touch = event.touches[0];
             this.pan({ clientX: touch.clientX, clientY: touch.clientY }, type);
+            return;
+        }
+        
+        const pinch = this.pinch;
+        if (event.touches.length !== 2 || pinch?.type !== type) return;
+        const { distance, center } = this.measurePinch(event.touches, type);
+        if (!center || !(distance > 0)) return;
+        
+        // Carry the point under the old midpoint to the new one, then zoom
+        // about it by the change in spread; the angle between the fingers is ignored
+        const zoom = this[type + 'Zoom'];
+        this[type + 'PanX'] += (center.x - pinch.center.x) / zoom;
+        this[type + 'PanY'] += (center.y - pinch.center.y) / zoom;
+        this.zoomView(type, zoom * distance / pinch.distance, center);
+        this.pinch = { type, distance, center };
+    }
+    
+    handleTouchEnd(event, type) {
+        this.endPan(type);
+        this.pinch = null;
+        // Lifting one finger of a pinch carries on panning with the other
+        if (event.touches.length > 0 && event.touches.length <= 2) {
+            this.startTouches(event.touches, type);
+        }
+    }
+    
+    startTouches(touches, type) {
+        if (touches.length === 1) {
+            this.pinch = null;
+            this.startPan({ clientX: touches[0].clientX, clientY: touches[0].clientY }, type);
+            return;
+        }
+        
+        this.endPan(type);
+        this.clearInspection();
+        const { distance, center } = this.measurePinch(touches, type);
+        this.pinch = center && distance > 0 ? { type, distance, center } : null;
+    }
+    
+    /**
+     * Distance between two touches and their midpoint, in canvas pixels.
+     */
+    measurePinch(touches, type) {
+        const a = this.eventToSource(touches[0], type);
+        const b = this.eventToSource(touches[1], type);
+        if (!a || !b) return { distance: 0, center: null };
+        
+        return {
+            distance: Math.hypot(a.screen.x - b.screen.x, a.screen.y - b.screen.y),
+            center: { x: (a.screen.x + b.screen.x) / 2, y: (a.screen.y + b.screen.y) / 2 }
+        };
+    }
+    
+    /**
+     * Keyboard navigation of a focused viewer: arrows pan (further with
+     * Shift), + and - zoom, 0 resets the view and 1 shows pixels 1:1.
+     */
+    handleViewerKey(event, type) {
+        // Leave browser and system shortcuts alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const step = HexaImageConverter.KEY_PAN_STEP * (event.shiftKey ? 4 : 1);
+        const moves = {
+            ArrowLeft: [step, 0],
+            ArrowRight: [-step, 0],
+            ArrowUp: [0, step],
+            ArrowDown: [0, -step]
+        };
+        
+        if (moves[event.key]) {
+            // Arrows move the view over the image, so the image shifts the other way
+            const [dx, dy] = moves[event.key];
+            this[type + 'PanX'] += dx / this[type + 'Zoom'];
+            this[type + 'PanY'] += dy / this[type + 'Zoom'];
+            this[type === 'original' ? 'drawOriginalImage' : 'drawHexImage']();
+            this.syncFrom(type);
+        } else if (event.key === '+' || event.key === '=') {
+            this.zoomView(type, this[type + 'Zoom'] * 1.2);
+        } else if (event.key === '-' || event.key === '_') {
+            this.zoomView(type, this[type + 'Zoom'] * 0.8);
+        } else if (event.key === '0') {
+            this[type === 'original' ? 'resetOriginalView' : 'resetHexView']();
+        } else if (event.key === '1') {
+            this.showActualPixels(type);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+    
+    /**
+     * Save the lattice on show as chosen under "Export as": the staggered PNG
+     * raster, SVG hexagons in display colours, a CSV or JSON table of the
+     * raw cell values, or a TIFF resampled back onto a rectangular grid.
+     */
+    async downloadHexImage() {
+        if (!this.hexGrid) return;
+        
+        const format = document.getElementById('exportFormat').value;
+        const grid = this.hexGrid;
+        const baseName = this.exportBaseName();
+        
+        try {
+            if (format === 'svg') {
+                const merge = document.getElementById('svgMerge').checked;
+                const svg = HexExport.toSVG(grid, { transfer: this.displayTransfer, merge });
+                this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), baseName + '.hex.svg');
+            } else if (format === 'csv') {
+                this.downloadBlob(new Blob([HexExport.toCSV(grid)], { type: 'text/csv' }), baseName + '.hex.csv');
+            } else if (format === 'json') {
+                const kernel = this.hexKernel
+                    ? { name: this.hexKernel.name, options: this.hexKernel.options }
+                    : this.hexHeader?.kernel || null;
+                const json = HexExport.toJSON(grid, {
+                    source: this.containerSource(this.captureResult()),
+                    roi: this.hexRoi,
+                    kernel,
+                    operations: this.hexOperations
+                });
+                this.downloadBlob(new Blob([json], { type: 'application/json' }), baseName + '.hex.json');
+            } else if (format === 'tiff') {
+                const image = HexExport.resample(grid, this.getExportArea(), this.getExportWidth());
+                this.downloadBlob(new Blob([TiffCodec.encode(image)], { type: 'image/tiff' }), baseName + '.hex.tif');
+            } else {
+                const bytes = await this.canvasToBytes(this.hexRaster);
+                this.downloadBlob(new Blob([bytes], { type: 'image/png' }), baseName + '.hex.png');
+            }
+        } catch (error) {
+            console.error('Error exporting:', error);
+            alert(`Could not export the lattice: ${error.message}`);
+        }
+    }
+    
+    exportBaseName() {
+        return (this.containerSource(this.captureResult()).name || 'hexagonal-image').replace(/\.[^.]+$/, '');
+    }
+    
+    /**
+     * Source rectangle the lattice covers: its region of interest, or the
+     * whole source. HXI files without a source record fall back to the
+     * lattice bounds.
+     */
+    getExportArea() {
+        if (this.hexRoi) return { ...this.hexRoi };
+        const { width, height } = this.containerSource(this.captureResult());
+        if (width && height) return { x: 0, y: 0, width, height };
+        const bounds = this.hexGrid.bounds();
+        return { x: 0, y: 0, width: Math.max(1, Math.round(bounds.width)), height: Math.max(1, Math.round(bounds.height)) };
+    }
+    
+    getExportWidth() {
+        const width = Math.round(Number(document.getElementById('tiffWidth').value));
+        return Math.max(1, Math.min(HexaImageConverter.EXPORT_MAX_WIDTH, width || this.getExportArea().width));
+    }
+    
+    /**
+     * Show the options of the chosen export format; the TIFF height follows
+     * the width at the aspect ratio of the converted area.
+     */
+    updateExportControls() {
+        const format = document.getElementById('exportFormat').value;
+        document.getElementById('svgOptions').style.display = format === 'svg' ? '' : 'none';
+        document.getElementById('tiffOptions').style.display = format === 'tiff' ? '' : 'none';
+        
+        if (this.hexGrid) {
+            const { width, height } = this.getExportArea();
+            const exportWidth = this.getExportWidth();
+            document.getElementById('tiffHeight').textContent = 
+                `× ${Math.max(1, Math.round(exportWidth * height / width))} px`;
+        }
+    }
+    
+    async downloadHexContainer() {
+        if (!this.hexGrid) return;
+        
+        const bytes = await this.encodeHexContainer(this.captureResult());
+        this.downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), this.exportBaseName() + HexaImageFormat.FILE_EXTENSION);
+    }
+    
+    containerSource({ hexHeader, sourceImageData, sourceSize, sourceFile }) {
+        const source = { ...hexHeader?.source };
+        // Entries not on show only know the size of their source
+        const size = sourceImageData || sourceSize;
+        if (size) {
+            Object.assign(source, {
+                name: sourceFile?.name,
+                type: sourceFile?.type,
+                width: size.width,
+                height: size.height,
+                lastModified: sourceFile?.lastModified
+            });
+        }
+        return source;
+    }
+    
+    encodeHexContainer(result) {
+        const options = {
+            kernel: result.hexKernel,
+            source: this.containerSource(result),
+            roi: result.hexRoi,
+            display: result.displaySettings,
+            operations: result.hexOperations
+        };
+        return result.hexFrames
+            ? HexaImageFormat.encodeFrames(result.hexFrames.grids, { ...options, rate: result.hexFrames.rate })
+            : HexaImageFormat.encode(result.hexGrid, options);
+    }
+    
+    /**
+     * Record the clip's lattice rasters, as exported to PNG, into a WebM
+     * video in real time at the clip's frame rate.
+     */
+    async downloadFramesVideo() {
+        if (!this.hexFrames || this.isQueueBusy()) return;
+        this.stopPlayback(false);
+        const button = document.getElementById('downloadWebmBtn');
+        button.disabled = true;
+        
+        try {
+            const { grids, rate } = this.hexFrames;
+            const first = grids[0].toRaster(this.displayTransfer);
+            const canvas = document.createElement('canvas');
+            canvas.width = first.width;
+            canvas.height = first.height;
+            const ctx = canvas.getContext('2d');
+            
+            // Frames are pushed by hand so each is held for exactly 1 / rate
+            const stream = canvas.captureStream(0);
+            const [track] = stream.getVideoTracks();
+            const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+            const chunks = [];
+            recorder.ondataavailable = (event) => chunks.push(event.data);
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+            
+            recorder.start();
+            for (const grid of grids) {
+                const raster = grid.toRaster(this.displayTransfer);
+                ctx.putImageData(new ImageData(raster.data, raster.width, raster.height), 0, 0);
+                track.requestFrame();
+                await new Promise(resolve => setTimeout(resolve, 1000 / rate));
+            }
+            recorder.stop();
+            await stopped;
+            
+            const baseName = (this.sourceFile?.name || 'hexagonal-video').replace(/\.[^./]+$/, '');
+            this.downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${baseName}.hex.webm`);
+        } catch (error) {
+            console.error('Error recording video:', error);
+            alert(`Could not record the video: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * ZIP of every finished entry's HXI and PNG, plus manifest.json and
+     * manifest.csv listing each queued file with its status and stats.
+     */
+    async downloadAll() {
+        if (this.isQueueBusy()) return;
+        this.saveActiveEntry();
+        const button = document.getElementById('downloadAllBtn');
+        button.disabled = true;
+        
+        try {
+            const zip = new ZipArchive();
+            const encoder = new TextEncoder();
+            const records = [];
+            
+            for (const entry of this.queue) {
+                const record = { input: entry.name, status: entry.status, error: entry.error, outputs: [] };
+                if (entry.status === 'done') {
+                    const { result } = entry;
+                    const baseName = entry.name.replace(/\.[^./]+$/, '');
+                    record.outputs.push(zip.add(baseName + HexaImageFormat.FILE_EXTENSION, await this.encodeHexContainer(result)));
+                    // Entries not on show have no raster (see compactResult)
+                    const raster = result.hexRaster || this.rgbaToCanvas(result.hexGrid.toRaster(new DisplayTransfer(result.displaySettings)));
+                    record.outputs.push(zip.add(baseName + '.hex.png', await this.canvasToBytes(raster)));
+                    Object.assign(record, this.summarizeResult(result), { timeMs: Math.round(entry.time) });
+                }
+                records.push(record);
+            }
+            
+            // JSON has no Infinity, so a lossless round trip reports psnr: null
+            const manifest = { created: new Date().toISOString(), entries: records };
+            zip.add('manifest.json', encoder.encode(JSON.stringify(manifest, null, 2) + '\n'));
+            zip.add('manifest.csv', encoder.encode(this.manifestCsv(records)));
+            this.downloadBlob(new Blob([zip.finish()], { type: 'application/zip' }), 'hexaimage-batch.zip');
+        } catch (error) {
+            console.error('Error building ZIP:', error);
+            alert(`Could not build the download: ${error.message}`);
+        } finally {
+            this.renderQueue();
+        }
+    }
+    
+    /**
+     * Per-file manifest fields, named as in the CLI's JSON summaries.
+     */
+    summarizeResult(result) {
+        const { hexGrid: grid, hexKernel: kernel, hexHeader: header, hexRoi: roi } = result;
+        const source = result.sourceImageData || result.sourceSize;
+        const width = roi?.width ?? source?.width ?? header?.source?.width;
+        const height = roi?.height ?? source?.height ?? header?.source?.height;
+        const stats = width ? HexConverterCore.samplingStats(width, height, grid) : null;
+        
+        return {
+            source: { ...this.containerSource(result) },
+            // Converted region in source pixels, null for the whole frame
+            roi: roi ?? null,
+            lattice: grid.geometry(),
+            samples: {
+                type: HexaImageFormat.sampleTypeOf(grid.data),
+                layout: HexaImageFormat.LAYOUTS[grid.channels]
+            },
+            cellCount: grid.cellCount,
+            frames: result.hexFrames?.grids.length ?? 1,
+            pixelRatio: stats?.pixelRatio ?? null,
+            samplingDensity: 1 / (grid.pitch * grid.spacing),
+            kernel: kernel ? { name: kernel.name, label: kernel.label, options: kernel.options } : header?.kernel ?? null,
+            operations: result.hexOperations,
+            display: result.displaySettings,
+            roundTrip: result.roundTripMetrics
+        };
+    }
+    
+    manifestCsv(records) {
+        const rows = records.map(record => [
+            record.input,
+            record.status,
+            record.error,
+            record.source?.width,
+            record.source?.height,
+            record.roi && [record.roi.x, record.roi.y, record.roi.width, record.roi.height].join(' '),
+            record.lattice?.columns,
+            record.lattice?.rows,
+            record.lattice?.orientation,
+            record.lattice?.pitch,
+            record.cellCount,
+            record.samplingDensity,
+            record.kernel?.name,
+            record.operations?.map(operation => this.formatOperation(operation)).join(' → '),
+            record.roundTrip?.psnr,
+            record.roundTrip?.ssim,
+            record.timeMs,
+            record.outputs.join(' ')
+        ]);
+        
+        const escape = (value) => {
+            if (value === undefined || value === null) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [HexaImageConverter.MANIFEST_COLUMNS, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+    }
+    
+    /**
+     * Download the settings, the lattice operations and both viewers'
+     * state as JSON, so the same input can be brought to the same view.
+     */
+    exportSession() {
+        const settings = this.getSettings();
+        let source = null;
+        let operations = [];
+        let view = null;
+        
+        if (this.hexGrid) {
+            const { width, height } = this.containerSource(this.captureResult());
+            source = { ...this.sourceFile, width, height };
+            settings.display = { ...this.displaySettings };
+            // Only operators run here; an HXI input brings its own again
+            operations = this.hexOperations.slice(this.hexBase.operations.length);
+            view = this.getViewState();
+        }
+        
+        const session = {
+            format: HexaImageConverter.SESSION_FORMAT,
+            version: HexaImageConverter.SESSION_VERSION,
+            created: new Date().toISOString(),
+            source,
+            settings,
+            roi: this.roi,
+            operations,
+            view
+        };
+        const baseName = (source?.name || 'hexaimage').replace(/\.[^.]+$/, '');
+        const json = JSON.stringify(session, null, 2) + '\n';
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.session.json`);
+    }
+    
+    /**
+     * Take over a session file's settings and reproduce its operations and
+     * view: on the result on show when that came from the session's input,
+     * otherwise on the next file converted.
+     */
+    async importSession(file) {
+        let session;
+        try {
+            session = JSON.parse(await file.text());
+            if (session?.format !== HexaImageConverter.SESSION_FORMAT) {
+                throw new Error('Not a HexaImage session file');
+            }
+            if (!(session.version <= HexaImageConverter.SESSION_VERSION)) {
+                throw new Error(`Session version ${session.version} is not supported`);
+            }
+            const operations = session.operations || [];
+            const unknown = operations.find(operation => !HexOperators.registry.has(operation?.name));
+            if (unknown) {
+                throw new Error(`Unknown hex operator: ${unknown?.name}`);
+            }
+            const roi = session.roi;
+            if (roi && !['x', 'y', 'width', 'height'].every(key => Number.isFinite(roi[key]))) {
+                throw new Error('Invalid region of interest');
+            }
+            this.setSettings(session.settings);
+            // Sessions from before regions of interest keep the current one
+            if (roi !== undefined) this.roi = roi;
+        } catch (error) {
+            alert(`Could not import the session: ${error.message}`);
+            return;
+        }
+        
+        this.activePreset = '';
+        this.syncSettingsControls();
+        this.syncRoiControls();
+        this.saveSettings();
+        this.updatePresetControls();
+        const name = session.source?.name || null;
+        this.pendingSession = { source: name, operations: session.operations || [], view: session.view || null };
+        
+        if (!this.activeEntry?.result || !this.isSessionInput() || this.queueRunning) {
+            this.setPresetInfo(name ? `Session loaded: open ${name} to reproduce it` : 'Session loaded: applies to the next file');
+            return;
+        }
+        
+        this.setPresetInfo(`Session loaded for ${this.sourceFile.name}`);
+        if (this.displayPreset) this.setDisplaySettings(this.displayPreset);
+        if (this.originalImage) {
+            this.reconvert();
+        } else {
+            // A reopened HXI keeps its lattice; start again from the operations it was saved with
+            this.runEntry(this.activeEntry, async () => {
+                this.hexGrid = this.hexBase.grid;
+                this.hexOperations = [...this.hexBase.operations];
+                this.hexRaster = this.createHexRaster(this.hexGrid);
+                this.showResults();
+                return true;
+            });
         }
     }
     
-    downloadHexImage() {
-        if (!this.hexagonalImage) return;
+    /**
+     * Whether the source on show is the pending session's input, by name.
+     */
+    isSessionInput() {
+        const name = this.pendingSession?.source;
+        return !name || this.sourceFile?.name === name;
+    }
+    
+    replaySessionOperations() {
+        const { operations } = this.pendingSession;
+        this.pendingSession.operations = null;
+        // Operators apply to single images only (see updateOperatorControls)
+        if (this.hexFrames) return;
         
+        try {
+            operations.forEach(({ name, options = {} }) => {
+                this.hexGrid = HexOperators.apply(this.hexGrid, name, options);
+                this.hexOperations.push({ name, options });
+            });
+        } catch (error) {
+            this.pendingSession = null;
+            throw error;
+        }
+        this.showOperatorResult();
+    }
+    
+    applySessionView() {
+        const { view } = this.pendingSession;
+        this.pendingSession = null;
+        if (view) this.setViewState(view);
+        this.setPresetInfo(`Session reproduced on ${this.sourceFile?.name || 'this file'}`);
+    }
+    
+    async canvasToBytes(canvas) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+    
+    downloadBlob(blob, name) {
         const link = document.createElement('a');
-        link.download = 'hexagonal-image.png';
-        link.href = this.hexagonalImage.src;
+        link.download = name;
+        link.href = URL.createObjectURL(blob);
         link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
     }
     
     reset() {
@@ -546,7 +3958,36 @@ class HexaImageConverter {
         
         // Clear images
         this.originalImage = null;
-        this.hexagonalImage = null;
+        this.hexGrid = null;
+        this.hexRaster = null;
+        this.sourceImageData = null;
+        this.sourceFile = null;
+        this.rawImage = null;
+        this.hexHeader = null;
+        this.reconstruction = null;
+        this.roundTripMetrics = null;
+        this.samplingBenchmark = null;
+        this.differenceCanvas = null;
+        this.hexSource = null;
+        this.hexRoi = null;
+        this.hexOperations = [];
+        this.hexBase = null;
+        this.inspection = null;
+        this.stopPlayback(false);
+        this.sourceFrames = null;
+        this.hexFrames = null;
+        this.frameIndex = 0;
+        this.updateOperatorControls();
+        this.updateTimeline();
+        this.clearSpectra();
+        
+        // Drop the batch; a file still converting is cancelled below and one
+        // still decoding drops its result when it finishes
+        this.queueCancelled = this.queueRunning;
+        this.loadGeneration++;
+        this.queue = [];
+        this.activeEntry = null;
+        this.renderQueue();
         
         // Reset zoom and pan
         this.originalZoom = 1;
@@ -566,9 +4007,86 @@ class HexaImageConverter {
         
         // Reset file input
         document.getElementById('fileInput').value = '';
+        
+        this.cancelConversion();
     }
 }
 
+// Difference heatmap ramp, dark to bright (after matplotlib's "inferno")
+HexaImageConverter.HEATMAP = [
+    [0, 0, 4],
+    [87, 16, 110],
+    [188, 55, 84],
+    [249, 142, 9],
+    [252, 255, 164]
+];
+
+// Spectrum plots: dB shown below the peak, profile bins and line colours
+HexaImageConverter.SPECTRUM_RANGE = 60;
+HexaImageConverter.SPECTRUM_BINS = { radial: 64, angular: 36 };
+HexaImageConverter.SPECTRUM_COLORS = { source: '#4299e1', lattice: '#ed64a6' };
+
+// State captured per batch entry, so each result can be shown again
+HexaImageConverter.RESULT_FIELDS = [
+    'sourceFile', 'sourceImageData', 'rawImage', 'originalImage',
+    'hexGrid', 'hexRaster', 'hexHeader', 'hexKernel', 'hexSource',
+    'hexOperations', 'hexBase', 'reconstruction', 'roundTripMetrics', 'displaySettings',
+    'sourceFrames', 'hexFrames', 'frameIndex', 'samplingBenchmark', 'hexRoi'
+];
+// Result fields an entry not on show drops: the decoded source and the
+// images rendered from it (see compactResult)
+HexaImageConverter.DECODED_FIELDS = [
+    'sourceImageData', 'rawImage', 'originalImage', 'hexSource',
+    'hexRaster', 'reconstruction', 'sourceFrames'
+];
+HexaImageConverter.QUEUE_STATUS = {
+    queued: 'Queued',
+    processing: 'Converting',
+    done: 'Done',
+    error: 'Failed',
+    skipped: 'Skipped',
+    cancelled: 'Cancelled'
+};
+// Longest side of a queue thumbnail (px)
+HexaImageConverter.THUMBNAIL_SIZE = 96;
+HexaImageConverter.MANIFEST_COLUMNS = [
+    'input', 'status', 'error', 'width', 'height', 'roi', 'columns', 'rows', 'orientation', 'pitch',
+    'cells', 'density', 'kernel', 'operations', 'psnr', 'ssim', 'time_ms', 'outputs'
+];
+
+// Most samples or cells listed by the hover inspector, largest weights first
+HexaImageConverter.INSPECTOR_ROWS = 12;
+
+// Numeric region of interest inputs and the region field each edits
+HexaImageConverter.ROI_FIELDS = [
+    { id: 'roiX', key: 'x' },
+    { id: 'roiY', key: 'y' },
+    { id: 'roiWidth', key: 'width' },
+    { id: 'roiHeight', key: 'height' }
+];
+HexaImageConverter.COMPARE_MODES = ['hex', 'swipe', 'onion', 'difference'];
+// Choices for the largest viewer zoom, and how far an arrow key pans (canvas px)
+HexaImageConverter.MAX_ZOOMS = [5, 20, 100, 500];
+HexaImageConverter.KEY_PAN_STEP = 40;
+
+// localStorage keys for the last-used settings and the named presets
+HexaImageConverter.STORAGE_KEYS = {
+    settings: 'hexaimage.settings',
+    presets: 'hexaimage.presets'
+};
+HexaImageConverter.SESSION_FORMAT = 'hexaimage-session';
+HexaImageConverter.SESSION_VERSION = 1;
+
+// Videos and image sequences: decoded frames are kept in memory, so a clip
+// keeps at most FRAME_LIMIT frames and FRAME_BYTE_BUDGET bytes of frame data
+HexaImageConverter.VIDEO_EXTENSIONS = ['mp4', 'm4v', 'webm', 'mov', 'ogv', 'mkv'];
+HexaImageConverter.SEQUENCE_PATTERN = /^(.*?)(\d+)(\.[^./]+)$/;
+HexaImageConverter.DEFAULT_FRAME_RATE = 10;
+HexaImageConverter.FRAME_LIMIT = 300;
+HexaImageConverter.FRAME_BYTE_BUDGET = 256 * 1024 * 1024;
+// Widest resampled TIFF export, in pixels
+HexaImageConverter.EXPORT_MAX_WIDTH = 16384;
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new HexaImageConverter();
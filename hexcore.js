@@ -0,0 +1,364 @@
+/**
+ * HexConverterCore - DOM-free CCD to hex conversion
+ *
+ * The sampling loop shared by the page and the conversion workers. A source
+ * is a plain object { width, height, channels, data, offsetY }; when it also
+ * carries a `cfa` (a RawDecoder result) the Bayer mosaic is sampled directly.
+ * `offsetY` lets a worker receive only the horizontal slice of the source its
+ * band of rows needs.
+ *
+ * Cells keep the source's sample type and channels (see outputFormat): 8-bit
+ * and 16-bit sources give integer cells, float sources float cells, and 2- or
+ * 4-channel sources keep their alpha. Mosaics become linear 0…1 float RGB.
+ *
+ * Nothing here touches the DOM, so the same code runs in the page, in
+ * workers and under Node (see hexaimage-cli.js).
+ */
+
+class HexConverterCore {
+    /**
+     * Lattice covering a width × height source, or only its `region`
+     * { x, y, width, height } when given. A region lattice is sized and
+     * centred on the region but stays in full-frame pixel coordinates, so it
+     * samples the whole source unchanged.
+     */
+    static createLattice(width, height, { orientation = 'pointy', sizingMode = 'density', sizingValue = 1, channels = 4, SampleArray = Uint8ClampedArray, region = null } = {}) {
+        const area = region || { x: 0, y: 0, width, height };
+        // Very small pitches explode the cell count, so keep a sane floor
+        const pitch = Math.max(0.25, HexGrid.pitchFor(sizingMode, sizingValue, area.width, area.height));
+        const grid = HexGrid.covering(area.width, area.height, { orientation, pitch, channels, SampleArray });
+        if (!region) return grid;
+        return new HexGrid({
+            ...grid.geometry(),
+            originX: grid.originX + region.x,
+            originY: grid.originY + region.y,
+            data: grid.data
+        });
+    }
+
+    /**
+     * Integer region { x, y, width, height } clamped to a width × height
+     * frame, or null when it is missing or the whole frame. A region with a
+     * non-finite field or no area on the frame throws a RangeError.
+     */
+    static clampRegion(region, width, height) {
+        if (!region) return null;
+        if (![region.x, region.y, region.width, region.height].every(Number.isFinite)) {
+            throw new RangeError('The region of interest needs a finite x, y, width and height');
+        }
+        const [left, top, across, down] = [region.x, region.y, region.width, region.height].map(Math.round);
+        if (across < 1 || down < 1 || left >= width || top >= height || left + across <= 0 || top + down <= 0) {
+            throw new RangeError(`The region ${left},${top},${across},${down} lies outside the ${width} × ${height} frame`);
+        }
+
+        const x = Math.max(0, left);
+        const y = Math.max(0, top);
+        const clamped = {
+            x,
+            y,
+            width: Math.min(width - x, across),
+            height: Math.min(height - y, down)
+        };
+        const full = clamped.x === 0 && clamped.y === 0 && clamped.width === width && clamped.height === height;
+        return full ? null : clamped;
+    }
+
+    /**
+     * Copy of the source pixels inside `region`. `offsetX` and `offsetY`
+     * record where the crop sits in the full frame.
+     */
+    static cropSource(source, region) {
+        const { x, y, width, height } = region;
+        const channels = source.channels;
+        const data = new source.data.constructor(width * height * channels);
+        for (let row = 0; row < height; row++) {
+            const from = ((y + row) * source.width + x) * channels;
+            data.set(source.data.subarray(from, from + width * channels), row * width * channels);
+        }
+        return { ...source, width, height, offsetX: x, offsetY: y, data };
+    }
+
+    /**
+     * Channel count and typed array class of the cells converted from a source.
+     */
+    static outputFormat(source) {
+        if (source.cfa) {
+            return { channels: 3, SampleArray: Float32Array };
+        }
+        const SampleArray = HexConverterCore.SAMPLE_ARRAYS[source.data[Symbol.toStringTag]];
+        if (!SampleArray) {
+            throw new Error(`Unsupported source sample type: ${source.data[Symbol.toStringTag]}`);
+        }
+        return { channels: source.channels, SampleArray };
+    }
+
+    /**
+     * Copy of a grid with its samples stored as `SampleArray`, rescaled from
+     * one full scale to the other. Integer results are rounded and clamped.
+     */
+    static convertSampleType(grid, SampleArray) {
+        const data = new SampleArray(grid.data.length);
+        const max = HexConverterCore.fullScale(data);
+        const scale = max / HexConverterCore.fullScale(grid.data);
+        const float = data[Symbol.toStringTag].startsWith('Float');
+
+        for (let i = 0; i < data.length; i++) {
+            const value = grid.data[i] * scale;
+            data[i] = float ? value : Math.max(0, Math.min(max, Math.round(value)));
+        }
+
+        return new HexGrid({ ...grid.geometry(), data });
+    }
+
+    /**
+     * Largest value of a sample type: 255, 65535, or 1 for float data.
+     * Defined with the kernels, whose edge detection needs it too.
+     */
+    static fullScale(data) {
+        return ResamplingKernels.fullScale(data);
+    }
+
+    /**
+     * Span of a source's samples from black to white: the sensor levels of
+     * a mosaic, otherwise the full scale of its sample type.
+     */
+    static signalRange(source) {
+        return source.cfa ? source.whiteLevel - source.blackLevel : HexConverterCore.fullScale(source.data);
+    }
+
+    /**
+     * One-shot conversion of a whole source, or of its `region`: builds the
+     * lattice, resolves the kernel by name and fills every cell. Returns
+     * { grid, kernel }.
+     */
+    static convert(source, { kernel = 'window3x3', kernelOptions = {}, orientation = 'pointy', sizingMode = 'density', sizingValue = 1, region = null } = {}) {
+        const resolved = ResamplingKernels.create(kernel, kernelOptions);
+        const grid = HexConverterCore.createLattice(source.width, source.height, {
+            orientation, sizingMode, sizingValue, region, ...HexConverterCore.outputFormat(source)
+        });
+        HexConverterCore.convertGrid(source, grid, resolved);
+        return { grid, kernel: resolved };
+    }
+
+    /**
+     * Rebuild the orthogonal image from the lattice and compare it with the
+     * `reference` it was sampled from, which has the grid's channel layout.
+     * Cells stored as another sample type are compared at the reference's
+     * scale. `peak` defaults to the full scale of the reference's sample type.
+     * With a `region`, only that part of the reference is compared and the
+     * reconstruction covers just the region.
+     */
+    static evaluateRoundTrip(reference, grid, peak = HexConverterCore.fullScale(reference.data), region = null) {
+        const SampleArray = HexConverterCore.SAMPLE_ARRAYS[reference.data[Symbol.toStringTag]];
+        if (SampleArray && !(grid.data instanceof SampleArray)) {
+            grid = HexConverterCore.convertSampleType(grid, SampleArray);
+        }
+        if (region) reference = HexConverterCore.cropSource(reference, region);
+        const reconstruction = grid.toOrthogonal(reference.width, reference.height, region || undefined);
+        const metrics = ImageMetrics.compare(
+            reference.data, reconstruction.data, reference.width, reference.height, reference.channels, peak
+        );
+        return { reconstruction, metrics };
+    }
+
+    /**
+     * Cell count and lattice density relative to a width × height source.
+     * `pixelRatio` is 1 - cells / pixels, so positive means fewer cells.
+     */
+    static samplingStats(width, height, grid) {
+        return {
+            cellCount: grid.cellCount,
+            pixelRatio: 1 - grid.cellCount / (width * height),
+            // Density of the lattice itself, independent of edge cells
+            density: 1 / (grid.pitch * grid.spacing)
+        };
+    }
+
+    /**
+     * Fill every cell of `grid` from the source. `onRows(done)` is called
+     * every `reportEvery` rows with the number of rows finished so far.
+     */
+    static convertGrid(source, grid, kernel, onRows = null, reportEvery = 16) {
+        const buffer = new Array(Math.max(3, source.channels)).fill(0);
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                if (source.cfa) {
+                    HexConverterCore.calculateMosaicPixel(source, grid, col, row, kernel, buffer);
+                } else {
+                    HexConverterCore.calculateHexagonalPixel(source, grid, col, row, kernel, buffer);
+                }
+            }
+
+            if (onRows && ((row + 1) % reportEvery === 0 || row === grid.rows - 1)) {
+                onRows(row + 1);
+            }
+        }
+
+        return grid;
+    }
+
+    static calculateHexagonalPixel(source, grid, col, row, kernel, buffer) {
+        // Map the lattice cell centre onto the orthogonal source (sub-pixel)
+        const center = grid.cellCenter(col, row);
+        const hasAlpha = source.channels === 2 || source.channels === 4;
+        const color = (hasAlpha ? ResamplingKernels.sampleWithAlpha : ResamplingKernels.sample)(
+            source.data, source.width, source.height, source.channels,
+            center.x, center.y - (source.offsetY || 0), kernel, buffer
+        );
+
+        HexConverterCore.storeSample(grid, grid.index(col, row), color);
+    }
+
+    static storeSample(grid, index, color) {
+        if (grid.data[Symbol.toStringTag].startsWith('Float')) {
+            // Float cells are stored unclamped so no range is lost
+            for (let c = 0; c < grid.channels; c++) {
+                grid.data[index + c] = color[c];
+            }
+            return;
+        }
+
+        // Kernels with negative lobes can overshoot, so clamp to the integer range
+        const max = HexConverterCore.fullScale(grid.data);
+        for (let c = 0; c < grid.channels; c++) {
+            grid.data[index + c] = Math.max(0, Math.min(max, Math.round(color[c])));
+        }
+    }
+
+    static calculateMosaicPixel(raw, grid, col, row, kernel, buffer) {
+        // Each colour is gathered only from its own CFA sites, no demosaicing
+        const center = grid.cellCenter(col, row);
+        const color = ResamplingKernels.sampleMosaic(
+            raw.data, raw.width, raw.height, raw.cfa,
+            center.x, center.y - (raw.offsetY || 0), kernel, buffer, HexConverterCore.signalRange(raw)
+        );
+
+        const index = grid.index(col, row);
+        for (let c = 0; c < 3; c++) {
+            grid.data[index + c] = RawDecoder.normalize(raw, color[c], c);
+        }
+    }
+
+    /**
+     * The source samples one cell was computed from, for inspection. Returns
+     * { center, kernel, taps } where each tap is { x, y, weight } in full
+     * source coordinates, plus `color` (0-2) for mosaics. Weights are the
+     * normalised kernel weights, with taps clamped onto the same edge pixel
+     * merged; with alpha, `colorWeight` is each tap's share of the colour
+     * channels once weighted by its alpha.
+     */
+    static cellTaps(source, grid, col, row, kernel) {
+        const center = grid.cellCenter(col, row);
+        const offsetY = source.offsetY || 0;
+        const y = center.y - offsetY;
+        const channels = source.cfa ? 1 : source.channels;
+        const resolved = kernel.select
+            ? kernel.select(source.data, source.width, source.height, channels, center.x, y, HexConverterCore.signalRange(source))
+            : kernel;
+
+        const found = source.cfa
+            ? ResamplingKernels.computeMosaicTaps(resolved, center.x, y, source.width, source.height, source.cfa)
+            : ResamplingKernels.computeTaps(resolved, center.x, y, source.width, source.height);
+
+        const byIndex = new Map();
+        for (let i = 0; i < found.count; i++) {
+            const index = found.indices[i];
+            const tap = byIndex.get(index);
+            if (tap) {
+                tap.weight += found.weights[i];
+                continue;
+            }
+            byIndex.set(index, {
+                x: index % source.width,
+                y: Math.floor(index / source.width) + offsetY,
+                weight: found.weights[i],
+                ...(source.cfa ? { color: found.colors[i] } : {})
+            });
+        }
+
+        if (!source.cfa && (channels === 2 || channels === 4)) {
+            // Mirrors sampleWithAlpha, including its fallback where nothing is covered
+            let coverage = 0;
+            for (const [index, tap] of byIndex) {
+                tap.colorWeight = tap.weight * source.data[index * channels + channels - 1];
+                coverage += tap.colorWeight;
+            }
+            for (const tap of byIndex.values()) {
+                tap.colorWeight = coverage > 0 ? tap.colorWeight / coverage : tap.weight;
+            }
+        }
+
+        return { center, kernel: resolved, taps: Array.from(byIndex.values()) };
+    }
+
+    /**
+     * Cells whose value uses the source pixel (x, y), each as
+     * { col, row, weight } with the pixel's weight in that cell.
+     */
+    static pixelContributions(source, grid, x, y, kernel) {
+        // Only cells within the kernel support (stretched by the CFA period) can reach the pixel
+        const period = source.cfa ? Math.max(source.cfa.width, source.cfa.height) : 1;
+        const reach = kernel.radius * period + 1;
+        const range = grid.cellRange(x - reach, y - reach, x + reach, y + reach);
+        const cells = [];
+
+        for (let row = range.rowStart; row <= range.rowEnd; row++) {
+            for (let col = range.colStart; col <= range.colEnd; col++) {
+                const tap = HexConverterCore.cellTaps(source, grid, col, row, kernel).taps
+                    .find(t => t.x === x && t.y === y);
+                if (tap && tap.weight !== 0) cells.push({ col, row, weight: tap.weight });
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Split the lattice rows into roughly `count` bands. Pointy bands start on
+     * even rows (see HexGrid.band).
+     */
+    static splitRows(grid, count) {
+        const step = Math.max(2, Math.ceil(grid.rows / count / 2) * 2);
+        const bands = [];
+        for (let rowStart = 0; rowStart < grid.rows; rowStart += step) {
+            bands.push({ rowStart, rowEnd: Math.min(grid.rows, rowStart + step) });
+        }
+        return bands;
+    }
+
+    /**
+     * Copy of the source rows a band grid reads from, including the kernel
+     * support. Slices start on a CFA period so mosaic colours keep their phase.
+     */
+    static sliceSource(source, band, kernel) {
+        const bounds = band.bounds();
+        const period = source.cfa ? source.cfa.height : 1;
+        const margin = Math.ceil(kernel.radius * period) + 2;
+
+        let y0 = Math.max(0, Math.floor(bounds.y) - margin);
+        y0 -= y0 % Math.max(period, 2);
+        const y1 = Math.min(source.height, Math.ceil(bounds.y + bounds.height) + margin + 1);
+
+        const rowLength = source.width * source.channels;
+        return {
+            ...source,
+            height: y1 - y0,
+            offsetY: y0,
+            data: source.data.slice(y0 * rowLength, y1 * rowLength)
+        };
+    }
+}
+
+// Cell array for each source array type; 8-bit data is always stored clamped
+HexConverterCore.SAMPLE_ARRAYS = {
+    Uint8Array: Uint8ClampedArray,
+    Uint8ClampedArray: Uint8ClampedArray,
+    Uint16Array: Uint16Array,
+    Float32Array: Float32Array,
+    Float64Array: Float32Array
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexConverterCore;
+}
@@ -0,0 +1,222 @@
+/**
+ * HexExport - Vector and tabular exports of a lattice
+ *
+ * SVG draws every cell as its true hexagon in source pixel coordinates, in
+ * display colours (see DisplayTransfer), for figures. With `merge` the
+ * cells of each colour are joined into one path, tracing only the edges
+ * between different colours. CSV and JSON list every cell's axial (q, r)
+ * coordinates, centre (x, y) and raw sample values, for analysis in other
+ * tools. resample() turns the lattice back into a rectangular image at any
+ * resolution, for TiffCodec.
+ *
+ * Cell corners are computed on an integer grid of half pitches and thirds
+ * of the line spacing, so neighbouring cells share exactly the same corner
+ * coordinates and merged edges cancel.
+ */
+
+class HexExport {
+    static toSVG(grid, { transfer = null, merge = false } = {}) {
+        const { x, y, width, height } = HexExport.extent(grid);
+        const n = (value) => HexExport.number(value);
+        const shapes = merge ? HexExport.regionPaths(grid, transfer) : HexExport.cellPolygons(grid, transfer);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${n(x)} ${n(y)} ${n(width)} ${n(height)}" width="${n(width)}" height="${n(height)}">`,
+            ...shapes,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    static cellPolygons(grid, transfer) {
+        const shapes = [];
+        const rgba = [0, 0, 0, 255];
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                grid.cellToRGBA(col, row, rgba, transfer);
+                // Fully transparent cells are left out
+                if (rgba[3] === 0) continue;
+
+                const points = HexExport.cellCorners(grid, col, row)
+                    .map(corner => HexExport.cornerPoint(grid, corner).join(','));
+                shapes.push(`<polygon points="${points.join(' ')}"${HexExport.fill(rgba)}/>`);
+            }
+        }
+        return shapes;
+    }
+
+    /**
+     * One path per display colour. Each cell adds its six edges, walked in
+     * the same direction; an edge shared with a cell of the same colour is
+     * then present both ways and cancels, leaving the region outlines.
+     * Holes come out as inner loops, filled correctly by the even-odd rule.
+     */
+    static regionPaths(grid, transfer) {
+        const regions = new Map();
+        const rgba = [0, 0, 0, 255];
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                grid.cellToRGBA(col, row, rgba, transfer);
+                if (rgba[3] === 0) continue;
+
+                const color = rgba.join(',');
+                if (!regions.has(color)) regions.set(color, { rgba: [...rgba], edges: new Set() });
+                const { edges } = regions.get(color);
+
+                const corners = HexExport.cellCorners(grid, col, row).map(corner => corner.join(','));
+                for (let i = 0; i < 6; i++) {
+                    const from = corners[i];
+                    const to = corners[(i + 1) % 6];
+                    if (!edges.delete(`${to}>${from}`)) edges.add(`${from}>${to}`);
+                }
+            }
+        }
+
+        const shapes = [];
+        for (const { rgba: color, edges } of regions.values()) {
+            // Three cells meet at every corner, so each corner starts at most one outline edge
+            const next = new Map();
+            for (const edge of edges) {
+                const [from, to] = edge.split('>');
+                next.set(from, to);
+            }
+
+            const loops = [];
+            for (const start of next.keys()) {
+                if (!next.has(start)) continue;
+                const points = [];
+                let corner = start;
+                do {
+                    points.push(HexExport.cornerPoint(grid, corner.split(',').map(Number)).join(','));
+                    const to = next.get(corner);
+                    next.delete(corner);
+                    corner = to;
+                } while (corner !== start);
+                loops.push(`M${points[0]}L${points.slice(1).join(' ')}Z`);
+            }
+            shapes.push(`<path fill-rule="evenodd" d="${loops.join('')}"${HexExport.fill(color)}/>`);
+        }
+        return shapes;
+    }
+
+    /**
+     * Integer corner coordinates of a cell, in cellVertices() order: half
+     * pitches across the lines and thirds of the spacing along them.
+     */
+    static cellCorners(grid, col, row) {
+        if (grid.orientation === 'pointy') {
+            const x = 2 * col + (row & 1);
+            const y = 3 * row;
+            return HexExport.POINTY_CORNERS.map(([dx, dy]) => [x + dx, y + dy]);
+        }
+        const x = 3 * col;
+        const y = 2 * row + (col & 1);
+        return HexExport.POINTY_CORNERS.map(([dx, dy]) => [x + dy, y + dx]);
+    }
+
+    /**
+     * Rectangle around every hexagon. Wider than HexGrid.bounds(), which
+     * stops half a line short of the cell tips.
+     */
+    static extent(grid) {
+        const pointy = grid.orientation === 'pointy';
+        const across = pointy ? grid.columns : grid.rows;
+        const along = pointy ? grid.rows : grid.columns;
+        // Corner grid extremes: half pitches across the lines, thirds of a spacing along them
+        const acrossEnd = 2 * (across - 1) + (along > 1 ? 1 : 0) + 1;
+        const alongEnd = 3 * (along - 1) + 2;
+        const [x0, y0] = HexExport.cornerPoint(grid, pointy ? [-1, -2] : [-2, -1]);
+        const [x1, y1] = HexExport.cornerPoint(grid, pointy ? [acrossEnd, alongEnd] : [alongEnd, acrossEnd]);
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    static cornerPoint(grid, [x, y]) {
+        const pointy = grid.orientation === 'pointy';
+        return [
+            HexExport.number(grid.originX + x * (pointy ? grid.pitch / 2 : grid.spacing / 3)),
+            HexExport.number(grid.originY + y * (pointy ? grid.spacing / 3 : grid.pitch / 2))
+        ];
+    }
+
+    static fill([r, g, b, a]) {
+        const hex = '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+        return a < 255 ? ` fill="${hex}" fill-opacity="${HexExport.number(a / 255)}"` : ` fill="${hex}"`;
+    }
+
+    /**
+     * One line per cell: q, r, x, y and one column per channel, named after
+     * the channel layout (R, G, B, A or Y, A). Values are the raw samples.
+     */
+    static toCSV(grid) {
+        const names = HexExport.channelNames(grid);
+        const lines = [['q', 'r', 'x', 'y', ...names].join(',')];
+
+        for (const cell of HexExport.cells(grid)) {
+            lines.push([cell.q, cell.r, cell.x, cell.y, ...cell.value].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * The lattice geometry, channel layout and sample type, then every cell
+     * as { q, r, x, y, value } with one value per channel. `extra` fields
+     * (source, kernel …) are included as given.
+     */
+    static toJSON(grid, extra = {}) {
+        const { channels, ...lattice } = grid.geometry();
+        return JSON.stringify({
+            format: HexExport.CELLS_FORMAT,
+            ...extra,
+            lattice,
+            layout: HexaImageFormat.LAYOUTS[channels],
+            sampleType: HexaImageFormat.sampleTypeOf(grid.data),
+            cells: Array.from(HexExport.cells(grid))
+        }) + '\n';
+    }
+
+    static *cells(grid) {
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                const { q, r } = grid.offsetToAxial(col, row);
+                const center = grid.cellCenter(col, row);
+                yield {
+                    q,
+                    r,
+                    x: HexExport.number(center.x, 4),
+                    y: HexExport.number(center.y, 4),
+                    value: Array.from(grid.getCell(col, row))
+                };
+            }
+        }
+    }
+
+    /**
+     * The lattice resampled back onto a rectangular grid `width` pixels
+     * wide over the source `area` { x, y, width, height } it covers,
+     * keeping the area's aspect ratio. Samples keep the cell sample type.
+     */
+    static resample(grid, area, width = area.width) {
+        const height = Math.max(1, Math.round(width * area.height / area.width));
+        return grid.toOrthogonal(width, height, area);
+    }
+
+    static channelNames(grid) {
+        return HexaImageFormat.LAYOUTS[grid.channels].split('');
+    }
+
+    static number(value, digits = 3) {
+        return +value.toFixed(digits);
+    }
+}
+
+// Corner offsets of a pointy-top cell in half pitches (x) and thirds of the
+// line spacing (y), clockwise from the top; flat cells swap the axes
+HexExport.POINTY_CORNERS = [[0, -2], [1, -1], [1, 1], [0, 2], [-1, 1], [-1, -1]];
+HexExport.CELLS_FORMAT = 'hexaimage-cells';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexExport;
+}
@@ -0,0 +1,402 @@
+/**
+ * HexGrid - Hexagonal lattice image model
+ *
+ * Stores a hexagonal image as a true lattice rather than a stretched raster.
+ * Cells are kept in offset (col, row) order with conversions to axial (q, r)
+ * coordinates, and every cell centre is expressed in source pixel units so the
+ * lattice can always be laid back over the orthogonal image it was sampled from.
+ *
+ * Pointy-top lattices use "odd-r" offsets (odd rows shifted right by half a
+ * pitch); flat-top lattices use "odd-q" offsets (odd columns shifted down).
+ */
+
+class HexGrid {
+    constructor({ columns, rows, orientation = 'pointy', pitch = 1, spacing = null, originX = 0, originY = 0, channels = 4, data = null }) {
+        if (!HexGrid.ORIENTATIONS.includes(orientation)) {
+            throw new Error(`Unknown hex orientation: ${orientation}`);
+        }
+        if (!(columns > 0) || !(rows > 0)) {
+            throw new Error(`Invalid hex grid size: ${columns} × ${rows}`);
+        }
+
+        this.columns = columns;
+        this.rows = rows;
+        this.orientation = orientation;
+
+        // Centre-to-centre distance between neighbours along a straight line of cells
+        this.pitch = pitch;
+        // Distance between adjacent staggered lines (√3/2 × pitch for regular hexagons)
+        this.spacing = spacing ?? pitch * Math.sqrt(3) / 2;
+
+        // Source-space position of cell (0, 0)
+        this.originX = originX;
+        this.originY = originY;
+
+        this.channels = channels;
+        this.data = data || new Uint8ClampedArray(columns * rows * channels);
+
+        if (this.data.length !== columns * rows * channels) {
+            throw new Error('Hex grid data length does not match lattice size');
+        }
+    }
+
+    get cellCount() {
+        return this.columns * this.rows;
+    }
+
+    contains(col, row) {
+        return col >= 0 && col < this.columns && row >= 0 && row < this.rows;
+    }
+
+    index(col, row) {
+        return (row * this.columns + col) * this.channels;
+    }
+
+    getCell(col, row, out = new Array(this.channels)) {
+        const index = this.index(col, row);
+        for (let c = 0; c < this.channels; c++) {
+            out[c] = this.data[index + c];
+        }
+        return out;
+    }
+
+    setCell(col, row, values) {
+        const index = this.index(col, row);
+        for (let c = 0; c < this.channels; c++) {
+            this.data[index + c] = values[c];
+        }
+    }
+
+    /**
+     * Empty grid holding rows [rowStart, rowEnd) of this lattice at the same
+     * source positions. Pointy bands must start on an even row so the odd-row
+     * stagger keeps its parity.
+     */
+    band(rowStart, rowEnd) {
+        if (this.orientation === 'pointy' && rowStart % 2 !== 0) {
+            throw new Error('Pointy-top bands must start on an even row');
+        }
+        return new HexGrid({
+            ...this.geometry(),
+            rows: rowEnd - rowStart,
+            originY: this.originY + rowStart * (this.orientation === 'pointy' ? this.spacing : this.pitch),
+            data: new this.data.constructor((rowEnd - rowStart) * this.columns * this.channels)
+        });
+    }
+
+    /**
+     * Constructor options describing the lattice without its cell data.
+     */
+    geometry() {
+        return {
+            columns: this.columns,
+            rows: this.rows,
+            orientation: this.orientation,
+            pitch: this.pitch,
+            spacing: this.spacing,
+            originX: this.originX,
+            originY: this.originY,
+            channels: this.channels
+        };
+    }
+
+    // Coordinate conversions
+    offsetToAxial(col, row) {
+        if (this.orientation === 'pointy') {
+            return { q: col - (row - (row & 1)) / 2, r: row };
+        }
+        return { q: col, r: row - (col - (col & 1)) / 2 };
+    }
+
+    axialToOffset(q, r) {
+        if (this.orientation === 'pointy') {
+            return { col: q + (r - (r & 1)) / 2, row: r };
+        }
+        return { col: q, row: r + (q - (q & 1)) / 2 };
+    }
+
+    cellCenter(col, row) {
+        if (this.orientation === 'pointy') {
+            return {
+                x: this.originX + this.pitch * (col + 0.5 * (row & 1)),
+                y: this.originY + this.spacing * row
+            };
+        }
+        return {
+            x: this.originX + this.spacing * col,
+            y: this.originY + this.pitch * (row + 0.5 * (col & 1))
+        };
+    }
+
+    /**
+     * Fractional axial coordinates of a source-space point. Cell centres sit
+     * at origin + q·a1 + r·a2 for the lattice basis vectors a1 and a2.
+     */
+    pointToAxial(x, y) {
+        if (this.orientation === 'pointy') {
+            const r = (y - this.originY) / this.spacing;
+            return { q: (x - this.originX) / this.pitch - r / 2, r };
+        }
+        const q = (x - this.originX) / this.spacing;
+        return { q, r: (y - this.originY) / this.pitch - q / 2 };
+    }
+
+    /**
+     * Source-space displacement between cell centres `dq`, `dr` apart in
+     * axial coordinates: dq·a1 + dr·a2 (see pointToAxial).
+     */
+    axialVector(dq, dr) {
+        if (this.orientation === 'pointy') {
+            return { x: this.pitch * (dq + dr / 2), y: this.spacing * dr };
+        }
+        return { x: this.spacing * dq, y: this.pitch * (dr + dq / 2) };
+    }
+
+    /**
+     * The cell whose hexagon contains a source-space point, as
+     * { col, row, q, r }, or null past the edge of the lattice. Fractional
+     * axial coordinates are rounded in cube space (q + r + s = 0), which
+     * picks the nearest cell centre.
+     */
+    cellAt(x, y) {
+        const axial = this.pointToAxial(x, y);
+        const s = -axial.q - axial.r;
+        let q = Math.round(axial.q);
+        let r = Math.round(axial.r);
+        const dq = Math.abs(q - axial.q);
+        const dr = Math.abs(r - axial.r);
+        const ds = Math.abs(Math.round(s) - s);
+
+        // Fix up whichever coordinate rounded furthest
+        if (dq > dr && dq > ds) {
+            q = -r - Math.round(s);
+        } else if (dr > ds) {
+            r = -q - Math.round(s);
+        }
+
+        const { col, row } = this.axialToOffset(q, r);
+        return this.contains(col, row) ? { col, row, q, r } : null;
+    }
+
+    /**
+     * Linear interpolation of the lattice at a source-space point. Cell
+     * centres form a triangular mesh; the value is the barycentric blend of
+     * the three centres around the point. Points past the edge reuse the
+     * nearest edge cells.
+     */
+    interpolate(x, y, out = new Array(this.channels)) {
+        const { q, r } = this.pointToAxial(x, y);
+        const q0 = Math.floor(q);
+        const r0 = Math.floor(r);
+        const fq = q - q0;
+        const fr = r - r0;
+
+        // Split the (q0, r0) rhombus along its short diagonal
+        let corners;
+        if (fq + fr <= 1) {
+            corners = [[q0, r0, 1 - fq - fr], [q0 + 1, r0, fq], [q0, r0 + 1, fr]];
+        } else {
+            corners = [[q0 + 1, r0 + 1, fq + fr - 1], [q0, r0 + 1, 1 - fq], [q0 + 1, r0, 1 - fr]];
+        }
+
+        out.fill(0, 0, this.channels);
+        for (const [cq, cr, weight] of corners) {
+            if (weight === 0) continue;
+            const cell = this.axialToOffset(cq, cr);
+            const col = Math.max(0, Math.min(this.columns - 1, cell.col));
+            const row = Math.max(0, Math.min(this.rows - 1, cell.row));
+            const index = this.index(col, row);
+            for (let c = 0; c < this.channels; c++) {
+                out[c] += this.data[index + c] * weight;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Rebuild an orthogonal width × height image (pixel centres at 0 … n-1)
+     * from the lattice. Output uses the same sample type as the cell data.
+     * `area` { x, y, width, height } is the source rectangle the output
+     * spans, by default the width × height pixels from the origin: pass the
+     * source size to resample at another resolution, or a region of interest
+     * to rebuild only that part of the frame.
+     */
+    toOrthogonal(width, height, area = { x: 0, y: 0, width, height }) {
+        const data = new this.data.constructor(width * height * this.channels);
+        const value = new Array(this.channels);
+        // Plain integer arrays truncate on store, so round explicitly
+        const round = !this.data[Symbol.toStringTag].startsWith('Float');
+        const scaleX = area.width / width;
+        const scaleY = area.height / height;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Pixel centres of both images line up at the edges of the area
+                this.interpolate(area.x + (x + 0.5) * scaleX - 0.5, area.y + (y + 0.5) * scaleY - 0.5, value);
+                const index = (y * width + x) * this.channels;
+                for (let c = 0; c < this.channels; c++) {
+                    data[index + c] = round ? Math.round(value[c]) : value[c];
+                }
+            }
+        }
+
+        return { width, height, channels: this.channels, data };
+    }
+
+    /**
+     * Corner offsets of a cell's hexagon relative to its centre. Derived from
+     * pitch and spacing so stretched legacy lattices still tile without gaps.
+     */
+    cellVertices() {
+        const across = this.pitch / 2;
+        const near = this.spacing / 3;
+        const far = this.spacing * 2 / 3;
+        const pointy = [
+            [0, -far], [across, -near], [across, near],
+            [0, far], [-across, near], [-across, -near]
+        ];
+        return this.orientation === 'pointy'
+            ? pointy.map(([x, y]) => ({ x, y }))
+            : pointy.map(([x, y]) => ({ x: y, y: x }));
+    }
+
+    /**
+     * Inclusive (col, row) range of cells whose hexagons may intersect the
+     * given source-space rectangle, clamped to the lattice.
+     */
+    cellRange(x0, y0, x1, y1) {
+        const pointy = this.orientation === 'pointy';
+        const colStep = pointy ? this.pitch : this.spacing;
+        const rowStep = pointy ? this.spacing : this.pitch;
+
+        return {
+            colStart: Math.max(0, Math.floor((x0 - this.originX) / colStep) - 1),
+            colEnd: Math.min(this.columns - 1, Math.ceil((x1 - this.originX) / colStep) + 1),
+            rowStart: Math.max(0, Math.floor((y0 - this.originY) / rowStep) - 1),
+            rowEnd: Math.min(this.rows - 1, Math.ceil((y1 - this.originY) / rowStep) + 1)
+        };
+    }
+
+    /**
+     * Source-space rectangle covered by the lattice, including the half-pitch
+     * stagger of the offset lines.
+     */
+    bounds() {
+        const pointy = this.orientation === 'pointy';
+        const across = pointy ? this.columns : this.rows;
+        const along = pointy ? this.rows : this.columns;
+        const acrossExtent = (across + (along > 1 ? 0.5 : 0)) * this.pitch;
+        const alongExtent = along * this.spacing;
+
+        const x = this.originX - (pointy ? this.pitch : this.spacing) / 2;
+        const y = this.originY - (pointy ? this.spacing : this.pitch) / 2;
+
+        return pointy
+            ? { x, y, width: acrossExtent, height: alongExtent }
+            : { x, y, width: alongExtent, height: acrossExtent };
+    }
+
+    /**
+     * Flatten the lattice into an RGBA raster that keeps the stagger visible.
+     * Each cell becomes two half-pitch pixels along its line, so odd lines can be
+     * shifted by exactly one raster pixel. The raster spans bounds() exactly.
+     * Samples are mapped for display by `transfer` (see DisplayTransfer), or
+     * copied as-is when it is omitted.
+     */
+    toRaster(transfer = null) {
+        const pointy = this.orientation === 'pointy';
+        const width = pointy ? this.columns * 2 + 1 : this.columns;
+        const height = pointy ? this.rows : this.rows * 2 + 1;
+        const data = new Uint8ClampedArray(width * height * 4);
+        const rgba = [0, 0, 0, 255];
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.columns; col++) {
+                this.cellToRGBA(col, row, rgba, transfer);
+
+                const x0 = pointy ? col * 2 + (row & 1) : col;
+                const y0 = pointy ? row : row * 2 + (col & 1);
+                for (let half = 0; half < 2; half++) {
+                    const x = pointy ? x0 + half : x0;
+                    const y = pointy ? y0 : y0 + half;
+                    data.set(rgba, (y * width + x) * 4);
+                }
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    cellToRGBA(col, row, out, transfer = null) {
+        const index = this.index(col, row);
+        if (transfer) {
+            return transfer.toRGBA(this.data, index, this.channels, out);
+        }
+        if (this.channels >= 3) {
+            out[0] = this.data[index];
+            out[1] = this.data[index + 1];
+            out[2] = this.data[index + 2];
+            out[3] = this.channels >= 4 ? this.data[index + 3] : 255;
+        } else {
+            out[0] = out[1] = out[2] = this.data[index];
+            out[3] = this.channels === 2 ? this.data[index + 1] : 255;
+        }
+        return out;
+    }
+}
+
+HexGrid.ORIENTATIONS = ['pointy', 'flat'];
+HexGrid.SIZING_MODES = ['pitch', 'cells', 'density'];
+
+/**
+ * Pitch (in source pixels) for a sizing mode:
+ *   pitch   - the value is the pitch itself
+ *   cells   - the value is a target cell count for the whole source
+ *   density - the value is cells per source pixel (1 = equal-area cells)
+ * A regular hexagon of pitch p covers √3/2 · p² source pixels.
+ */
+HexGrid.pitchFor = function (mode, value, width, height) {
+    if (!(value > 0)) {
+        throw new Error(`Invalid ${mode} value: ${value}`);
+    }
+    switch (mode) {
+        case 'pitch':
+            return value;
+        case 'cells':
+            return Math.sqrt((2 * width * height) / (Math.sqrt(3) * value));
+        case 'density':
+            return Math.sqrt(2 / (Math.sqrt(3) * value));
+        default:
+            throw new Error(`Unknown lattice sizing mode: ${mode}`);
+    }
+};
+
+/**
+ * Regular lattice of the given pitch that covers a width × height source
+ * (pixel centres at 0 … width-1) and is centred on it. Rows and columns come
+ * from the pitch and the √3/2 line spacing, so x and y are never scaled apart.
+ */
+HexGrid.covering = function (width, height, { orientation = 'pointy', pitch = 1, channels = 4, SampleArray = Uint8ClampedArray } = {}) {
+    const spacing = pitch * Math.sqrt(3) / 2;
+    const pointy = orientation === 'pointy';
+
+    const columns = Math.max(1, Math.ceil(width / (pointy ? pitch : spacing)));
+    const rows = Math.max(1, Math.ceil(height / (pointy ? spacing : pitch)));
+
+    // Centre the lattice's bounds() on the source's centre
+    const originX = pointy
+        ? (width - 1) / 2 - (columns - (rows > 1 ? 0.5 : 1)) * pitch / 2
+        : (width - 1) / 2 - (columns - 1) * spacing / 2;
+    const originY = pointy
+        ? (height - 1) / 2 - (rows - 1) * spacing / 2
+        : (height - 1) / 2 - (rows - (columns > 1 ? 0.5 : 1)) * pitch / 2;
+
+    return new HexGrid({
+        columns, rows, orientation, pitch, spacing, originX, originY, channels,
+        data: new SampleArray(columns * rows * channels)
+    });
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexGrid;
+}
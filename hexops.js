@@ -0,0 +1,241 @@
+/**
+ * HexOperators - Image processing operators on the hexagonal lattice
+ *
+ * Operators work on the 6-neighbour lattice itself rather than on a
+ * resampled raster. Neighbourhoods are rings of axial (q, r) offsets: ring 1
+ * holds the 6 neighbours, ring 2 the 12 cells around those, so the centre
+ * plus one ring is a 7-tap window and plus two rings a 19-tap window. Each
+ * ring starts at the +q neighbour and walks round in HexOperators.DIRECTIONS
+ * order. Cells past the edge of the lattice reuse the nearest edge cell.
+ *
+ * Every operator returns a new HexGrid with the same geometry and sample
+ * type. Colour channels are filtered; alpha is carried over unchanged.
+ * Integer results are rounded and clamped to the sample range, float
+ * results are kept as computed.
+ */
+
+class HexOperators {
+    static register(name, definition) {
+        HexOperators.registry.set(name, definition);
+    }
+
+    static list() {
+        return Array.from(HexOperators.registry, ([name, definition]) => ({
+            name,
+            label: definition.label,
+            params: definition.params || []
+        }));
+    }
+
+    /**
+     * Run the operator `name` on a grid. Returns the filtered grid.
+     */
+    static apply(grid, name, options = {}) {
+        const definition = HexOperators.registry.get(name);
+        if (!definition) {
+            throw new Error(`Unknown hex operator: ${name}`);
+        }
+        return definition.apply(grid, options);
+    }
+
+    /**
+     * Axial offsets of the cells `n` steps from the centre, 6·n of them.
+     */
+    static ring(n) {
+        if (n === 0) return [{ q: 0, r: 0 }];
+
+        const offsets = [];
+        let q = HexOperators.DIRECTIONS[0].q * n;
+        let r = HexOperators.DIRECTIONS[0].r * n;
+        for (let side = 0; side < 6; side++) {
+            // Walk one side of the ring, turning 120° from the starting direction
+            const step = HexOperators.DIRECTIONS[(side + 2) % 6];
+            for (let i = 0; i < n; i++) {
+                offsets.push({ q, r });
+                q += step.q;
+                r += step.r;
+            }
+        }
+        return offsets;
+    }
+
+    /**
+     * The centre followed by rings 1 … radius: 7 taps for radius 1, 19 for 2.
+     */
+    static neighbourhood(radius) {
+        const offsets = [];
+        for (let n = 0; n <= radius; n++) {
+            offsets.push(...HexOperators.ring(n));
+        }
+        return offsets;
+    }
+
+    /**
+     * Apply `combine(values, channel)` over the neighbourhood `offsets` of
+     * every cell. `values` holds one channel of the taps, in `offsets` order.
+     */
+    static filter(grid, offsets, combine) {
+        const out = new HexGrid({ ...grid.geometry(), data: new grid.data.constructor(grid.data.length) });
+        const colors = grid.channels === 2 || grid.channels === 4 ? grid.channels - 1 : grid.channels;
+        const float = grid.data[Symbol.toStringTag].startsWith('Float');
+        const max = HexConverterCore.fullScale(grid.data);
+        const indices = new Array(offsets.length);
+        const values = new Array(offsets.length);
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                const { q, r } = grid.offsetToAxial(col, row);
+                for (let k = 0; k < offsets.length; k++) {
+                    const cell = grid.axialToOffset(q + offsets[k].q, r + offsets[k].r);
+                    indices[k] = grid.index(
+                        Math.max(0, Math.min(grid.columns - 1, cell.col)),
+                        Math.max(0, Math.min(grid.rows - 1, cell.row))
+                    );
+                }
+
+                const index = grid.index(col, row);
+                for (let c = 0; c < colors; c++) {
+                    for (let k = 0; k < offsets.length; k++) {
+                        values[k] = grid.data[indices[k] + c];
+                    }
+                    const value = combine(values, c);
+                    out.data[index + c] = float ? value : Math.max(0, Math.min(max, Math.round(value)));
+                }
+                for (let c = colors; c < grid.channels; c++) {
+                    out.data[index + c] = grid.data[index + c];
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Weighted sum over the 7-tap (radius 1) or 19-tap (radius 2) window.
+     * Weights are used as given, centre first, then ring 1 and ring 2.
+     */
+    static convolve(grid, weights) {
+        const radius = HexOperators.TAP_COUNTS.indexOf(weights.length);
+        if (radius < 1) {
+            throw new Error(`Hex convolution takes 7 or 19 weights, got ${weights.length}`);
+        }
+        return HexOperators.weightedSum(grid, HexOperators.neighbourhood(radius), weights);
+    }
+
+    static weightedSum(grid, offsets, weights) {
+        return HexOperators.filter(grid, offsets, (values) => {
+            let sum = 0;
+            for (let k = 0; k < weights.length; k++) {
+                sum += values[k] * weights[k];
+            }
+            return sum;
+        });
+    }
+
+    /**
+     * Parse user-entered weights: numbers separated by spaces or commas.
+     */
+    static parseWeights(text) {
+        const weights = String(text).split(/[\s,]+/).filter(Boolean).map(Number);
+        if (weights.some(weight => !Number.isFinite(weight))) {
+            throw new Error(`Invalid hex convolution weights: ${text}`);
+        }
+        return weights;
+    }
+
+    /**
+     * Normalised Gaussian weights over enough rings to reach 2σ, with σ in
+     * pitches and distances measured between true cell centres.
+     */
+    static gaussianWeights(grid, sigma) {
+        const radius = Math.max(1, Math.ceil(2 * sigma));
+        const offsets = HexOperators.neighbourhood(radius);
+        const weights = offsets.map(({ q, r }) => {
+            const { x, y } = grid.axialVector(q, r);
+            const d2 = (x * x + y * y) / (grid.pitch * grid.pitch);
+            return Math.exp(-d2 / (2 * sigma * sigma));
+        });
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return { offsets, weights: weights.map(weight => weight / total) };
+    }
+
+    /**
+     * Gradient magnitude from the 6 neighbours, per channel. Each neighbour
+     * difference is projected on its unit direction; for a linear ramp the
+     * sum is exactly 3× the gradient. Results are in sample units per pitch,
+     * so cells beside a full-range straight edge reach 2/3 of full scale.
+     */
+    static gradient(grid) {
+        const offsets = HexOperators.neighbourhood(1);
+        // Unit vectors towards each neighbour
+        const directions = offsets.map(({ q, r }) => {
+            const { x, y } = grid.axialVector(q, r);
+            return { x: x / grid.pitch, y: y / grid.pitch };
+        });
+
+        return HexOperators.filter(grid, offsets, (values) => {
+            let gx = 0;
+            let gy = 0;
+            for (let k = 1; k < 7; k++) {
+                const difference = values[k] - values[0];
+                gx += difference * directions[k].x;
+                gy += difference * directions[k].y;
+            }
+            return Math.sqrt(gx * gx + gy * gy) / 3;
+        });
+    }
+}
+
+HexOperators.registry = new Map();
+// Axial neighbour offsets, counter-clockwise in axial terms starting at +q
+HexOperators.DIRECTIONS = [
+    { q: 1, r: 0 }, { q: 1, r: -1 }, { q: 0, r: -1 },
+    { q: -1, r: 0 }, { q: -1, r: 1 }, { q: 0, r: 1 }
+];
+// Taps in the window of each radius: 1, 7, 19
+HexOperators.TAP_COUNTS = [1, 7, 19];
+
+HexOperators.register('convolve', {
+    label: 'Hex convolution (7 / 19 taps)',
+    params: [{
+        name: 'weights',
+        label: 'Weights',
+        type: 'text',
+        // Sharpen: centre 7, ring -1
+        default: '7 -1 -1 -1 -1 -1 -1',
+        hint: 'Centre, then ring 1 (6) and optionally ring 2 (12)'
+    }],
+    apply: (grid, { weights = '7 -1 -1 -1 -1 -1 -1' }) => HexOperators.convolve(
+        grid, Array.isArray(weights) ? weights : HexOperators.parseWeights(weights)
+    )
+});
+
+HexOperators.register('gaussian', {
+    label: 'Hex Gaussian blur',
+    params: [{ name: 'sigma', label: 'σ (cells)', min: 0.3, max: 3, step: 0.1, default: 1 }],
+    apply: (grid, { sigma = 1 }) => {
+        const { offsets, weights } = HexOperators.gaussianWeights(grid, sigma);
+        return HexOperators.weightedSum(grid, offsets, weights);
+    }
+});
+
+HexOperators.register('gradient', {
+    label: 'Hex gradient / edges (Sobel-style)',
+    apply: (grid) => HexOperators.gradient(grid)
+});
+
+HexOperators.register('erode', {
+    label: 'Erode (min)',
+    params: [{ name: 'radius', label: 'Rings', min: 1, max: 3, step: 1, default: 1 }],
+    apply: (grid, { radius = 1 }) => HexOperators.filter(grid, HexOperators.neighbourhood(radius), (values) => Math.min(...values))
+});
+
+HexOperators.register('dilate', {
+    label: 'Dilate (max)',
+    params: [{ name: 'radius', label: 'Rings', min: 1, max: 3, step: 1, default: 1 }],
+    apply: (grid, { radius = 1 }) => HexOperators.filter(grid, HexOperators.neighbourhood(radius), (values) => Math.max(...values))
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexOperators;
+}
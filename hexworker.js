@@ -0,0 +1,45 @@
+/**
+ * HexaImage conversion worker
+ *
+ * Converts one band of lattice rows per message and reports progress back
+ * to the page. Messages:
+ *
+ *   in   { type: 'convert', jobId, bandId, lattice, rowStart, rowEnd, kernel, source, plan }
+ *        (lattice is the band's own geometry, see HexGrid.geometry; with
+ *        `plan` set the band is sampled through a ResamplingPlan, which is
+ *        sent back for the page to join and cache)
+ *   out  { type: 'progress', jobId, bandId, rows }
+ *        { type: 'done', jobId, bandId, rowStart, rowEnd, data, plan }   (buffers are transferred)
+ *        { type: 'error', jobId, bandId, message }
+ */
+
+importScripts('hexgrid.js', 'kernels.js', 'rawdecoder.js', 'hexcore.js', 'resampleplan.js');
+
+self.addEventListener('message', (event) => {
+    const { type, jobId, bandId, lattice, rowStart, rowEnd, kernel, source, plan: wantPlan } = event.data;
+    if (type !== 'convert') return;
+
+    try {
+        const { channels, SampleArray } = HexConverterCore.outputFormat(source);
+        const band = new HexGrid({ ...lattice, channels, data: new SampleArray(lattice.columns * lattice.rows * channels) });
+
+        const resolved = ResamplingKernels.create(kernel.name, kernel.options);
+        const progress = (rows) => self.postMessage({ type: 'progress', jobId, bandId, rows });
+        // Building the taps is the slow part, so it carries the progress reports
+        const plan = wantPlan ? ResamplingPlan.build(source, band, resolved, progress) : null;
+        if (plan) {
+            plan.apply(source, band);
+        } else {
+            HexConverterCore.convertGrid(source, band, resolved, progress);
+        }
+
+        const buffers = [band.data.buffer];
+        if (plan) {
+            buffers.push(plan.offsets.buffer, plan.indices.buffer, plan.weights.buffer);
+            if (plan.colors) buffers.push(plan.colors.buffer);
+        }
+        self.postMessage({ type: 'done', jobId, bandId, rowStart, rowEnd, data: band.data.buffer, plan }, buffers);
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, bandId, message: error.message });
+    }
+});
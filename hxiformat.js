@@ -0,0 +1,255 @@
+/**
+ * HexaImageFormat - Native HXI container for hexagonal lattice images
+ *
+ * Layout (all integers, cell samples included, little-endian):
+ *
+ *   Offset  Size  Field
+ *   0       4     Magic, ASCII "HXI1"
+ *   4       2     Format version: 1, or 2 for multi-frame files
+ *   6       2     Flags, reserved (0)
+ *   8       4     Header length H in bytes
+ *   12      H     Header, UTF-8 JSON (see below)
+ *   12+H    4     Payload length P in bytes
+ *   16+H    P     Cell data, compressed as described by header.compression
+ *
+ * Header fields:
+ *   lattice      { columns, rows, orientation, pitch, spacing, originX, originY }
+ *   samples      { type, bitDepth, channels, layout } - type is a typed array
+ *                name ("uint8"), layout names the channels in order ("RGBA")
+ *   kernel       { name, options } of the resampling kernel, or null
+ *   source       { name, type, width, height, lastModified } of the original
+ *   roi          { x, y, width, height } region of the source that was
+ *                converted, in source pixels; optional, absent means the
+ *                whole frame. The lattice origin stays in full-frame
+ *                coordinates either way
+ *   compression  { method: "deflate", predictor: "delta-row" }
+ *   display      { mode, black, white, gamma } suggested DisplayTransfer, or
+ *                null; optional, readers may ignore it
+ *   operations   [{ name, options }] lattice operators applied after sampling
+ *                (see HexOperators), in order; optional, absent means none
+ *   frames       { count, rate } for a sequence of lattices with the same
+ *                geometry, played at `rate` frames per second; version 2
+ *                only, absent means a single frame
+ *   created      ISO 8601 timestamp
+ *
+ * Cell data is stored row by row in offset (col, row) order with interleaved
+ * channels, frame after frame. Before deflating, each sample is replaced by
+ * its difference from the same channel of the previous cell in the row,
+ * computed on the raw integer bits so the round trip is exact for every
+ * sample type.
+ */
+
+class HexaImageFormat {
+    static isHXI(bytes) {
+        return bytes.length >= 4 &&
+            String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === HexaImageFormat.MAGIC;
+    }
+
+    static async encode(grid, options = {}) {
+        return HexaImageFormat.encodeFrames([grid], options);
+    }
+
+    /**
+     * Several lattices of one geometry and sample type, e.g. the frames of a
+     * converted video, as one file. A single frame gives a version 1 file
+     * that older readers still open.
+     */
+    static async encodeFrames(grids, { kernel = null, source = {}, roi = null, display = null, operations = [], rate = null } = {}) {
+        const grid = grids[0];
+        const type = HexaImageFormat.sampleTypeOf(grid.data);
+        if (grids.some(frame => frame.data.length !== grid.data.length || frame.data[Symbol.toStringTag] !== grid.data[Symbol.toStringTag])) {
+            throw new Error('HXI frames must share the lattice and sample type');
+        }
+        const header = {
+            lattice: {
+                columns: grid.columns,
+                rows: grid.rows,
+                orientation: grid.orientation,
+                pitch: grid.pitch,
+                spacing: grid.spacing,
+                originX: grid.originX,
+                originY: grid.originY
+            },
+            samples: {
+                type,
+                bitDepth: grid.data.BYTES_PER_ELEMENT * 8,
+                channels: grid.channels,
+                layout: HexaImageFormat.LAYOUTS[grid.channels]
+            },
+            kernel: kernel ? { name: kernel.name, options: kernel.options } : null,
+            source,
+            compression: { method: 'deflate', predictor: 'delta-row' },
+            display,
+            operations,
+            created: new Date().toISOString()
+        };
+        if (roi) {
+            header.roi = { x: roi.x, y: roi.y, width: roi.width, height: roi.height };
+        }
+        if (grids.length > 1) {
+            header.frames = { count: grids.length, rate };
+        }
+
+        // Each frame is predicted on its own, so frames can be decoded alone
+        const frameBytes = grid.data.byteLength;
+        const residuals = new Uint8Array(frameBytes * grids.length);
+        grids.forEach((frame, i) => {
+            HexaImageFormat.writeSamples(HexaImageFormat.applyPredictor(frame, false), residuals, i * frameBytes);
+        });
+        const payload = await HexaImageFormat.deflate(residuals);
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+        const result = new Uint8Array(16 + headerBytes.length + payload.length);
+        const view = new DataView(result.buffer);
+        for (let i = 0; i < 4; i++) {
+            result[i] = HexaImageFormat.MAGIC.charCodeAt(i);
+        }
+        view.setUint16(4, header.frames ? HexaImageFormat.VERSION : 1, true);
+        view.setUint16(6, 0, true);
+        view.setUint32(8, headerBytes.length, true);
+        result.set(headerBytes, 12);
+        view.setUint32(12 + headerBytes.length, payload.length, true);
+        result.set(payload, 16 + headerBytes.length);
+
+        return result;
+    }
+
+    static async decode(input) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        if (!HexaImageFormat.isHXI(bytes)) {
+            throw new Error('Not an HXI file');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const version = view.getUint16(4, true);
+        if (version > HexaImageFormat.VERSION) {
+            throw new Error(`Unsupported HXI version: ${version}`);
+        }
+
+        const headerLength = view.getUint32(8, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+        const payloadLength = view.getUint32(12 + headerLength, true);
+        const payload = bytes.subarray(16 + headerLength, 16 + headerLength + payloadLength);
+
+        if (header.compression?.method !== 'deflate') {
+            throw new Error(`Unsupported HXI compression: ${header.compression?.method}`);
+        }
+
+        const SampleArray = HexaImageFormat.SAMPLE_TYPES[header.samples.type];
+        if (!SampleArray) {
+            throw new Error(`Unsupported HXI sample type: ${header.samples.type}`);
+        }
+
+        const raw = await HexaImageFormat.inflate(payload);
+        const count = header.frames?.count || 1;
+        const frameLength = header.lattice.columns * header.lattice.rows * header.samples.channels;
+        if (raw.byteLength !== count * frameLength * SampleArray.BYTES_PER_ELEMENT) {
+            throw new Error('HXI cell data does not match the lattice size');
+        }
+
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            const frame = new HexGrid({
+                ...header.lattice,
+                channels: header.samples.channels,
+                data: new SampleArray(frameLength)
+            });
+            HexaImageFormat.readSamples(raw, i * frameLength * SampleArray.BYTES_PER_ELEMENT, HexaImageFormat.integerView(frame.data));
+            HexaImageFormat.applyPredictor(frame, true);
+            frames.push(frame);
+        }
+
+        // `grid` is the first frame; `frames` holds them all
+        return { grid: frames[0], header, frames };
+    }
+
+    /**
+     * Row-wise delta predictor on the unsigned integer view of the samples.
+     * Encoding returns a new array of residuals; decoding works in place.
+     */
+    static applyPredictor(grid, decode) {
+        const view = HexaImageFormat.integerView(grid.data);
+        const out = decode ? view : new view.constructor(view.length);
+        const rowLength = grid.columns * grid.channels;
+
+        for (let row = 0; row < grid.rows; row++) {
+            const start = row * rowLength;
+            for (let i = start; i < start + rowLength; i++) {
+                const previous = i - start >= grid.channels ? i - grid.channels : -1;
+                if (decode) {
+                    if (previous >= 0) out[i] = view[i] + view[previous];
+                } else {
+                    out[i] = previous >= 0 ? view[i] - view[previous] : view[i];
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Copy unsigned sample bits to or from little-endian bytes at `offset`,
+     * whatever the platform's byte order.
+     */
+    static writeSamples(values, bytes, offset) {
+        const size = values.BYTES_PER_ELEMENT;
+        if (size === 1) {
+            bytes.set(values, offset);
+            return;
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset, values.length * size);
+        for (let i = 0; i < values.length; i++) {
+            if (size === 2) view.setUint16(i * 2, values[i], true);
+            else view.setUint32(i * 4, values[i], true);
+        }
+    }
+
+    static readSamples(bytes, offset, values) {
+        const size = values.BYTES_PER_ELEMENT;
+        if (size === 1) {
+            values.set(bytes.subarray(offset, offset + values.length));
+            return;
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset, values.length * size);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = size === 2 ? view.getUint16(i * 2, true) : view.getUint32(i * 4, true);
+        }
+    }
+
+    static integerView(data) {
+        const UintArray = { 1: Uint8Array, 2: Uint16Array, 4: Uint32Array }[data.BYTES_PER_ELEMENT];
+        return new UintArray(data.buffer, data.byteOffset, data.length);
+    }
+
+    static sampleTypeOf(data) {
+        const entry = Object.entries(HexaImageFormat.SAMPLE_TYPES).find(([, SampleArray]) => data[Symbol.toStringTag] === SampleArray.name);
+        if (!entry) {
+            throw new Error('Unsupported cell data type');
+        }
+        return entry[0];
+    }
+
+    static async deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static async inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+HexaImageFormat.MAGIC = 'HXI1';
+HexaImageFormat.VERSION = 2;
+HexaImageFormat.FILE_EXTENSION = '.hxi';
+HexaImageFormat.SAMPLE_TYPES = {
+    uint8: Uint8ClampedArray,
+    uint16: Uint16Array,
+    float32: Float32Array
+};
+HexaImageFormat.LAYOUTS = { 1: 'Y', 2: 'YA', 3: 'RGB', 4: 'RGBA' };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexaImageFormat;
+}
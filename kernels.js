@@ -0,0 +1,332 @@
+/**
+ * ResamplingKernels - Pluggable sampling kernels for CCD to hex conversion
+ *
+ * Every kernel weighs the source pixels around a sub-pixel sample position.
+ * Offsets are measured from the sample position to a source pixel centre, in
+ * source pixels. Separable kernels supply weight1d(t); the rest supply
+ * weight(dx, dy). Pixels outside the image are clamped to the nearest edge,
+ * and weights are normalised so they always sum to 1.
+ */
+
+class ResamplingKernels {
+    static register(name, definition) {
+        ResamplingKernels.registry.set(name, definition);
+    }
+
+    static list() {
+        return Array.from(ResamplingKernels.registry, ([name, definition]) => ({
+            name,
+            label: definition.label,
+            params: definition.params || []
+        }));
+    }
+
+    static create(name, options = {}) {
+        const definition = ResamplingKernels.registry.get(name);
+        if (!definition) {
+            throw new Error(`Unknown resampling kernel: ${name}`);
+        }
+        return { name, label: definition.label, options, ...definition.create(options) };
+    }
+
+    /**
+     * Collect the clamped source indices and normalised weights used for a
+     * sample at (x, y). Buffers in `out` are reused between calls.
+     */
+    static computeTaps(kernel, x, y, width, height, out = { indices: [], weights: [], count: 0 }) {
+        const radius = kernel.radius;
+        const xStart = Math.ceil(x - radius);
+        const xEnd = Math.floor(x + radius);
+        const yStart = Math.ceil(y - radius);
+        const yEnd = Math.floor(y + radius);
+
+        let count = 0;
+        let totalWeight = 0;
+
+        for (let py = yStart; py <= yEnd; py++) {
+            const wy = kernel.weight1d ? kernel.weight1d(py - y) : 1;
+            if (wy === 0) continue;
+            const sampleY = Math.max(0, Math.min(height - 1, py));
+
+            for (let px = xStart; px <= xEnd; px++) {
+                const weight = kernel.weight1d ? wy * kernel.weight1d(px - x) : kernel.weight(px - x, py - y);
+                if (weight === 0) continue;
+                const sampleX = Math.max(0, Math.min(width - 1, px));
+
+                out.indices[count] = sampleY * width + sampleX;
+                out.weights[count] = weight;
+                totalWeight += weight;
+                count++;
+            }
+        }
+
+        if (totalWeight !== 0) {
+            for (let i = 0; i < count; i++) {
+                out.weights[i] /= totalWeight;
+            }
+        }
+
+        out.count = count;
+        return out;
+    }
+
+    /**
+     * Weighted sample of an interleaved pixel buffer at a sub-pixel position.
+     * Writes one (unclamped) value per channel into `out`.
+     */
+    static sample(pixels, width, height, channels, x, y, kernel, out = new Array(channels)) {
+        const resolved = kernel.select ? kernel.select(pixels, width, height, channels, x, y) : kernel;
+        const taps = ResamplingKernels.computeTaps(resolved, x, y, width, height, ResamplingKernels.scratchTaps);
+
+        out.fill(0, 0, channels);
+        for (let i = 0; i < taps.count; i++) {
+            const index = taps.indices[i] * channels;
+            const weight = taps.weights[i];
+            for (let c = 0; c < channels; c++) {
+                out[c] += pixels[index + c] * weight;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Like sample(), for pixels whose last channel is straight alpha. Colours
+     * are weighted by alpha as well as by the kernel, so transparent pixels
+     * do not bleed their (arbitrary) colour into the sample. Where nothing is
+     * covered the plain kernel average is kept, as the source stores it.
+     */
+    static sampleWithAlpha(pixels, width, height, channels, x, y, kernel, out = new Array(channels)) {
+        const resolved = kernel.select ? kernel.select(pixels, width, height, channels, x, y) : kernel;
+        const taps = ResamplingKernels.computeTaps(resolved, x, y, width, height, ResamplingKernels.scratchTaps);
+        const alpha = channels - 1;
+        const plain = ResamplingKernels.scratchTotals.fill(0);
+
+        out.fill(0, 0, channels);
+        for (let i = 0; i < taps.count; i++) {
+            const index = taps.indices[i] * channels;
+            const weight = taps.weights[i];
+            const covered = weight * pixels[index + alpha];
+            for (let c = 0; c < alpha; c++) {
+                out[c] += pixels[index + c] * covered;
+                plain[c] += pixels[index + c] * weight;
+            }
+            out[alpha] += covered;
+        }
+
+        for (let c = 0; c < alpha; c++) {
+            out[c] = out[alpha] > 0 ? out[c] / out[alpha] : plain[c];
+        }
+        return out;
+    }
+
+    /**
+     * Mosaic counterpart of computeTaps(): the CFA sites used for a sample at
+     * (x, y), with the colour of each. Each colour plane only has one sample
+     * per CFA period, so the kernel is stretched by the period and weights
+     * are normalised per colour.
+     */
+    static computeMosaicTaps(kernel, x, y, width, height, cfa, out = { indices: [], weights: [], colors: [], count: 0 }) {
+        const scaleX = cfa.width;
+        const scaleY = cfa.height;
+        const radiusX = kernel.radius * scaleX;
+        const radiusY = kernel.radius * scaleY;
+        const totals = ResamplingKernels.scratchTotals.fill(0);
+        let count = 0;
+
+        for (let py = Math.ceil(y - radiusY); py <= Math.floor(y + radiusY); py++) {
+            const ty = (py - y) / scaleY;
+            const wy = kernel.weight1d ? kernel.weight1d(ty) : 1;
+            if (wy === 0) continue;
+            const sampleY = ResamplingKernels.foldToPeriod(py, height, cfa.height);
+
+            for (let px = Math.ceil(x - radiusX); px <= Math.floor(x + radiusX); px++) {
+                const tx = (px - x) / scaleX;
+                const weight = kernel.weight1d ? wy * kernel.weight1d(tx) : kernel.weight(tx, ty);
+                if (weight === 0) continue;
+                const sampleX = ResamplingKernels.foldToPeriod(px, width, cfa.width);
+
+                const color = cfa.pattern[(sampleY % cfa.height) * cfa.width + (sampleX % cfa.width)];
+                out.indices[count] = sampleY * width + sampleX;
+                out.weights[count] = weight;
+                out.colors[count] = color;
+                totals[color] += weight;
+                count++;
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            const total = totals[out.colors[i]];
+            if (total !== 0) out.weights[i] /= total;
+        }
+
+        out.count = count;
+        return out;
+    }
+
+    /**
+     * Per-colour sample of a single-channel CFA mosaic at (x, y) (see
+     * computeMosaicTaps). Writes raw (unnormalised) R, G, B values into `out`.
+     * `range` is the span of the sensor codes from black to white, for
+     * kernels that choose by edge strength.
+     */
+    static sampleMosaic(mosaic, width, height, cfa, x, y, kernel, out = [0, 0, 0], range = undefined) {
+        const resolved = kernel.select ? kernel.select(mosaic, width, height, 1, x, y, range) : kernel;
+        const taps = ResamplingKernels.computeMosaicTaps(resolved, x, y, width, height, cfa, ResamplingKernels.scratchMosaicTaps);
+
+        out.fill(0, 0, 3);
+        for (let i = 0; i < taps.count; i++) {
+            out[taps.colors[i]] += mosaic[taps.indices[i]] * taps.weights[i];
+        }
+        return out;
+    }
+
+    /**
+     * Clamp a coordinate into [0, size) in whole CFA periods, so a pixel
+     * past the edge is replaced by the nearest pixel of the same colour.
+     */
+    static foldToPeriod(value, size, period) {
+        while (value < 0) value += period;
+        while (value >= size) value -= period;
+        return Math.max(0, value);
+    }
+
+    // 1-D kernel shapes
+    static tent(t) {
+        const a = Math.abs(t);
+        return a < 1 ? 1 - a : 0;
+    }
+
+    static cubic(t, a = -0.5) {
+        const absT = Math.abs(t);
+        if (absT <= 1) return (a + 2) * absT * absT * absT - (a + 3) * absT * absT + 1;
+        if (absT < 2) return a * absT * absT * absT - 5 * a * absT * absT + 8 * a * absT - 4 * a;
+        return 0;
+    }
+
+    static lanczos(t, a) {
+        if (t === 0) return 1;
+        if (Math.abs(t) >= a) return 0;
+        const pt = Math.PI * t;
+        return (a * Math.sin(pt) * Math.sin(pt / a)) / (pt * pt);
+    }
+
+    /**
+     * Largest value of a sample type: 255, 65535, or 1 for float data.
+     */
+    static fullScale(data) {
+        const type = data[Symbol.toStringTag];
+        if (type.startsWith('Float')) return 1;
+        return type === 'Uint16Array' ? 65535 : 255;
+    }
+
+    /**
+     * Sobel gradient magnitude of the luminance around (x, y), scaled so a
+     * full-range step edge is roughly 1. `range` is the span from black to
+     * white, by default the full scale of the sample type.
+     */
+    static edgeStrength(pixels, width, height, channels, x, y, range = ResamplingKernels.fullScale(pixels)) {
+        const x0 = Math.round(x);
+        const y0 = Math.round(y);
+        const gray = (px, py) => {
+            const index = (Math.max(0, Math.min(height - 1, py)) * width + Math.max(0, Math.min(width - 1, px))) * channels;
+            return channels >= 3 ? (pixels[index] + pixels[index + 1] + pixels[index + 2]) / 3 : pixels[index];
+        };
+
+        const gx = gray(x0 + 1, y0 - 1) + 2 * gray(x0 + 1, y0) + gray(x0 + 1, y0 + 1)
+            - gray(x0 - 1, y0 - 1) - 2 * gray(x0 - 1, y0) - gray(x0 - 1, y0 + 1);
+        const gy = gray(x0 - 1, y0 + 1) + 2 * gray(x0, y0 + 1) + gray(x0 + 1, y0 + 1)
+            - gray(x0 - 1, y0 - 1) - 2 * gray(x0, y0 - 1) - gray(x0 + 1, y0 - 1);
+
+        return Math.sqrt(gx * gx + gy * gy) / (4 * range);
+    }
+}
+
+ResamplingKernels.registry = new Map();
+ResamplingKernels.scratchTaps = { indices: [], weights: [], count: 0 };
+ResamplingKernels.scratchMosaicTaps = { indices: [], weights: [], colors: [], count: 0 };
+ResamplingKernels.scratchTotals = [0, 0, 0];
+
+ResamplingKernels.register('window3x3', {
+    label: '3×3 50/50 (default)',
+    create: () => ({
+        // 50% centre, 6.25% for each of the 8 neighbours, with every window
+        // sample bilinearly interpolated so the window can sit between pixels
+        radius: 2,
+        weight: (dx, dy) => {
+            let weight = 0;
+            for (let j = -1; j <= 1; j++) {
+                const wy = ResamplingKernels.tent(dy - j);
+                if (wy === 0) continue;
+                for (let i = -1; i <= 1; i++) {
+                    const k = (i === 0 && j === 0) ? 0.5 : 0.5 / 8;
+                    weight += k * wy * ResamplingKernels.tent(dx - i);
+                }
+            }
+            return weight;
+        }
+    })
+});
+
+ResamplingKernels.register('nearest', {
+    label: 'Nearest',
+    create: () => ({
+        // Half-open so exactly one pixel wins on ties, matching Math.round
+        radius: 0.5,
+        weight1d: (t) => (t > -0.5 && t <= 0.5 ? 1 : 0)
+    })
+});
+
+ResamplingKernels.register('bilinear', {
+    label: 'Bilinear',
+    create: () => ({ radius: 1, weight1d: ResamplingKernels.tent })
+});
+
+ResamplingKernels.register('bicubic', {
+    label: 'Bicubic',
+    create: () => ({ radius: 2, weight1d: (t) => ResamplingKernels.cubic(t) })
+});
+
+ResamplingKernels.register('lanczos2', {
+    label: 'Lanczos-2',
+    create: () => ({ radius: 2, weight1d: (t) => ResamplingKernels.lanczos(t, 2) })
+});
+
+ResamplingKernels.register('lanczos3', {
+    label: 'Lanczos-3',
+    create: () => ({ radius: 3, weight1d: (t) => ResamplingKernels.lanczos(t, 3) })
+});
+
+ResamplingKernels.register('gaussian', {
+    label: 'Gaussian',
+    params: [{ name: 'sigma', label: 'σ', min: 0.1, max: 5, step: 0.1, default: 0.8 }],
+    create: ({ sigma = 0.8 }) => {
+        const twoSigmaSq = 2 * sigma * sigma;
+        return {
+            radius: Math.max(1, Math.ceil(3 * sigma)),
+            weight1d: (t) => Math.exp(-(t * t) / twoSigmaSq)
+        };
+    }
+});
+
+ResamplingKernels.register('adaptive', {
+    label: 'Adaptive edge-aware',
+    create: () => {
+        const sharp = ResamplingKernels.create('lanczos2');
+        const medium = ResamplingKernels.create('bilinear');
+        const smooth = ResamplingKernels.create('bicubic');
+        return {
+            radius: sharp.radius,
+            // Lanczos on strong edges, bilinear on soft ones, bicubic in flat areas
+            select: (pixels, width, height, channels, x, y, range) => {
+                const edge = ResamplingKernels.edgeStrength(pixels, width, height, channels, x, y, range);
+                if (edge > 0.3) return sharp;
+                if (edge > 0.1) return medium;
+                return smooth;
+            }
+        };
+    }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResamplingKernels;
+}
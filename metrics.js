@@ -0,0 +1,124 @@
+/**
+ * ImageMetrics - Round-trip quality metrics for hex conversion
+ *
+ * Compares two interleaved images of the same size (for example the source
+ * and its hex → orthogonal reconstruction) with per-channel MSE, PSNR and
+ * SSIM. Only the first `compare` channels are used, so alpha can be ignored.
+ */
+
+class ImageMetrics {
+    static mse(a, b, width, height, channels, compare = channels >= 3 ? 3 : 1) {
+        const sums = new Array(compare).fill(0);
+        const pixelCount = width * height;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const index = i * channels;
+            for (let c = 0; c < compare; c++) {
+                const diff = a[index + c] - b[index + c];
+                sums[c] += diff * diff;
+            }
+        }
+
+        return sums.map(sum => sum / pixelCount);
+    }
+
+    static psnr(mse, peak = 255) {
+        return mse === 0 ? Infinity : 10 * Math.log10((peak * peak) / mse);
+    }
+
+    /**
+     * Mean SSIM of the luma plane (Wang et al. 2004) over 8×8 windows with
+     * a stride of 4, using the usual K1 = 0.01, K2 = 0.03 constants.
+     */
+    static ssim(a, b, width, height, channels, peak = 255) {
+        const lumaA = ImageMetrics.luma(a, width, height, channels);
+        const lumaB = ImageMetrics.luma(b, width, height, channels);
+        const c1 = (0.01 * peak) ** 2;
+        const c2 = (0.03 * peak) ** 2;
+
+        const windowSize = Math.min(8, width, height);
+        const stride = Math.max(1, windowSize >> 1);
+        const n = windowSize * windowSize;
+
+        let total = 0;
+        let windows = 0;
+
+        for (let y0 = 0; y0 + windowSize <= height; y0 += stride) {
+            for (let x0 = 0; x0 + windowSize <= width; x0 += stride) {
+                let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+                for (let y = y0; y < y0 + windowSize; y++) {
+                    for (let x = x0; x < x0 + windowSize; x++) {
+                        const va = lumaA[y * width + x];
+                        const vb = lumaB[y * width + x];
+                        sumA += va;
+                        sumB += vb;
+                        sumAA += va * va;
+                        sumBB += vb * vb;
+                        sumAB += va * vb;
+                    }
+                }
+
+                const meanA = sumA / n;
+                const meanB = sumB / n;
+                const varA = sumAA / n - meanA * meanA;
+                const varB = sumBB / n - meanB * meanB;
+                const covariance = sumAB / n - meanA * meanB;
+
+                total += ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+                    ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+                windows++;
+            }
+        }
+
+        return windows > 0 ? total / windows : 1;
+    }
+
+    static luma(pixels, width, height, channels) {
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            const index = i * channels;
+            luma[i] = channels >= 3
+                ? 0.299 * pixels[index] + 0.587 * pixels[index + 1] + 0.114 * pixels[index + 2]
+                : pixels[index];
+        }
+        return luma;
+    }
+
+    /**
+     * Per-pixel RMS difference over the colour channels, for heatmaps.
+     */
+    static differenceMap(a, b, width, height, channels, compare = channels >= 3 ? 3 : 1) {
+        const map = new Float32Array(width * height);
+
+        for (let i = 0; i < map.length; i++) {
+            const index = i * channels;
+            let sum = 0;
+            for (let c = 0; c < compare; c++) {
+                const diff = a[index + c] - b[index + c];
+                sum += diff * diff;
+            }
+            map[i] = Math.sqrt(sum / compare);
+        }
+
+        return map;
+    }
+
+    /**
+     * Full report used by the Processing Details card.
+     */
+    static compare(a, b, width, height, channels, peak = 255) {
+        const mse = ImageMetrics.mse(a, b, width, height, channels);
+        const meanMse = mse.reduce((sum, value) => sum + value, 0) / mse.length;
+
+        return {
+            mse,
+            psnr: ImageMetrics.psnr(meanMse, peak),
+            ssim: ImageMetrics.ssim(a, b, width, height, channels, peak)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageMetrics;
+}
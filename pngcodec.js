@@ -0,0 +1,251 @@
+/**
+ * PngCodec - Minimal PNG reader and writer for the Node CLI
+ *
+ * The page decodes images with <img>, which Node does not have, so the CLI
+ * reads and writes PNG itself on top of zlib. Decoding handles every
+ * standard colour type and bit depth (grey, RGB, palette, grey + alpha,
+ * RGBA at 1-16 bits, Adam7 interlaced or not) and keeps the image's own
+ * layout: Y, YA, RGB or RGBA (tRNS adds an alpha channel), as Uint16Array
+ * for 16-bit files and Uint8ClampedArray otherwise. Encoding writes 8-bit
+ * RGBA, which is what the display rendering produces.
+ */
+
+const zlib = require('zlib');
+
+class PngCodec {
+    static isPNG(bytes) {
+        return bytes.length >= 8 && PngCodec.SIGNATURE.every((value, i) => bytes[i] === value);
+    }
+
+    static decode(bytes) {
+        if (!PngCodec.isPNG(bytes)) {
+            throw new Error('Not a PNG file');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const idat = [];
+        let header = null;
+        let palette = null;
+        let transparency = null;
+
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const start = offset + 8;
+            const data = bytes.subarray(start, start + length);
+            offset = start + length + 4;
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(start),
+                    height: view.getUint32(start + 4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                idat.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header) {
+            throw new Error('PNG has no IHDR chunk');
+        }
+        const channels = PngCodec.CHANNELS[header.colorType];
+        if (!channels) {
+            throw new Error(`Unsupported PNG colour type: ${header.colorType}`);
+        }
+        if (header.colorType === 3 && !palette) {
+            throw new Error('Palette PNG has no PLTE chunk');
+        }
+
+        const hasAlpha = header.colorType === 4 || header.colorType === 6 || !!transparency;
+        const outChannels = PngCodec.COLORS[header.colorType] + (hasAlpha ? 1 : 0);
+        const image = { ...header, channels, outChannels, palette, transparency };
+        const raw = zlib.inflateSync(Buffer.concat(idat));
+        const SampleArray = header.bitDepth === 16 ? Uint16Array : Uint8ClampedArray;
+        const out = new SampleArray(header.width * header.height * outChannels);
+
+        if (header.interlace) {
+            // Adam7: seven reduced images, each filtered on its own
+            let position = 0;
+            for (const [x0, y0, dx, dy] of PngCodec.ADAM7) {
+                const passWidth = Math.ceil((header.width - x0) / dx);
+                const passHeight = Math.ceil((header.height - y0) / dy);
+                if (passWidth <= 0 || passHeight <= 0) continue;
+                position = PngCodec.decodePass(image, raw, position, passWidth, passHeight,
+                    (x, y) => ((y0 + y * dy) * header.width + x0 + x * dx) * outChannels, out);
+            }
+        } else {
+            PngCodec.decodePass(image, raw, 0, header.width, header.height,
+                (x, y) => (y * header.width + x) * outChannels, out);
+        }
+
+        return { width: header.width, height: header.height, channels: outChannels, bitDepth: header.bitDepth, data: out };
+    }
+
+    /**
+     * Unfilter one (sub-)image starting at `position` in the inflated stream
+     * and write its pixels at target(x, y). Returns the next position.
+     */
+    static decodePass(image, raw, position, width, height, target, out) {
+        const bitsPerPixel = image.channels * image.bitDepth;
+        const stride = Math.ceil(width * bitsPerPixel / 8);
+        const bpp = Math.max(1, bitsPerPixel >> 3);
+        let previous = new Uint8Array(stride);
+        let current = new Uint8Array(stride);
+
+        for (let y = 0; y < height; y++) {
+            const filter = raw[position++];
+            for (let i = 0; i < stride; i++) {
+                const left = i >= bpp ? current[i - bpp] : 0;
+                const up = previous[i];
+                const upLeft = i >= bpp ? previous[i - bpp] : 0;
+                let predictor = 0;
+                if (filter === 1) predictor = left;
+                else if (filter === 2) predictor = up;
+                else if (filter === 3) predictor = (left + up) >> 1;
+                else if (filter === 4) predictor = PngCodec.paeth(left, up, upLeft);
+                else if (filter !== 0) throw new Error(`Invalid PNG filter type: ${filter}`);
+                current[i] = (raw[position + i] + predictor) & 0xFF;
+            }
+            position += stride;
+
+            for (let x = 0; x < width; x++) {
+                PngCodec.readPixel(image, current, x, out, target(x, y));
+            }
+            [previous, current] = [current, previous];
+        }
+
+        return position;
+    }
+
+    static readPixel(image, row, x, out, index) {
+        const { bitDepth, colorType, channels, outChannels, palette, transparency } = image;
+        const sample = (c) => {
+            const n = x * channels + c;
+            if (bitDepth === 8) return row[n];
+            if (bitDepth === 16) return (row[2 * n] << 8) | row[2 * n + 1];
+            // 1, 2 and 4-bit grey or palette indices, packed MSB-first
+            const bit = n * bitDepth;
+            return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+        };
+
+        if (colorType === 3) {
+            const entry = sample(0);
+            out[index] = palette[entry * 3];
+            out[index + 1] = palette[entry * 3 + 1];
+            out[index + 2] = palette[entry * 3 + 2];
+            if (transparency) out[index + 3] = entry < transparency.length ? transparency[entry] : 255;
+            return;
+        }
+
+        // Grey below 8 bits is scaled up to the 8-bit range
+        const scale = bitDepth < 8 ? 255 / ((1 << bitDepth) - 1) : 1;
+        const colors = PngCodec.COLORS[colorType];
+        for (let c = 0; c < colors; c++) {
+            out[index + c] = sample(c) * scale;
+        }
+
+        if (colorType === 4 || colorType === 6) {
+            out[index + colors] = sample(colors);
+        } else if (transparency) {
+            // tRNS names one fully transparent grey level or RGB colour
+            let matches = true;
+            for (let c = 0; c < colors; c++) {
+                matches = matches && ((transparency[2 * c] << 8) | transparency[2 * c + 1]) === sample(c);
+            }
+            out[index + outChannels - 1] = matches ? 0 : (bitDepth === 16 ? 65535 : 255);
+        }
+    }
+
+    static paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        return pb <= pc ? b : c;
+    }
+
+    /**
+     * 8-bit RGBA PNG from { width, height, data } (ImageData layout). Rows
+     * use the Paeth filter, which suits the smooth rasters the converter
+     * produces.
+     */
+    static encode({ width, height, data }) {
+        const stride = width * 4;
+        const filtered = Buffer.alloc((stride + 1) * height);
+
+        for (let y = 0; y < height; y++) {
+            const row = y * stride;
+            const target = y * (stride + 1);
+            filtered[target] = 4;
+            for (let i = 0; i < stride; i++) {
+                const left = i >= 4 ? data[row + i - 4] : 0;
+                const up = y > 0 ? data[row - stride + i] : 0;
+                const upLeft = i >= 4 && y > 0 ? data[row - stride + i - 4] : 0;
+                filtered[target + 1 + i] = (data[row + i] - PngCodec.paeth(left, up, upLeft)) & 0xFF;
+            }
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8; // Bit depth
+        header[9] = 6; // RGBA
+
+        return Buffer.concat([
+            Buffer.from(PngCodec.SIGNATURE),
+            PngCodec.chunk('IHDR', header),
+            PngCodec.chunk('IDAT', zlib.deflateSync(filtered)),
+            PngCodec.chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    static chunk(type, data) {
+        const chunk = Buffer.alloc(12 + data.length);
+        chunk.writeUInt32BE(data.length, 0);
+        chunk.write(type, 4, 'ascii');
+        data.copy(chunk, 8);
+        chunk.writeUInt32BE(PngCodec.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+        return chunk;
+    }
+
+    static crc32(bytes) {
+        if (!PngCodec.crcTable) {
+            PngCodec.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                PngCodec.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = PngCodec.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+PngCodec.SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+// Stored samples per pixel, and colour channels after palette expansion
+PngCodec.CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+PngCodec.COLORS = { 0: 1, 2: 3, 3: 3, 4: 1, 6: 3 };
+PngCodec.ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+PngCodec.crcTable = null;
+
+module.exports = PngCodec;
@@ -0,0 +1,713 @@
+/**
+ * RawDecoder - TIFF-based camera raw ingestion (DNG, TIFF, CR2, NEF)
+ *
+ * Walks the TIFF IFD tree, picks the full-resolution sensor image and reads
+ * its strips or tiles, uncompressed (8-16 bit, packed MSB-first) or lossless
+ * JPEG. CFA mosaics are returned undemosaiced together with their CFA
+ * pattern, black level, white level and as-shot white balance, so the hex
+ * converter can sample the Bayer data directly.
+ *
+ * Not supported: Nikon's proprietary NEF compression, CR3, and compressed
+ * (LZW/Deflate) non-raw TIFFs.
+ */
+
+class RawDecoder {
+    static isRawFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        return RawDecoder.EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * A .tif/.tiff file without sensor data: an ordinary image, which the
+     * page leaves to the browser. Only TIFFs with DNG or CFA tags, or a CFA
+     * or linear-raw image, are read as raw.
+     */
+    static isPlainTiff(file, buffer) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        return RawDecoder.TIFF_EXTENSIONS.includes(extension) && !RawDecoder.hasSensorData(buffer);
+    }
+
+    static hasSensorData(buffer) {
+        if (buffer.byteLength < 8) return false;
+        const view = new DataView(buffer);
+        const order = view.getUint16(0, false);
+        if (order !== 0x4949 && order !== 0x4D4D) return false;
+
+        const reader = { view, bytes: new Uint8Array(buffer), littleEndian: order === 0x4949 };
+        const T = RawDecoder.TAGS;
+        return RawDecoder.readAllIFDs(reader, view.getUint32(4, reader.littleEndian)).some(ifd =>
+            ifd[T.DNGVersion] || ifd[T.CFAPattern] || ifd[T.CFARepeatPatternDim] ||
+            [32803, 34892].includes(RawDecoder.tagValue(reader, ifd[T.PhotometricInterpretation], -1)));
+    }
+
+    static decode(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const order = view.getUint16(0, false);
+        if (order !== 0x4949 && order !== 0x4D4D) {
+            throw new Error('Not a TIFF-based raw file');
+        }
+
+        const littleEndian = order === 0x4949;
+        if (view.getUint16(2, littleEndian) !== 42) {
+            throw new Error('Invalid TIFF magic number');
+        }
+
+        const reader = { view, bytes, littleEndian };
+        const ifds = RawDecoder.readAllIFDs(reader, view.getUint32(4, littleEndian));
+        const isCR2 = bytes[8] === 0x43 && bytes[9] === 0x52; // "CR"
+        const root = ifds[0] || {};
+
+        const info = {
+            make: RawDecoder.tagString(reader, root[RawDecoder.TAGS.Make]),
+            model: RawDecoder.tagString(reader, root[RawDecoder.TAGS.Model]),
+            format: root[RawDecoder.TAGS.DNGVersion] ? 'DNG' : isCR2 ? 'CR2' : 'TIFF'
+        };
+        if (info.format === 'TIFF' && /nikon/i.test(info.make)) {
+            info.format = 'NEF';
+        }
+
+        const ifd = isCR2 ? ifds[3] : RawDecoder.selectImageIFD(reader, ifds);
+        if (!ifd) {
+            throw new Error('No full-resolution image found');
+        }
+        // The CR2 raw image is the fourth IFD's single strip
+        if (isCR2 && !(ifd[RawDecoder.TAGS.StripOffsets] && ifd[RawDecoder.TAGS.StripByteCounts])) {
+            throw new Error('CR2 raw image has no strip data');
+        }
+
+        const raw = RawDecoder.readImage(reader, ifd, isCR2);
+        RawDecoder.readLevels(reader, ifd, root, raw);
+
+        // Sensor data is scene-linear; ordinary TIFFs are already display-encoded
+        raw.linear = raw.kind === 'cfa' || info.format === 'DNG';
+        return Object.assign(raw, info);
+    }
+
+    // TIFF structure
+    static readAllIFDs(reader, firstOffset) {
+        const ifds = [];
+        const visited = new Set();
+        const queue = [firstOffset];
+
+        while (queue.length) {
+            let offset = queue.shift();
+            while (offset && !visited.has(offset) && offset < reader.bytes.length) {
+                visited.add(offset);
+                const { entries, next } = RawDecoder.readIFD(reader, offset);
+                ifds.push(entries);
+
+                const subIFDs = entries[RawDecoder.TAGS.SubIFDs];
+                if (subIFDs) {
+                    queue.push(...RawDecoder.tagValues(reader, subIFDs));
+                }
+                offset = next;
+            }
+        }
+
+        return ifds;
+    }
+
+    static readIFD(reader, offset) {
+        const { view, littleEndian } = reader;
+        const count = view.getUint16(offset, littleEndian);
+        const entries = {};
+
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            const tag = view.getUint16(entryOffset, littleEndian);
+            const type = view.getUint16(entryOffset + 2, littleEndian);
+            const valueCount = view.getUint32(entryOffset + 4, littleEndian);
+            const size = (RawDecoder.TYPE_SIZES[type] || 1) * valueCount;
+
+            entries[tag] = {
+                type,
+                count: valueCount,
+                // Values of up to 4 bytes live inside the entry itself
+                offset: size <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian)
+            };
+        }
+
+        return { entries, next: view.getUint32(offset + 2 + count * 12, littleEndian) };
+    }
+
+    static tagValues(reader, entry) {
+        if (!entry) return [];
+        const { view, littleEndian } = reader;
+        const size = RawDecoder.TYPE_SIZES[entry.type] || 1;
+        const values = [];
+
+        for (let i = 0; i < entry.count; i++) {
+            const at = entry.offset + i * size;
+            switch (entry.type) {
+                case 3: values.push(view.getUint16(at, littleEndian)); break;
+                case 4: case 13: values.push(view.getUint32(at, littleEndian)); break;
+                case 5: values.push(view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian)); break;
+                case 8: values.push(view.getInt16(at, littleEndian)); break;
+                case 9: values.push(view.getInt32(at, littleEndian)); break;
+                case 10: values.push(view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian)); break;
+                case 11: values.push(view.getFloat32(at, littleEndian)); break;
+                case 12: values.push(view.getFloat64(at, littleEndian)); break;
+                default: values.push(view.getUint8(at));
+            }
+        }
+
+        return values;
+    }
+
+    static tagValue(reader, entry, fallback) {
+        return entry ? RawDecoder.tagValues(reader, entry)[0] : fallback;
+    }
+
+    static tagString(reader, entry) {
+        if (!entry) return '';
+        const bytes = reader.bytes.subarray(entry.offset, entry.offset + entry.count);
+        return String.fromCharCode(...bytes).replace(/\0+$/, '').trim();
+    }
+
+    /**
+     * Prefer the largest CFA or linear-raw image; fall back to the largest
+     * full-resolution image of any kind for plain TIFFs.
+     */
+    static selectImageIFD(reader, ifds) {
+        const T = RawDecoder.TAGS;
+        const area = ifd => RawDecoder.tagValue(reader, ifd[T.ImageWidth], 0) * RawDecoder.tagValue(reader, ifd[T.ImageLength], 0);
+        const isFullRes = ifd => (RawDecoder.tagValue(reader, ifd[T.NewSubfileType], 0) & 1) === 0;
+        const photometric = ifd => RawDecoder.tagValue(reader, ifd[T.PhotometricInterpretation], -1);
+        const largest = list => list.reduce((best, ifd) => (!best || area(ifd) > area(best) ? ifd : best), null);
+
+        const sensor = ifds.filter(ifd => isFullRes(ifd) && [32803, 34892].includes(photometric(ifd)));
+        return largest(sensor) || largest(ifds.filter(ifd => isFullRes(ifd) && area(ifd) > 0));
+    }
+
+    // Image data
+    static readImage(reader, ifd, isCR2) {
+        const T = RawDecoder.TAGS;
+        const value = (tag, fallback) => RawDecoder.tagValue(reader, ifd[tag], fallback);
+
+        const compression = value(T.Compression, 1);
+        const photometric = value(T.PhotometricInterpretation, isCR2 ? 32803 : 1);
+        const samplesPerPixel = value(T.SamplesPerPixel, 1);
+        const bitsPerSample = value(T.BitsPerSample, 16);
+
+        if (value(T.PlanarConfiguration, 1) !== 1) {
+            throw new Error('Planar TIFF layouts are not supported');
+        }
+        if (compression === 34713) {
+            throw new Error('Nikon-compressed NEF is not supported; use uncompressed NEF or convert to DNG');
+        }
+        if (samplesPerPixel > 4) {
+            throw new Error(`Unsupported TIFF sample count: ${samplesPerPixel}`);
+        }
+        // Old-style JPEG (6) only holds the lossless JPEG of a CR2 raw
+        if (![1, 7, ...(isCR2 ? [6] : [])].includes(compression)) {
+            throw new Error(`Unsupported TIFF compression: ${compression}`);
+        }
+
+        let width = value(T.ImageWidth, 0);
+        let height = value(T.ImageLength, 0);
+        let data;
+
+        if (isCR2) {
+            // CR2 keeps one lossless JPEG whose rows are cut into vertical slices
+            const offset = value(T.StripOffsets);
+            const jpeg = LosslessJpegDecoder.decode(reader.bytes.subarray(offset, offset + value(T.StripByteCounts)));
+            const slices = ifd[T.CR2Slices] ? RawDecoder.tagValues(reader, ifd[T.CR2Slices]) : null;
+            width = jpeg.width * jpeg.components;
+            height = jpeg.height;
+            data = slices ? RawDecoder.unslice(jpeg.data, slices, width, height) : jpeg.data;
+        } else {
+            data = new Uint16Array(width * height * samplesPerPixel);
+            const tiled = !!ifd[T.TileOffsets];
+            const offsets = RawDecoder.tagValues(reader, ifd[tiled ? T.TileOffsets : T.StripOffsets]);
+            const counts = RawDecoder.tagValues(reader, ifd[tiled ? T.TileByteCounts : T.StripByteCounts]);
+            const blockWidth = tiled ? value(T.TileWidth) : width;
+            const blockHeight = tiled ? value(T.TileLength) : value(T.RowsPerStrip, height);
+            const blocksAcross = Math.ceil(width / blockWidth);
+
+            offsets.forEach((offset, i) => {
+                const block = reader.bytes.subarray(offset, offset + counts[i]);
+                const x0 = (i % blocksAcross) * blockWidth;
+                const y0 = Math.floor(i / blocksAcross) * blockHeight;
+                const samples = compression === 1
+                    ? RawDecoder.unpack(block, blockWidth * blockHeight * samplesPerPixel, bitsPerSample, reader.littleEndian)
+                    : LosslessJpegDecoder.decode(block).data;
+                RawDecoder.placeBlock(data, width, height, samplesPerPixel, samples, x0, y0, blockWidth, blockHeight);
+            });
+        }
+
+        const linearization = ifd[T.LinearizationTable] ? RawDecoder.tagValues(reader, ifd[T.LinearizationTable]) : null;
+        if (linearization) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] = linearization[Math.min(data[i], linearization.length - 1)];
+            }
+        }
+
+        const isCFA = photometric === 32803;
+        return {
+            width,
+            height,
+            kind: isCFA ? 'cfa' : samplesPerPixel >= 3 ? 'rgb' : 'mono',
+            // Alpha, if any, is kept as the last channel
+            channels: isCFA ? 1 : samplesPerPixel,
+            bitDepth: bitsPerSample,
+            data,
+            cfa: isCFA ? RawDecoder.readCFA(reader, ifd) : null
+        };
+    }
+
+    /**
+     * Unpack unsigned samples. 8/16-bit samples are byte-aligned (16-bit in
+     * file byte order); other depths are packed MSB-first as in DNG.
+     */
+    static unpack(bytes, count, bits, littleEndian) {
+        const out = new Uint16Array(count);
+
+        if (bits === 8) {
+            out.set(bytes.subarray(0, count));
+        } else if (bits === 16) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const available = Math.min(count, bytes.byteLength >> 1);
+            for (let i = 0; i < available; i++) {
+                out[i] = view.getUint16(i * 2, littleEndian);
+            }
+        } else {
+            let bitBuffer = 0, bitCount = 0, byteIndex = 0;
+            for (let i = 0; i < count && byteIndex <= bytes.length; i++) {
+                while (bitCount < bits && byteIndex < bytes.length) {
+                    bitBuffer = ((bitBuffer << 8) | bytes[byteIndex++]) >>> 0;
+                    bitCount += 8;
+                }
+                if (bitCount < bits) break;
+                bitCount -= bits;
+                out[i] = (bitBuffer >>> bitCount) & ((1 << bits) - 1);
+                bitBuffer &= (1 << bitCount) - 1;
+            }
+        }
+
+        return out;
+    }
+
+    static placeBlock(data, width, height, channels, samples, x0, y0, blockWidth, blockHeight) {
+        const rows = Math.min(blockHeight, height - y0);
+        const columns = Math.min(blockWidth, width - x0);
+
+        for (let y = 0; y < rows; y++) {
+            const from = y * blockWidth * channels;
+            data.set(samples.subarray(from, from + columns * channels), ((y0 + y) * width + x0) * channels);
+        }
+    }
+
+    /**
+     * CR2 slices: [count, sliceWidth, lastSliceWidth]. Decoded samples fill
+     * each vertical slice top to bottom before moving to the next one.
+     */
+    static unslice(samples, [count, sliceWidth, lastSliceWidth], width, height) {
+        const out = new Uint16Array(width * height);
+        let index = 0;
+
+        for (let slice = 0; slice <= count; slice++) {
+            const columns = slice < count ? sliceWidth : lastSliceWidth;
+            const x0 = slice * sliceWidth;
+            for (let y = 0; y < height; y++) {
+                out.set(samples.subarray(index, index + columns), y * width + x0);
+                index += columns;
+            }
+        }
+
+        return out;
+    }
+
+    static readCFA(reader, ifd) {
+        const T = RawDecoder.TAGS;
+        const dims = ifd[T.CFARepeatPatternDim] ? RawDecoder.tagValues(reader, ifd[T.CFARepeatPatternDim]) : [2, 2];
+        const pattern = ifd[T.CFAPattern] ? RawDecoder.tagValues(reader, ifd[T.CFAPattern]) : [0, 1, 1, 2]; // RGGB
+
+        if (pattern.some(color => color > 2)) {
+            throw new Error('Only RGB colour filter arrays are supported');
+        }
+
+        return { height: dims[0], width: dims[1], pattern };
+    }
+
+    static readLevels(reader, ifd, root, raw) {
+        const T = RawDecoder.TAGS;
+        const black = ifd[T.BlackLevel] ? RawDecoder.tagValues(reader, ifd[T.BlackLevel]) : null;
+        const white = ifd[T.WhiteLevel] ? RawDecoder.tagValue(reader, ifd[T.WhiteLevel]) : null;
+        const neutral = root[T.AsShotNeutral] ? RawDecoder.tagValues(reader, root[T.AsShotNeutral]) : null;
+
+        raw.blackLevel = black ? black.reduce((sum, v) => sum + v, 0) / black.length : 0;
+        raw.whiteLevel = white || (2 ** raw.bitDepth) - 1;
+        raw.levelsEstimated = !black || !white;
+
+        // Without recorded levels (e.g. CR2) use the observed range
+        if (raw.levelsEstimated && raw.kind === 'cfa') {
+            const { low, high } = RawDecoder.percentiles(raw.data, 0.001, 1);
+            if (!black) raw.blackLevel = low;
+            if (!white) raw.whiteLevel = Math.max(high, raw.blackLevel + 1);
+        }
+
+        raw.whiteBalance = neutral ? neutral.map(n => 1 / n) : [1, 1, 1];
+        const green = raw.whiteBalance[1];
+        raw.whiteBalance = raw.whiteBalance.map(gain => gain / green);
+    }
+
+    static percentiles(data, lowFraction, highFraction) {
+        const histogram = new Uint32Array(65536);
+        for (let i = 0; i < data.length; i++) {
+            histogram[data[i]]++;
+        }
+
+        const find = fraction => {
+            const target = fraction * data.length;
+            let seen = 0;
+            for (let v = 0; v < histogram.length; v++) {
+                seen += histogram[v];
+                if (seen >= target) return v;
+            }
+            return histogram.length - 1;
+        };
+
+        return { low: find(lowFraction), high: find(highFraction) };
+    }
+
+    /**
+     * Colour index (0 = R, 1 = G, 2 = B) of a mosaic pixel.
+     */
+    static cfaColor(cfa, x, y) {
+        return cfa.pattern[(y % cfa.height) * cfa.width + (x % cfa.width)];
+    }
+
+    /**
+     * Map a raw sample of colour channel c to 0…1 using the black/white levels
+     * and white balance.
+     */
+    static normalize(raw, value, c) {
+        const range = raw.whiteLevel - raw.blackLevel;
+        const gain = raw.kind === 'mono' ? 1 : raw.whiteBalance[c];
+        return Math.max(0, Math.min(1, ((value - raw.blackLevel) / range) * gain));
+    }
+
+    /**
+     * Full-precision image of the decoded data, used when the mosaic is not
+     * sampled directly and as the round-trip reference. CFA mosaics are
+     * demosaiced (bilinear) to linear 0…1 Float32 RGB with white balance
+     * applied; RGB and mono data keep their Uint16 sensor codes and layout.
+     */
+    static toImage(raw) {
+        const { width, height } = raw;
+        if (raw.kind !== 'cfa') {
+            return { width, height, channels: raw.channels, data: raw.data };
+        }
+
+        const out = new Float32Array(width * height * 3);
+        const rgb = [0, 0, 0];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                RawDecoder.demosaicPixel(raw, x, y, rgb);
+                const index = (y * width + x) * 3;
+                for (let c = 0; c < 3; c++) {
+                    out[index + c] = RawDecoder.normalize(raw, rgb[c], c);
+                }
+            }
+        }
+
+        return { width, height, channels: 3, data: out };
+    }
+
+    static describe(raw) {
+        const pattern = raw.cfa ? raw.cfa.pattern.map(c => 'RGB'[c]).join('') : raw.kind.toUpperCase();
+        return `${raw.format}, ${pattern}, ${raw.bitDepth}-bit`;
+    }
+
+    static demosaicPixel(raw, x, y, out) {
+        const sums = [0, 0, 0];
+        const counts = [0, 0, 0];
+
+        for (let dy = -1; dy <= 1; dy++) {
+            const py = y + dy;
+            if (py < 0 || py >= raw.height) continue;
+            for (let dx = -1; dx <= 1; dx++) {
+                const px = x + dx;
+                if (px < 0 || px >= raw.width) continue;
+                const color = RawDecoder.cfaColor(raw.cfa, px, py);
+                sums[color] += raw.data[py * raw.width + px];
+                counts[color]++;
+            }
+        }
+
+        // A pixel's own colour is measured, not interpolated
+        const own = RawDecoder.cfaColor(raw.cfa, x, y);
+        for (let c = 0; c < 3; c++) {
+            out[c] = c === own ? raw.data[y * raw.width + x] : counts[c] ? sums[c] / counts[c] : 0;
+        }
+        return out;
+    }
+}
+
+RawDecoder.EXTENSIONS = ['dng', 'tif', 'tiff', 'cr2', 'nef'];
+RawDecoder.TIFF_EXTENSIONS = ['tif', 'tiff'];
+RawDecoder.DISPLAY_GAMMA = 2.2;
+RawDecoder.TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+RawDecoder.TAGS = {
+    NewSubfileType: 0x00FE,
+    ImageWidth: 0x0100,
+    ImageLength: 0x0101,
+    BitsPerSample: 0x0102,
+    Compression: 0x0103,
+    PhotometricInterpretation: 0x0106,
+    Make: 0x010F,
+    Model: 0x0110,
+    StripOffsets: 0x0111,
+    SamplesPerPixel: 0x0115,
+    RowsPerStrip: 0x0116,
+    StripByteCounts: 0x0117,
+    PlanarConfiguration: 0x011C,
+    TileWidth: 0x0142,
+    TileLength: 0x0143,
+    TileOffsets: 0x0144,
+    TileByteCounts: 0x0145,
+    SubIFDs: 0x014A,
+    CFARepeatPatternDim: 0x828D,
+    CFAPattern: 0x828E,
+    DNGVersion: 0xC612,
+    LinearizationTable: 0xC618,
+    BlackLevel: 0xC61A,
+    WhiteLevel: 0xC61D,
+    AsShotNeutral: 0xC628,
+    CR2Slices: 0xC640
+};
+
+/**
+ * LosslessJpegDecoder - ITU T.81 lossless (SOF3) Huffman decoder
+ *
+ * Used by DNG (compression 7) and CR2 raw data. Supports all seven
+ * predictors, point transform and restart intervals; components must not be
+ * subsampled. Samples are returned interleaved, row by row.
+ */
+class LosslessJpegDecoder {
+    static decode(bytes) {
+        const tables = [];
+        let frame = null;
+        let restartInterval = 0;
+        let position = 2;
+
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Lossless JPEG stream is missing its SOI marker');
+        }
+
+        while (position < bytes.length) {
+            if (bytes[position] !== 0xFF) {
+                position++;
+                continue;
+            }
+            const marker = bytes[position + 1];
+            const length = (bytes[position + 2] << 8) | bytes[position + 3];
+            const segment = bytes.subarray(position + 4, position + 2 + length);
+
+            if (marker === 0xC3) {
+                frame = LosslessJpegDecoder.readFrame(segment);
+            } else if (marker === 0xC4) {
+                LosslessJpegDecoder.readHuffmanTables(segment, tables);
+            } else if (marker === 0xDD) {
+                restartInterval = (segment[0] << 8) | segment[1];
+            } else if (marker === 0xDA) {
+                if (!frame) throw new Error('Lossless JPEG scan before SOF3 frame');
+                const scan = LosslessJpegDecoder.readScan(segment, frame);
+                return LosslessJpegDecoder.decodeScan(bytes, position + 2 + length, frame, scan, tables, restartInterval);
+            } else if ([0xC0, 0xC1, 0xC2].includes(marker)) {
+                throw new Error('Only lossless (SOF3) JPEG is supported for raw data');
+            }
+
+            position += 2 + length;
+        }
+
+        throw new Error('Lossless JPEG stream has no scan');
+    }
+
+    static readFrame(segment) {
+        const components = segment[5];
+        for (let i = 0; i < components; i++) {
+            if (segment[7 + i * 3] !== 0x11) {
+                throw new Error('Subsampled lossless JPEG (sRAW) is not supported');
+            }
+        }
+        return {
+            precision: segment[0],
+            height: (segment[1] << 8) | segment[2],
+            width: (segment[3] << 8) | segment[4],
+            components
+        };
+    }
+
+    static readHuffmanTables(segment, tables) {
+        let offset = 0;
+        while (offset < segment.length) {
+            const id = segment[offset] & 0x0F;
+            const counts = segment.subarray(offset + 1, offset + 17);
+            const total = counts.reduce((sum, n) => sum + n, 0);
+            const symbols = segment.subarray(offset + 17, offset + 17 + total);
+
+            // Canonical code ranges per length (T.81 Annex C / F.2.2.3)
+            const maxCode = new Int32Array(18).fill(-1);
+            const valueOffset = new Int32Array(17);
+            let code = 0, k = 0;
+            for (let length = 1; length <= 16; length++) {
+                valueOffset[length] = k - code;
+                code += counts[length - 1];
+                k += counts[length - 1];
+                if (counts[length - 1]) maxCode[length] = code - 1;
+                code <<= 1;
+            }
+            maxCode[17] = 0x7FFFFFFF;
+
+            tables[id] = { maxCode, valueOffset, symbols: Uint8Array.from(symbols) };
+            offset += 17 + total;
+        }
+    }
+
+    static readScan(segment, frame) {
+        const count = segment[0];
+        const tableIds = [];
+        for (let i = 0; i < count; i++) {
+            tableIds.push(segment[2 + i * 2] >> 4);
+        }
+        const at = 1 + count * 2;
+        if (count !== frame.components) {
+            throw new Error('Non-interleaved lossless JPEG scans are not supported');
+        }
+        return { tableIds, predictor: segment[at], pointTransform: segment[at + 2] & 0x0F };
+    }
+
+    static decodeScan(bytes, start, frame, scan, tables, restartInterval) {
+        const { width, height, components, precision } = frame;
+        const { predictor, pointTransform, tableIds } = scan;
+        const out = new Uint16Array(width * height * components);
+        const rowLength = width * components;
+        const initial = 1 << (precision - pointTransform - 1);
+        const bits = new LosslessJpegBitReader(bytes, start);
+
+        let sinceRestart = 0;
+        let restartRow = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (restartInterval && sinceRestart === restartInterval) {
+                    bits.restart();
+                    sinceRestart = 0;
+                    restartRow = y;
+                    if (x !== 0) {
+                        throw new Error('Restart intervals must align to rows');
+                    }
+                }
+
+                for (let c = 0; c < components; c++) {
+                    const index = y * rowLength + x * components + c;
+                    const left = x > 0 ? out[index - components] : 0;
+                    const above = y > restartRow ? out[index - rowLength] : 0;
+                    const corner = x > 0 && y > restartRow ? out[index - rowLength - components] : 0;
+
+                    let prediction;
+                    if (y === restartRow) {
+                        prediction = x === 0 ? initial : left;
+                    } else if (x === 0) {
+                        prediction = above;
+                    } else {
+                        switch (predictor) {
+                            case 1: prediction = left; break;
+                            case 2: prediction = above; break;
+                            case 3: prediction = corner; break;
+                            case 4: prediction = left + above - corner; break;
+                            case 5: prediction = left + ((above - corner) >> 1); break;
+                            case 6: prediction = above + ((left - corner) >> 1); break;
+                            case 7: prediction = (left + above) >> 1; break;
+                            default: prediction = left;
+                        }
+                    }
+
+                    out[index] = (prediction + bits.decodeDifference(tables[tableIds[c]])) & 0xFFFF;
+                }
+                sinceRestart++;
+            }
+        }
+
+        if (pointTransform) {
+            for (let i = 0; i < out.length; i++) {
+                out[i] <<= pointTransform;
+            }
+        }
+
+        return { width, height, components, precision, data: out };
+    }
+}
+
+class LosslessJpegBitReader {
+    constructor(bytes, position) {
+        this.bytes = bytes;
+        this.position = position;
+        this.buffer = 0;
+        this.count = 0;
+    }
+
+    readBit() {
+        if (this.count === 0) {
+            let byte = this.bytes[this.position];
+            if (byte === 0xFF) {
+                const next = this.bytes[this.position + 1];
+                if (next === 0x00) {
+                    this.position += 2;
+                } else {
+                    byte = 0; // Hit a marker: pad with zeros
+                }
+            } else if (this.position < this.bytes.length) {
+                this.position++;
+            } else {
+                byte = 0;
+            }
+            this.buffer = byte;
+            this.count = 8;
+        }
+        this.count--;
+        return (this.buffer >> this.count) & 1;
+    }
+
+    readBits(length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+
+    decodeDifference(table) {
+        let code = this.readBit();
+        let length = 1;
+        while (code > table.maxCode[length]) {
+            code = (code << 1) | this.readBit();
+            length++;
+            if (length > 16) throw new Error('Corrupt lossless JPEG Huffman data');
+        }
+
+        const size = table.symbols[table.valueOffset[length] + code];
+        if (size === 0) return 0;
+        if (size === 16) return 32768;
+
+        const value = this.readBits(size);
+        // Values with a leading 0 bit are negative (T.81 F.2.2.1 EXTEND)
+        return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+    }
+
+    restart() {
+        // Drop partial bits and skip the RSTn marker
+        this.count = 0;
+        while (this.position < this.bytes.length - 1 &&
+            !(this.bytes[this.position] === 0xFF && this.bytes[this.position + 1] >= 0xD0 && this.bytes[this.position + 1] <= 0xD7)) {
+            this.position++;
+        }
+        this.position += 2;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RawDecoder;
+}
@@ -0,0 +1,348 @@
+/**
+ * ResamplingPlan - Precomputed kernel taps for repeated conversions
+ *
+ * Sampling a cell means placing its centre on the source, evaluating the
+ * kernel around it and normalising the weights; none of that depends on the
+ * pixel values. A plan does it once for a (source size, lattice, kernel)
+ * combination and keeps every cell's taps in flat typed arrays, so each
+ * later conversion is a plain gather: cell i sums taps offsets[i] …
+ * offsets[i + 1] - 1 of `indices` (source pixels) and `weights`, with
+ * `colors` naming the CFA colour of each tap for mosaics.
+ *
+ * Plans are kept in a small cache keyed by ResamplingPlan.key(), so batches
+ * of same-sized files and the frames of a clip share one. Kernels that pick
+ * their weights from the image content (kernel.select) cannot be planned.
+ *
+ *   const plan = ResamplingPlan.build(source, grid, kernel);
+ *   plan.apply(nextSource, nextGrid);
+ */
+
+class ResamplingPlan {
+    constructor({ key = null, width, height, cfa = null, columns, cellCount, offsets, indices, weights, colors = null }) {
+        this.key = key;
+        this.width = width;
+        this.height = height;
+        this.cfa = cfa;
+        this.columns = columns;
+        this.cellCount = cellCount;
+        this.offsets = offsets;
+        this.indices = indices;
+        this.weights = weights;
+        this.colors = colors;
+        // Time the conversion that built the plan took, for comparison
+        this.buildTime = null;
+    }
+
+    get tapCount() {
+        return this.indices.length;
+    }
+
+    /**
+     * Cache key for a source, lattice and kernel. Cell data, channels and
+     * sample type do not change the taps, so they are left out. Null when
+     * the kernel cannot be planned.
+     */
+    static key(source, grid, kernel) {
+        if (kernel.select) return null;
+        const { channels, ...lattice } = grid.geometry();
+        return JSON.stringify({
+            width: source.width,
+            height: source.height,
+            cfa: source.cfa ? source.cfa.pattern : null,
+            lattice,
+            kernel: { name: kernel.name, options: kernel.options }
+        });
+    }
+
+    /**
+     * Whether a plan for this conversion stays within TAP_LIMIT taps. The
+     * estimate is the kernel's full square support for every cell.
+     */
+    static fits(source, grid, kernel) {
+        if (kernel.select) return false;
+        const period = source.cfa ? Math.max(source.cfa.width, source.cfa.height) : 1;
+        const span = 2 * Math.ceil(kernel.radius * period) + 1;
+        return grid.cellCount * span * span <= ResamplingPlan.TAP_LIMIT;
+    }
+
+    /**
+     * Compute the taps of every cell of `grid` on `source`, which may be a
+     * slice with an `offsetY` (see HexConverterCore.sliceSource). Returns
+     * null when the kernel cannot be planned or the plan would not fit.
+     * `onRows(done)` reports progress as in HexConverterCore.convertGrid.
+     */
+    static build(source, grid, kernel, onRows = null, reportEvery = 16) {
+        if (!ResamplingPlan.fits(source, grid, kernel)) return null;
+
+        const offsets = new Uint32Array(grid.cellCount + 1);
+        let indices = new Uint32Array(grid.cellCount * 8);
+        let weights = new Float64Array(indices.length);
+        let colors = source.cfa ? new Uint8Array(indices.length) : null;
+        const taps = { indices: [], weights: [], colors: [], count: 0 };
+        const offsetY = source.offsetY || 0;
+        let count = 0;
+
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                const center = grid.cellCenter(col, row);
+                const found = source.cfa
+                    ? ResamplingKernels.computeMosaicTaps(kernel, center.x, center.y - offsetY, source.width, source.height, source.cfa, taps)
+                    : ResamplingKernels.computeTaps(kernel, center.x, center.y - offsetY, source.width, source.height, taps);
+
+                if (count + found.count > indices.length) {
+                    // Grow by doubling; the arrays are trimmed to size at the end
+                    const size = Math.max(2 * indices.length, count + found.count);
+                    indices = ResamplingPlan.grow(indices, size);
+                    weights = ResamplingPlan.grow(weights, size);
+                    if (colors) colors = ResamplingPlan.grow(colors, size);
+                }
+                for (let i = 0; i < found.count; i++) {
+                    indices[count] = found.indices[i];
+                    weights[count] = found.weights[i];
+                    if (colors) colors[count] = found.colors[i];
+                    count++;
+                }
+                offsets[row * grid.columns + col + 1] = count;
+            }
+
+            if (onRows && ((row + 1) % reportEvery === 0 || row === grid.rows - 1)) {
+                onRows(row + 1);
+            }
+        }
+
+        return new ResamplingPlan({
+            // Band plans built on a slice are only ever joined, never cached
+            key: source.offsetY === undefined ? ResamplingPlan.key(source, grid, kernel) : null,
+            width: source.width,
+            height: source.height,
+            cfa: source.cfa || null,
+            columns: grid.columns,
+            cellCount: grid.cellCount,
+            offsets,
+            indices: indices.slice(0, count),
+            weights: weights.slice(0, count),
+            colors: colors && colors.slice(0, count)
+        });
+    }
+
+    static grow(array, size) {
+        const grown = new array.constructor(size);
+        grown.set(array);
+        return grown;
+    }
+
+    /**
+     * Assemble the plan of a whole lattice from band plans built on source
+     * slices, as the conversion workers return them. `parts` holds one
+     * { rowStart, offsetY, plan } per band. Returns null unless the bands
+     * cover every row and the joined plan fits.
+     */
+    static join(parts, source, grid, kernel) {
+        if (parts.some(part => !part || !part.plan)) return null;
+        parts = [...parts].sort((a, b) => a.rowStart - b.rowStart);
+
+        const tapCount = parts.reduce((sum, { plan }) => sum + plan.tapCount, 0);
+        const cellCount = parts.reduce((sum, { plan }) => sum + plan.cellCount, 0);
+        if (cellCount !== grid.cellCount || tapCount > ResamplingPlan.TAP_LIMIT) return null;
+
+        const offsets = new Uint32Array(grid.cellCount + 1);
+        const indices = new Uint32Array(tapCount);
+        const weights = new Float64Array(tapCount);
+        const colors = source.cfa ? new Uint8Array(tapCount) : null;
+        let cellBase = 0;
+        let tapBase = 0;
+
+        for (const { offsetY, plan } of parts) {
+            for (let cell = 1; cell <= plan.cellCount; cell++) {
+                offsets[cellBase + cell] = tapBase + plan.offsets[cell];
+            }
+            // Slice pixel indices become full source indices
+            const shift = offsetY * source.width;
+            for (let i = 0; i < plan.tapCount; i++) {
+                indices[tapBase + i] = plan.indices[i] + shift;
+            }
+            weights.set(plan.weights, tapBase);
+            if (colors) colors.set(plan.colors, tapBase);
+            cellBase += plan.cellCount;
+            tapBase += plan.tapCount;
+        }
+
+        return new ResamplingPlan({
+            key: ResamplingPlan.key(source, grid, kernel),
+            width: source.width,
+            height: source.height,
+            cfa: source.cfa || null,
+            columns: grid.columns,
+            cellCount: grid.cellCount,
+            offsets,
+            indices,
+            weights,
+            colors
+        });
+    }
+
+    /**
+     * Fill lattice rows rowStart … rowEnd - 1 of `grid` from a source of the
+     * size the plan was built for. Gives the same cells as
+     * HexConverterCore.convertGrid with the plan's kernel.
+     */
+    apply(source, grid, rowStart = 0, rowEnd = grid.rows) {
+        if (source.width !== this.width || source.height !== this.height || Boolean(source.cfa) !== Boolean(this.cfa)) {
+            throw new Error(`Source is ${source.width} × ${source.height}, the resampling plan was built for ${this.width} × ${this.height}`);
+        }
+        if (grid.cellCount !== this.cellCount) {
+            throw new Error(`Lattice has ${grid.cellCount} cells, the resampling plan was built for ${this.cellCount}`);
+        }
+
+        const { offsets, indices, weights, colors } = this;
+        const pixels = source.data;
+        const out = grid.data;
+        const channels = source.cfa ? 1 : source.channels;
+        const alpha = !source.cfa && (channels === 2 || channels === 4) ? channels - 1 : -1;
+        const color = new Float64Array(Math.max(3, channels));
+        const plain = new Float64Array(3);
+        // As in HexConverterCore.storeSample: floats unclamped, integers rounded and clamped
+        const float = out[Symbol.toStringTag].startsWith('Float');
+        const max = HexConverterCore.fullScale(out);
+        const cellStart = rowStart * this.columns;
+        const cellEnd = rowEnd * this.columns;
+
+        for (let cell = cellStart; cell < cellEnd; cell++) {
+            const start = offsets[cell];
+            const end = offsets[cell + 1];
+            color.fill(0);
+
+            if (colors) {
+                for (let i = start; i < end; i++) {
+                    color[colors[i]] += pixels[indices[i]] * weights[i];
+                }
+                for (let c = 0; c < 3; c++) {
+                    out[cell * 3 + c] = RawDecoder.normalize(source, color[c], c);
+                }
+                continue;
+            }
+
+            if (channels === 4) {
+                // RGBA, the usual decoded image, unrolled; as in ResamplingKernels.sampleWithAlpha
+                let r = 0, g = 0, b = 0, a = 0, plainR = 0, plainG = 0, plainB = 0;
+                for (let i = start; i < end; i++) {
+                    const index = indices[i] * 4;
+                    const weight = weights[i];
+                    const covered = weight * pixels[index + 3];
+                    r += pixels[index] * covered;
+                    g += pixels[index + 1] * covered;
+                    b += pixels[index + 2] * covered;
+                    plainR += pixels[index] * weight;
+                    plainG += pixels[index + 1] * weight;
+                    plainB += pixels[index + 2] * weight;
+                    a += covered;
+                }
+                color[0] = a > 0 ? r / a : plainR;
+                color[1] = a > 0 ? g / a : plainG;
+                color[2] = a > 0 ? b / a : plainB;
+                color[3] = a;
+            } else if (alpha >= 0) {
+                // As in ResamplingKernels.sampleWithAlpha
+                plain.fill(0);
+                for (let i = start; i < end; i++) {
+                    const index = indices[i] * channels;
+                    const covered = weights[i] * pixels[index + alpha];
+                    for (let c = 0; c < alpha; c++) {
+                        color[c] += pixels[index + c] * covered;
+                        plain[c] += pixels[index + c] * weights[i];
+                    }
+                    color[alpha] += covered;
+                }
+                for (let c = 0; c < alpha; c++) {
+                    color[c] = color[alpha] > 0 ? color[c] / color[alpha] : plain[c];
+                }
+            } else if (channels === 1) {
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += pixels[indices[i]] * weights[i];
+                }
+                color[0] = sum;
+            } else {
+                for (let i = start; i < end; i++) {
+                    const index = indices[i] * channels;
+                    const weight = weights[i];
+                    for (let c = 0; c < channels; c++) {
+                        color[c] += pixels[index + c] * weight;
+                    }
+                }
+            }
+            const target = cell * channels;
+            for (let c = 0; c < channels; c++) {
+                out[target + c] = float ? color[c] : Math.max(0, Math.min(max, Math.round(color[c])));
+            }
+        }
+
+        return grid;
+    }
+
+    /**
+     * The cached plan for `key`, marked as most recently used.
+     */
+    static lookup(key) {
+        const plan = key !== null ? ResamplingPlan.cache.get(key) : undefined;
+        if (!plan) return null;
+        ResamplingPlan.cache.delete(key);
+        ResamplingPlan.cache.set(key, plan);
+        return plan;
+    }
+
+    /**
+     * Cache a plan, dropping the least recently used ones once the cache
+     * holds more than CACHE_LIMIT taps. The newest plan is always kept.
+     */
+    static store(plan) {
+        if (plan.key === null) return plan;
+        ResamplingPlan.cache.delete(plan.key);
+        ResamplingPlan.cache.set(plan.key, plan);
+
+        let taps = 0;
+        for (const cached of ResamplingPlan.cache.values()) taps += cached.tapCount;
+        for (const [key, cached] of ResamplingPlan.cache) {
+            if (taps <= ResamplingPlan.CACHE_LIMIT || cached === plan) break;
+            ResamplingPlan.cache.delete(key);
+            taps -= cached.tapCount;
+        }
+        return plan;
+    }
+
+    static clearCache() {
+        ResamplingPlan.cache.clear();
+    }
+
+    /**
+     * Fill every cell of `grid`, through the cached plan when there is one
+     * and by building and caching it otherwise. Kernels that cannot be
+     * planned are sampled directly. Returns how: 'cached', 'built' or null.
+     */
+    static convert(source, grid, kernel) {
+        const key = ResamplingPlan.key(source, grid, kernel);
+        const cached = ResamplingPlan.lookup(key);
+        if (cached) {
+            cached.apply(source, grid);
+            return 'cached';
+        }
+
+        const plan = ResamplingPlan.build(source, grid, kernel);
+        if (!plan) {
+            HexConverterCore.convertGrid(source, grid, kernel);
+            return null;
+        }
+        ResamplingPlan.store(plan).apply(source, grid);
+        return 'built';
+    }
+}
+
+// Most taps one plan may hold (8 and 4 bytes each for weight and index)
+ResamplingPlan.TAP_LIMIT = 24 * 1024 * 1024;
+// Most taps kept across all cached plans
+ResamplingPlan.CACHE_LIMIT = 24 * 1024 * 1024;
+ResamplingPlan.cache = new Map();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResamplingPlan;
+}
@@ -0,0 +1,408 @@
+/**
+ * SpectralAnalysis - Power spectra of orthogonal images and hex lattices
+ *
+ * A hex lattice is a linear image of the integer grid: cell centres sit at
+ * origin + q·b1 + r·b2 for axial (q, r) and basis vectors b1, b2 in source
+ * pixels (HexGrid.axialVector). A 2-D DFT over an N × N block of axial
+ * indices, a rhombus of cells, is therefore a DFT of the lattice itself, and
+ * bin (k1, k2) is the spatial frequency f = B⁻ᵀ·(k1, k2) / N in cycles per
+ * source pixel, with B = [b1 b2]. This is the parallelogram-period form of
+ * Mersereau's hexagonal DFT. A pixel grid is the same with B = I.
+ *
+ * The spectrum repeats on the reciprocal lattice (the columns of B⁻ᵀ), so
+ * the alias-free region around DC, the Brillouin zone, is a hexagon for a
+ * hex lattice and the square |fx|, |fy| ≤ 0.5 for pixels.
+ *
+ * A spectrum is { size, power, basis, reciprocal }. `power` holds size ×
+ * size bins, DC in the middle, as a spectral density per source pixel area
+ * so that spectra taken on different lattices line up.
+ */
+
+class SpectralAnalysis {
+    /**
+     * In-place radix-2 complex FFT of `re` and `im` (power-of-two length).
+     */
+    static fft(re, im) {
+        const n = re.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            const wr = Math.cos(angle);
+            const wi = Math.sin(angle);
+            for (let start = 0; start < n; start += length) {
+                let ur = 1;
+                let ui = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const a = start + k;
+                    const b = a + length / 2;
+                    const tr = re[b] * ur - im[b] * ui;
+                    const ti = re[b] * ui + im[b] * ur;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                    [ur, ui] = [ur * wr - ui * wi, ur * wi + ui * wr];
+                }
+            }
+        }
+    }
+
+    /**
+     * In-place 2-D FFT of an n × n row-major array.
+     */
+    static fft2d(re, im, n) {
+        const rowRe = new Float64Array(n);
+        const rowIm = new Float64Array(n);
+
+        for (let pass = 0; pass < 2; pass++) {
+            // Rows on the first pass, columns on the second
+            const step = pass === 0 ? 1 : n;
+            const lineStep = pass === 0 ? n : 1;
+            for (let line = 0; line < n; line++) {
+                const start = line * lineStep;
+                for (let i = 0; i < n; i++) {
+                    rowRe[i] = re[start + i * step];
+                    rowIm[i] = im[start + i * step];
+                }
+                SpectralAnalysis.fft(rowRe, rowIm);
+                for (let i = 0; i < n; i++) {
+                    re[start + i * step] = rowRe[i];
+                    im[start + i * step] = rowIm[i];
+                }
+            }
+        }
+    }
+
+    /**
+     * Windowed power spectrum of a block: n × n samples, sample (i, j) at
+     * origin + i·b1 + j·b2 in source pixels, with basis = [b1 b2].
+     *
+     * The window is a radial Hann taper over the circle `window` = { x, y,
+     * radius } in source pixels, by default the largest circle in the block.
+     * A separable window would follow the block's shape, and a rhombus of hex
+     * cells would then favour some directions over others before the lattice
+     * itself has any say.
+     */
+    static powerSpectrum(block, window = SpectralAnalysis.inscribedWindow(block)) {
+        const { samples, n, basis, origin } = block;
+        const [[b1x, b2x], [b1y, b2y]] = basis;
+        const area = Math.abs(b1x * b2y - b2x * b1y);
+        const re = new Float64Array(n * n);
+        const im = new Float64Array(n * n);
+        const weights = new Float64Array(n * n);
+
+        // Remove the windowed mean so DC does not leak into low frequencies
+        let weight = 0;
+        let sum = 0;
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const x = origin.x + b1x * i + b2x * j - window.x;
+                const y = origin.y + b1y * i + b2y * j - window.y;
+                const r = Math.hypot(x, y) / window.radius;
+                const w = r < 1 ? 0.5 + 0.5 * Math.cos(Math.PI * r) : 0;
+                weights[j * n + i] = w;
+                weight += w;
+                sum += w * samples[j * n + i];
+            }
+        }
+
+        const mean = sum / weight;
+        let windowEnergy = 0;
+        for (let k = 0; k < n * n; k++) {
+            re[k] = (samples[k] - mean) * weights[k];
+            windowEnergy += weights[k] * weights[k];
+        }
+
+        SpectralAnalysis.fft2d(re, im, n);
+
+        // Density per source pixel area: scale by the area of one sample
+        const power = new Float64Array(n * n);
+        const half = n / 2;
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const k = j * n + i;
+                power[((j + half) % n) * n + (i + half) % n] = (re[k] * re[k] + im[k] * im[k]) * area / windowEnergy;
+            }
+        }
+
+        const det = b1x * b2y - b2x * b1y;
+        return {
+            size: n,
+            power,
+            basis,
+            // B⁻ᵀ, whose columns are the reciprocal lattice vectors
+            reciprocal: [[b2y / det, -b1y / det], [-b2x / det, b1x / det]]
+        };
+    }
+
+    /**
+     * The largest circle centred in a block, in source pixels.
+     */
+    static inscribedWindow({ n, basis, origin }) {
+        const [[b1x, b2x], [b1y, b2y]] = basis;
+        const area = Math.abs(b1x * b2y - b2x * b1y);
+        const center = (n - 1) / 2;
+        return {
+            x: origin.x + (b1x + b2x) * center,
+            y: origin.y + (b1y + b2y) * center,
+            // Half the smaller height of the parallelogram the block spans
+            radius: (n - 1) * area / (2 * Math.max(Math.hypot(b1x, b1y), Math.hypot(b2x, b2y)))
+        };
+    }
+
+    static imageSpectrum(image, maxSize = SpectralAnalysis.MAX_SIZE) {
+        return SpectralAnalysis.powerSpectrum(SpectralAnalysis.imageBlock(image, maxSize));
+    }
+
+    static latticeSpectrum(grid, maxSize = SpectralAnalysis.MAX_SIZE) {
+        return SpectralAnalysis.powerSpectrum(SpectralAnalysis.latticeBlock(grid, maxSize));
+    }
+
+    /**
+     * Spectra of a source image and the lattice sampled from it, windowed to
+     * the same circle of the source so both describe the same content.
+     */
+    static compare(image, grid, maxSize = SpectralAnalysis.MAX_SIZE) {
+        const imageBlock = SpectralAnalysis.imageBlock(image, maxSize);
+        const latticeBlock = SpectralAnalysis.latticeBlock(grid, maxSize);
+        const windows = [imageBlock, latticeBlock].map(block => SpectralAnalysis.inscribedWindow(block));
+
+        // Centred on the image block, shrunk to fit inside both blocks
+        const { x, y } = windows[0];
+        const radius = Math.min(...windows.map(window => window.radius - Math.hypot(window.x - x, window.y - y)));
+        return {
+            source: SpectralAnalysis.powerSpectrum(imageBlock, { x, y, radius }),
+            lattice: SpectralAnalysis.powerSpectrum(latticeBlock, { x, y, radius })
+        };
+    }
+
+    /**
+     * Luma of the largest centred power-of-two square of an interleaved
+     * image, up to `maxSize`. A crop's `offsetX` / `offsetY` place the block
+     * in full-frame coordinates, where a region lattice lives.
+     */
+    static imageBlock({ width, height, channels, data, offsetX = 0, offsetY = 0 }, maxSize = SpectralAnalysis.MAX_SIZE) {
+        const n = SpectralAnalysis.powerOfTwoBelow(Math.min(width, height, maxSize));
+        const x0 = Math.floor((width - n) / 2);
+        const y0 = Math.floor((height - n) / 2);
+        const scale = HexConverterCore.fullScale(data);
+        const luma = ImageMetrics.luma(data, width, height, channels);
+        const samples = new Float64Array(n * n);
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                samples[j * n + i] = luma[(y0 + j) * width + x0 + i] / scale;
+            }
+        }
+
+        return { samples, n, basis: [[1, 0], [0, 1]], origin: { x: offsetX + x0, y: offsetY + y0 } };
+    }
+
+    /**
+     * Luma of the largest centred N × N rhombus of cells in axial
+     * coordinates that fits the lattice, N a power of two up to `maxSize`.
+     */
+    static latticeBlock(grid, maxSize = SpectralAnalysis.MAX_SIZE) {
+        const center = grid.offsetToAxial(Math.floor(grid.columns / 2), Math.floor(grid.rows / 2));
+        let n = SpectralAnalysis.powerOfTwoBelow(Math.min(grid.columns, grid.rows, maxSize));
+        let q0;
+        let r0;
+
+        // The valid axial region is convex, so checking the corners is enough
+        for (; n >= SpectralAnalysis.MIN_SIZE; n /= 2) {
+            q0 = center.q - n / 2;
+            r0 = center.r - n / 2;
+            const corners = [[0, 0], [n - 1, 0], [0, n - 1], [n - 1, n - 1]];
+            if (corners.every(([i, j]) => {
+                const { col, row } = grid.axialToOffset(q0 + i, r0 + j);
+                return grid.contains(col, row);
+            })) break;
+        }
+        if (n < SpectralAnalysis.MIN_SIZE) {
+            throw new Error(`Lattice too small for a spectrum (needs ${SpectralAnalysis.MIN_SIZE} × ${SpectralAnalysis.MIN_SIZE} cells)`);
+        }
+
+        // Cells in offset order are a columns × rows image as far as luma goes
+        const scale = HexConverterCore.fullScale(grid.data);
+        const luma = ImageMetrics.luma(grid.data, grid.columns, grid.rows, grid.channels);
+        const samples = new Float64Array(n * n);
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const { col, row } = grid.axialToOffset(q0 + i, r0 + j);
+                samples[j * n + i] = luma[row * grid.columns + col] / scale;
+            }
+        }
+
+        const b1 = grid.axialVector(1, 0);
+        const b2 = grid.axialVector(0, 1);
+        const { col, row } = grid.axialToOffset(q0, r0);
+        return { samples, n, basis: [[b1.x, b2.x], [b1.y, b2.y]], origin: grid.cellCenter(col, row) };
+    }
+
+    static powerOfTwoBelow(value) {
+        return 2 ** Math.floor(Math.log2(Math.max(1, value)));
+    }
+
+    /**
+     * Power at frequency (fx, fy) in cycles per pixel, from the nearest bin
+     * of the periodic spectrum.
+     */
+    static sampleAt(spectrum, fx, fy) {
+        const { size, basis, power } = spectrum;
+        const [[b1x, b2x], [b1y, b2y]] = basis;
+        // k = N·Bᵀ·f, wrapped into the one stored period
+        const wrap = (k) => ((Math.round(k) + size / 2) % size + size) % size;
+        const i = wrap(size * (b1x * fx + b1y * fy));
+        const j = wrap(size * (b2x * fx + b2y * fy));
+        return power[j * size + i];
+    }
+
+    /**
+     * Call visit(fx, fy, power) for every bin except DC, at the alias of its
+     * frequency nearest DC, i.e. inside the Brillouin zone.
+     */
+    static forEachBin(spectrum, visit) {
+        const { size, power, reciprocal } = spectrum;
+        const [[r1x, r2x], [r1y, r2y]] = reciprocal;
+        const half = size / 2;
+
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                if (i === half && j === half) continue;
+                const k1 = (i - half) / size;
+                const k2 = (j - half) / size;
+                let best = null;
+                for (let m1 = -1; m1 <= 1; m1++) {
+                    for (let m2 = -1; m2 <= 1; m2++) {
+                        const fx = r1x * (k1 + m1) + r2x * (k2 + m2);
+                        const fy = r1y * (k1 + m1) + r2y * (k2 + m2);
+                        const d = fx * fx + fy * fy;
+                        if (!best || d < best.d) best = { fx, fy, d };
+                    }
+                }
+                visit(best.fx, best.fy, power[j * size + i]);
+            }
+        }
+    }
+
+    /**
+     * Mean power in `bins` rings of equal width out to `maxFrequency`. Rings
+     * with no bins are NaN.
+     */
+    static radialProfile(spectrum, bins, maxFrequency) {
+        const sums = new Float64Array(bins);
+        const counts = new Uint32Array(bins);
+        SpectralAnalysis.forEachBin(spectrum, (fx, fy, power) => {
+            const bin = Math.floor(Math.hypot(fx, fy) / maxFrequency * bins);
+            if (bin >= bins) return;
+            sums[bin] += power;
+            counts[bin]++;
+        });
+        return Array.from(sums, (sum, bin) => (counts[bin] > 0 ? sum / counts[bin] : NaN));
+    }
+
+    /**
+     * Mean power per direction over 0–180° (spectra of real images are
+     * point-symmetric) within the ring minFrequency ≤ |f| < maxFrequency.
+     */
+    static angularProfile(spectrum, bins, minFrequency, maxFrequency) {
+        const sums = new Float64Array(bins);
+        const counts = new Uint32Array(bins);
+        SpectralAnalysis.forEachBin(spectrum, (fx, fy, power) => {
+            const radius = Math.hypot(fx, fy);
+            if (radius < minFrequency || radius >= maxFrequency) return;
+            const angle = (Math.atan2(fy, fx) + Math.PI) % Math.PI;
+            const bin = Math.min(bins - 1, Math.floor(angle / Math.PI * bins));
+            sums[bin] += power;
+            counts[bin]++;
+        });
+        return Array.from(sums, (sum, bin) => (counts[bin] > 0 ? sum / counts[bin] : NaN));
+    }
+
+    /**
+     * Spread of an angular profile, std / mean of its directions: 0 for a
+     * perfectly isotropic response.
+     */
+    static anisotropy(profile) {
+        const values = profile.filter(Number.isFinite);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+        return Math.sqrt(variance) / mean;
+    }
+
+    /**
+     * The shortest reciprocal lattice vectors, whose perpendicular bisectors
+     * bound the Brillouin zone.
+     */
+    static zoneNeighbours(spectrum) {
+        const [[r1x, r2x], [r1y, r2y]] = spectrum.reciprocal;
+        const vectors = [];
+        for (let m1 = -1; m1 <= 1; m1++) {
+            for (let m2 = -1; m2 <= 1; m2++) {
+                if (m1 !== 0 || m2 !== 0) vectors.push({ x: r1x * m1 + r2x * m2, y: r1y * m1 + r2y * m2 });
+            }
+        }
+        return vectors;
+    }
+
+    /**
+     * Distance from DC to the nearest zone edge: the highest frequency
+     * sampled without aliasing in every direction.
+     */
+    static nyquistRadius(spectrum) {
+        return Math.min(...SpectralAnalysis.zoneNeighbours(spectrum).map(g => Math.hypot(g.x, g.y))) / 2;
+    }
+
+    /**
+     * Corners of the Brillouin zone, found by clipping a large square with
+     * the half-plane f·g ≤ |g|²/2 of every neighbour g.
+     */
+    static zonePolygon(spectrum) {
+        const extent = 4 * Math.max(...SpectralAnalysis.zoneNeighbours(spectrum).map(g => Math.hypot(g.x, g.y)));
+        let polygon = [
+            { x: -extent, y: -extent }, { x: extent, y: -extent },
+            { x: extent, y: extent }, { x: -extent, y: extent }
+        ];
+
+        for (const g of SpectralAnalysis.zoneNeighbours(spectrum)) {
+            const limit = (g.x * g.x + g.y * g.y) / 2;
+            const side = (p) => p.x * g.x + p.y * g.y - limit;
+            const clipped = [];
+            polygon.forEach((p, i) => {
+                const next = polygon[(i + 1) % polygon.length];
+                const a = side(p);
+                const b = side(next);
+                if (a <= 0) clipped.push(p);
+                if ((a < 0 && b > 0) || (a > 0 && b < 0)) {
+                    const t = a / (a - b);
+                    clipped.push({ x: p.x + t * (next.x - p.x), y: p.y + t * (next.y - p.y) });
+                }
+            });
+            polygon = clipped;
+        }
+
+        // Clipping through an existing corner repeats it
+        return polygon.filter((p, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            return Math.hypot(p.x - next.x, p.y - next.y) > 1e-9 * extent;
+        });
+    }
+}
+
+// Block sizes (samples per side) for the DFT
+SpectralAnalysis.MAX_SIZE = 256;
+SpectralAnalysis.MIN_SIZE = 8;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectralAnalysis;
+}
@@ -0,0 +1,87 @@
+/**
+ * TestTargets - Synthetic resolution targets
+ *
+ * Generated sources for checking how a lattice samples every spatial
+ * frequency and direction. Targets are single-channel float images with
+ * values in 0…1 (layout "Y"), in the same { width, height, channels, data }
+ * shape as any decoded source, so they convert like a loaded file.
+ */
+
+class TestTargets {
+    static list() {
+        return Object.entries(TestTargets.TARGETS).map(([name, { label }]) => ({ name, label }));
+    }
+
+    static create(name, width, height = width) {
+        const target = TestTargets.TARGETS[name];
+        if (!target) {
+            throw new Error(`Unknown test target: ${name}`);
+        }
+        return target.create(width, height);
+    }
+
+    /**
+     * Circular zone plate: cos(π·k·r²), whose local frequency k·r cycles per
+     * pixel rises linearly from the centre to the Nyquist limit (0.5) at the
+     * middle of each edge. The corners go past Nyquist and alias.
+     */
+    static zonePlate(width, height) {
+        const data = new Float32Array(width * height);
+        const cx = (width - 1) / 2;
+        const cy = (height - 1) / 2;
+        const k = 0.5 / (Math.min(width, height) / 2);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const r2 = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+                data[y * width + x] = 0.5 + 0.5 * Math.cos(Math.PI * k * r2);
+            }
+        }
+
+        return { width, height, channels: 1, data };
+    }
+
+    /**
+     * Siemens star: `spokes` black and white sector pairs, so the spatial
+     * frequency rises towards the centre in every direction at once. Edge
+     * pixels are box-filtered over a supersampling grid.
+     */
+    static siemensStar(width, height, spokes = 36) {
+        const data = new Float32Array(width * height);
+        const cx = (width - 1) / 2;
+        const cy = (height - 1) / 2;
+        const radius = Math.min(width, height) / 2;
+        const n = TestTargets.SUPERSAMPLING;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let j = 0; j < n; j++) {
+                    for (let i = 0; i < n; i++) {
+                        const dx = x - cx + (i + 0.5) / n - 0.5;
+                        const dy = y - cy + (j + 0.5) / n - 0.5;
+                        if (dx * dx + dy * dy > radius * radius) {
+                            // Mid grey outside the star
+                            sum += 0.5;
+                        } else {
+                            sum += Math.sin(spokes * Math.atan2(dy, dx)) >= 0 ? 1 : 0;
+                        }
+                    }
+                }
+                data[y * width + x] = sum / (n * n);
+            }
+        }
+
+        return { width, height, channels: 1, data };
+    }
+}
+
+TestTargets.SUPERSAMPLING = 4;
+TestTargets.TARGETS = {
+    zonePlate: { label: 'Zone plate', create: (width, height) => TestTargets.zonePlate(width, height) },
+    siemensStar: { label: 'Siemens star', create: (width, height) => TestTargets.siemensStar(width, height) }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestTargets;
+}
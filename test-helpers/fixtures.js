@@ -0,0 +1,109 @@
+/**
+ * Shared fixtures for the test suite: small synthetic sources and checked-in
+ * golden outputs. Kept outside test/, where `node --test` would run it as a
+ * test file of its own.
+ *
+ *   npm test
+ *
+ * runs every test from the repository root, in Node alone. Golden files in
+ * test/golden hold the cells of reference conversions; after an intended
+ * change to the conversion output, rewrite them with
+ *
+ *   UPDATE_GOLDEN=1 npm test
+ *
+ * and review the diff before committing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'test', 'golden');
+
+/**
+ * A { width, height, channels, data } source with `value(x, y, c)` in every
+ * sample.
+ */
+function synthetic(width, height, { channels = 1, SampleArray = Float32Array } = {}, value) {
+    const data = new SampleArray(width * height * channels);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                data[(y * width + x) * channels + c] = value(x, y, c);
+            }
+        }
+    }
+    return { width, height, channels, data };
+}
+
+function flatField(width, height, values, format = {}) {
+    return synthetic(width, height, { ...format, channels: values.length }, (x, y, c) => values[c]);
+}
+
+/**
+ * Linear ramp from 0 to `peak` across x (or y with `vertical`).
+ */
+function gradient(width, height, { peak = 1, vertical = false, ...format } = {}) {
+    return synthetic(width, height, format, (x, y) => peak * (vertical ? y / (height - 1) : x / (width - 1)));
+}
+
+function checkerboard(width, height, { size = 1, peak = 1, ...format } = {}) {
+    return synthetic(width, height, format, (x, y) => ((Math.floor(x / size) + Math.floor(y / size)) & 1 ? peak : 0));
+}
+
+/**
+ * Black source with one bright pixel at (px, py).
+ */
+function impulse(width, height, px, py, { peak = 1, ...format } = {}) {
+    return synthetic(width, height, format, (x, y) => (x === px && y === py ? peak : 0));
+}
+
+/**
+ * Compare a lattice with test/golden/<name>.json: the geometry must match
+ * and every sample must lie within `tolerance`. UPDATE_GOLDEN=1 writes the
+ * file instead.
+ */
+function assertGolden(name, grid, tolerance) {
+    const file = path.join(GOLDEN_DIR, `${name}.json`);
+    const actual = {
+        lattice: grid.geometry(),
+        sampleType: grid.data[Symbol.toStringTag],
+        cells: Array.from(grid.data, value => +value.toFixed(6))
+    };
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(actual) + '\n');
+        return;
+    }
+    if (!fs.existsSync(file)) {
+        assert.fail(`Missing golden file ${path.relative(process.cwd(), file)} (run with UPDATE_GOLDEN=1 to create it)`);
+    }
+
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(actual.lattice, expected.lattice, `${name}: lattice geometry changed`);
+    assert.equal(actual.sampleType, expected.sampleType, `${name}: sample type changed`);
+    assert.equal(actual.cells.length, expected.cells.length, `${name}: sample count changed`);
+
+    actual.cells.forEach((value, i) => {
+        if (Math.abs(value - expected.cells[i]) <= tolerance) return;
+        const cell = Math.floor(i / grid.channels);
+        const col = cell % grid.columns;
+        const row = Math.floor(cell / grid.columns);
+        assert.fail(`${name}: cell (${col}, ${row}) channel ${i % grid.channels} is ${value}, golden ${expected.cells[i]} (tolerance ${tolerance})`);
+    });
+}
+
+/**
+ * Largest absolute difference between two sample arrays.
+ */
+function maxDifference(a, b) {
+    assert.equal(a.length, b.length);
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        max = Math.max(max, Math.abs(a[i] - b[i]));
+    }
+    return max;
+}
+
+module.exports = { synthetic, flatField, gradient, checkerboard, impulse, assertGolden, maxDifference };
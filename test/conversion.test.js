@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HexGrid, HexConverterCore, ResamplingKernels, ResamplingPlan } = require('../hexaimage-node.js');
+const { flatField, gradient, impulse, maxDifference } = require('../test-helpers/fixtures.js');
+
+const KERNELS = ResamplingKernels.list().map(({ name }) => name);
+const FORMATS = [
+    { label: '8-bit RGBA', values: [40, 120, 200, 255], SampleArray: Uint8ClampedArray, tolerance: 0 },
+    { label: '16-bit grey', values: [31000], SampleArray: Uint16Array, tolerance: 0 },
+    { label: 'float RGB', values: [0.1, 0.5, 0.9], SampleArray: Float32Array, tolerance: 1e-6 }
+];
+
+function convert(source, options) {
+    return HexConverterCore.convert(source, { sizingMode: 'pitch', sizingValue: 1.6, ...options }).grid;
+}
+
+describe('HexConverterCore flat fields', () => {
+    for (const name of KERNELS) {
+        for (const orientation of HexGrid.ORIENTATIONS) {
+            for (const { label, values, SampleArray, tolerance } of FORMATS) {
+                it(`${name} keeps a ${label} flat field flat on a ${orientation} lattice`, () => {
+                    const grid = convert(flatField(13, 9, values, { SampleArray }), { kernel: name, orientation });
+                    assert.ok(grid.data instanceof HexConverterCore.SAMPLE_ARRAYS[SampleArray.name]);
+                    // Edge cells included: their kernels reach past the image and are clamped
+                    for (let i = 0; i < grid.data.length; i++) {
+                        const expected = values[i % values.length];
+                        assert.ok(Math.abs(grid.data[i] - expected) <= tolerance, `sample ${i} is ${grid.data[i]}, expected ${expected}`);
+                    }
+                });
+            }
+        }
+    }
+
+    it('keeps a flat mosaic flat in every colour', () => {
+        const raw = {
+            ...flatField(12, 10, [3000], { SampleArray: Uint16Array }),
+            kind: 'cfa',
+            cfa: { width: 2, height: 2, pattern: [0, 1, 1, 2] },
+            blackLevel: 1000,
+            whiteLevel: 5000,
+            whiteBalance: [1, 1, 1]
+        };
+        for (const name of ['window3x3', 'bilinear', 'lanczos3']) {
+            const grid = convert(raw, { kernel: name });
+            assert.equal(grid.channels, 3);
+            for (const value of grid.data) {
+                assert.ok(Math.abs(value - 0.5) < 1e-6, `${name}: ${value}`);
+            }
+        }
+    });
+});
+
+describe('HexConverterCore sampling positions', () => {
+    it('samples each cell at its centre', () => {
+        const source = gradient(40, 30, { peak: 39 });
+        for (const orientation of HexGrid.ORIENTATIONS) {
+            const grid = convert(source, { kernel: 'bilinear', orientation, sizingValue: 2.3 });
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.columns; col++) {
+                    // A ramp in x is reproduced exactly, clamped to the first and last pixel
+                    const { x } = grid.cellCenter(col, row);
+                    const expected = Math.max(0, Math.min(39, x));
+                    assert.ok(Math.abs(grid.getCell(col, row)[0] - expected) < 1e-4, `${orientation} ${col},${row}`);
+                }
+            }
+        }
+    });
+
+    it('clamps cells past the image edge to the edge pixels', () => {
+        const source = gradient(20, 20, { peak: 19, vertical: true });
+        // A lattice reaching well past the top and bottom rows
+        const grid = new HexGrid({ columns: 4, rows: 7, pitch: 6, originX: 1, originY: -6, channels: 1, data: new Float32Array(28) });
+        HexConverterCore.convertGrid(source, grid, ResamplingKernels.create('bicubic'));
+        assert.ok(grid.cellCenter(0, grid.rows - 1).y > 21);
+        for (let col = 0; col < grid.columns; col++) {
+            assert.equal(grid.getCell(col, 0)[0], 0);
+            assert.equal(grid.getCell(col, grid.rows - 1)[0], 19);
+        }
+    });
+
+    it('shifts odd rows by half a pitch when sampling', () => {
+        const source = gradient(32, 16, { peak: 31 });
+        const grid = convert(source, { kernel: 'bilinear', sizingValue: 4 });
+        const even = grid.getCell(2, 0)[0];
+        const odd = grid.getCell(2, 1)[0];
+        assert.ok(Math.abs(odd - even - 2) < 1e-4, `${even} → ${odd}`);
+    });
+
+    for (const name of ['nearest', 'bilinear', 'bicubic', 'lanczos3', 'window3x3']) {
+        it(`${name} spreads an impulse only within its radius`, () => {
+            const source = impulse(24, 20, 11, 9);
+            const grid = convert(source, { kernel: name, sizingValue: 1.3 });
+            const kernel = ResamplingKernels.create(name);
+            let total = 0;
+
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.columns; col++) {
+                    const value = grid.getCell(col, row)[0];
+                    const { x, y } = grid.cellCenter(col, row);
+                    if (Math.abs(x - 11) > kernel.radius || Math.abs(y - 9) > kernel.radius) {
+                        assert.equal(value, 0, `cell ${col},${row} at ${x}, ${y}`);
+                    }
+                    total += value;
+                }
+            }
+            assert.ok(total !== 0, 'the impulse reached no cell');
+        });
+    }
+});
+
+describe('HexConverterCore consistency', () => {
+    const source = gradient(30, 22, { peak: 0.8, SampleArray: Float32Array });
+    for (let i = 0; i < source.data.length; i += 7) source.data[i] = 1;
+
+    it('reports the same taps the conversion uses', () => {
+        const kernel = ResamplingKernels.create('lanczos2');
+        const grid = HexConverterCore.createLattice(30, 22, { sizingMode: 'pitch', sizingValue: 1.8, channels: 1, SampleArray: Float32Array });
+        HexConverterCore.convertGrid(source, grid, kernel);
+
+        for (const [col, row] of [[0, 0], [5, 4], [grid.columns - 1, grid.rows - 1]]) {
+            const { taps } = HexConverterCore.cellTaps(source, grid, col, row, kernel);
+            const value = taps.reduce((sum, tap) => sum + tap.weight * source.data[tap.y * 30 + tap.x], 0);
+            assert.ok(Math.abs(value - grid.getCell(col, row)[0]) < 1e-6, `cell ${col},${row}`);
+        }
+    });
+
+    for (const orientation of HexGrid.ORIENTATIONS) {
+        it(`gives the same cells through a resampling plan (${orientation})`, () => {
+            const kernel = ResamplingKernels.create('bicubic');
+            const direct = convert(source, { kernel: 'bicubic', orientation });
+            const planned = new HexGrid({ ...direct.geometry(), data: new Float32Array(direct.data.length) });
+            ResamplingPlan.build(source, planned, kernel).apply(source, planned);
+            assert.ok(maxDifference(direct.data, planned.data) < 1e-6);
+        });
+    }
+
+    it('gives the same cells when converted in row bands', () => {
+        const kernel = ResamplingKernels.create('lanczos3');
+        const direct = convert(source, { kernel: 'lanczos3' });
+        const banded = new HexGrid({ ...direct.geometry(), data: new Float32Array(direct.data.length) });
+
+        for (const { rowStart, rowEnd } of HexConverterCore.splitRows(banded, 4)) {
+            const band = banded.band(rowStart, rowEnd);
+            HexConverterCore.convertGrid(HexConverterCore.sliceSource(source, band, kernel), band, kernel);
+            banded.data.set(band.data, banded.index(0, rowStart));
+        }
+        assert.equal(maxDifference(direct.data, banded.data), 0);
+    });
+
+    it('converts a region the same as the whole frame', () => {
+        const region = { x: 6, y: 4, width: 14, height: 12 };
+        const { grid } = HexConverterCore.convert(source, { kernel: 'bilinear', sizingMode: 'pitch', sizingValue: 1.5, region });
+        const whole = HexConverterCore.createLattice(30, 22, { sizingMode: 'pitch', sizingValue: 1.5, channels: 1, SampleArray: Float32Array, region });
+        HexConverterCore.convertGrid(source, whole, ResamplingKernels.create('bilinear'));
+        assert.equal(maxDifference(grid.data, whole.data), 0);
+
+        // Cells sample the full frame, so a cropped source with its offset gives the same values
+        const cropped = HexConverterCore.cropSource(source, region);
+        assert.equal(cropped.data[0], source.data[4 * 30 + 6]);
+        assert.equal(cropped.data[cropped.data.length - 1], source.data[15 * 30 + 19]);
+    });
+
+    it('rounds and clamps overshoot into the integer range', () => {
+        // Lanczos rings around a hard 0 → 255 step
+        const step = flatField(16, 8, [0], { SampleArray: Uint8Array });
+        for (let i = 0; i < step.data.length; i++) step.data[i] = i % 16 >= 8 ? 255 : 0;
+        const grid = convert(step, { kernel: 'lanczos3', sizingValue: 0.7 });
+        for (const value of grid.data) {
+            assert.ok(Number.isInteger(value) && value >= 0 && value <= 255);
+        }
+        assert.ok(grid.data.includes(0) && grid.data.includes(255));
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const { HexConverterCore } = require('../hexaimage-node.js');
+const { synthetic, gradient, checkerboard, impulse, assertGolden } = require('../test-helpers/fixtures.js');
+
+// Small sources keep the golden files readable in a diff
+const CASES = [
+    { name: 'gradient-window3x3-pointy', source: () => gradient(12, 10), kernel: 'window3x3', orientation: 'pointy', tolerance: 1e-5 },
+    { name: 'gradient-bilinear-flat', source: () => gradient(12, 10, { vertical: true }), kernel: 'bilinear', orientation: 'flat', tolerance: 1e-5 },
+    { name: 'gradient-lanczos3-pointy', source: () => gradient(12, 10), kernel: 'lanczos3', orientation: 'pointy', tolerance: 1e-5 },
+    { name: 'checkerboard-bicubic-flat', source: () => checkerboard(12, 10, { size: 2 }), kernel: 'bicubic', orientation: 'flat', tolerance: 1e-5 },
+    { name: 'checkerboard-nearest-pointy', source: () => checkerboard(12, 10), kernel: 'nearest', orientation: 'pointy', tolerance: 0 },
+    { name: 'impulse-gaussian-pointy', source: () => impulse(12, 10, 5, 4), kernel: 'gaussian', kernelOptions: { sigma: 1.2 }, orientation: 'pointy', tolerance: 1e-5 },
+    { name: 'impulse-lanczos2-flat', source: () => impulse(12, 10, 0, 9), kernel: 'lanczos2', orientation: 'flat', tolerance: 1e-5 },
+    {
+        name: 'rgba-bicubic-pointy',
+        // Colour ramps under a soft alpha edge, in 8-bit samples
+        source: () => synthetic(12, 10, { channels: 4, SampleArray: Uint8ClampedArray }, (x, y, c) => [x * 23, y * 28, 255 - x * 20, x < 6 ? 255 : 64][c]),
+        kernel: 'bicubic',
+        orientation: 'pointy',
+        // One code of slack for rounding differences between platforms
+        tolerance: 1
+    }
+];
+
+describe('Golden conversions', () => {
+    for (const { name, source, kernel, kernelOptions = {}, orientation, tolerance } of CASES) {
+        it(name, () => {
+            const { grid } = HexConverterCore.convert(source(), {
+                kernel, kernelOptions, orientation, sizingMode: 'pitch', sizingValue: 1.5
+            });
+            assertGolden(name, grid, tolerance);
+        });
+    }
+});
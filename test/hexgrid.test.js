@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HexGrid, HexConverterCore } = require('../hexaimage-node.js');
+
+const EPSILON = 1e-9;
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: ${actual} ≠ ${expected}`);
+
+describe('HexGrid sizing', () => {
+    for (const orientation of HexGrid.ORIENTATIONS) {
+        for (const [width, height, pitch] of [[64, 48, 2], [17, 9, 1.5], [1, 1, 1], [300, 7, 0.75]]) {
+            it(`${orientation} lattice of pitch ${pitch} covers and centres on ${width} × ${height}`, () => {
+                const grid = HexGrid.covering(width, height, { orientation, pitch, channels: 1 });
+                const spacing = pitch * Math.sqrt(3) / 2;
+                const pointy = orientation === 'pointy';
+
+                assert.equal(grid.columns, Math.max(1, Math.ceil(width / (pointy ? pitch : spacing))));
+                assert.equal(grid.rows, Math.max(1, Math.ceil(height / (pointy ? spacing : pitch))));
+                near(grid.spacing, spacing, 'line spacing');
+
+                const bounds = grid.bounds();
+                near(bounds.x + bounds.width / 2, (width - 1) / 2, 'horizontal centre');
+                near(bounds.y + bounds.height / 2, (height - 1) / 2, 'vertical centre');
+                // Every source pixel centre is within half a cell of the lattice bounds
+                assert.ok(bounds.x <= pitch / 2 && bounds.y <= pitch / 2);
+                assert.ok(bounds.x + bounds.width >= width - 1 - pitch / 2);
+                assert.ok(bounds.y + bounds.height >= height - 1 - pitch / 2);
+            });
+        }
+    }
+
+    it('derives the pitch from each sizing mode', () => {
+        assert.equal(HexGrid.pitchFor('pitch', 2.5, 100, 100), 2.5);
+        // Density 1 gives cells of exactly one source pixel in area
+        const pitch = HexGrid.pitchFor('density', 1, 100, 100);
+        near(pitch * pitch * Math.sqrt(3) / 2, 1, 'cell area');
+        // A cell count target is met to within the partial cells along the edges
+        const grid = HexGrid.covering(400, 300, { pitch: HexGrid.pitchFor('cells', 5000, 400, 300), channels: 1 });
+        assert.ok(Math.abs(grid.cellCount - 5000) / 5000 < 0.05, `${grid.cellCount} cells`);
+        assert.throws(() => HexGrid.pitchFor('pitch', 0, 10, 10), /Invalid pitch value/);
+        assert.throws(() => HexGrid.pitchFor('radius', 1, 10, 10), /Unknown lattice sizing mode/);
+    });
+
+    it('keeps a region lattice in full-frame coordinates', () => {
+        const region = { x: 30, y: 12, width: 40, height: 25 };
+        const grid = HexConverterCore.createLattice(200, 100, { sizingMode: 'pitch', sizingValue: 2, channels: 1, region });
+        const alone = HexGrid.covering(region.width, region.height, { pitch: 2, channels: 1 });
+
+        assert.equal(grid.columns, alone.columns);
+        assert.equal(grid.rows, alone.rows);
+        near(grid.originX, alone.originX + region.x, 'origin x');
+        near(grid.originY, alone.originY + region.y, 'origin y');
+    });
+
+    it('clamps regions to the frame and drops whole-frame ones', () => {
+        assert.deepEqual(HexConverterCore.clampRegion({ x: -5, y: 90, width: 30.4, height: 50 }, 100, 100), { x: 0, y: 90, width: 30, height: 10 });
+        assert.equal(HexConverterCore.clampRegion({ x: 0, y: 0, width: 100, height: 100 }, 100, 100), null);
+        assert.equal(HexConverterCore.clampRegion(null, 100, 100), null);
+    });
+
+    it('rejects regions that are not finite or miss the frame', () => {
+        assert.throws(() => HexConverterCore.clampRegion({ x: 0, y: NaN, width: 10, height: 10 }, 100, 100), RangeError);
+        assert.throws(() => HexConverterCore.clampRegion({ x: 100, y: 100, width: 5, height: 5 }, 40, 30), /outside the 40 × 30 frame/);
+        assert.throws(() => HexConverterCore.clampRegion({ x: -10, y: 0, width: 10, height: 10 }, 40, 30), RangeError);
+        assert.throws(() => HexConverterCore.clampRegion({ x: 0, y: 0, width: 0, height: 10 }, 40, 30), RangeError);
+    });
+});
+
+describe('HexGrid coordinates', () => {
+    const pointy = new HexGrid({ columns: 6, rows: 5, orientation: 'pointy', pitch: 2, originX: 1, originY: 3, channels: 1 });
+    const flat = new HexGrid({ columns: 6, rows: 5, orientation: 'flat', pitch: 2, originX: 1, originY: 3, channels: 1 });
+
+    it('shifts odd rows of pointy lattices right by half a pitch', () => {
+        for (let col = 0; col < pointy.columns; col++) {
+            const even = pointy.cellCenter(col, 2);
+            const odd = pointy.cellCenter(col, 3);
+            near(odd.x - even.x, pointy.pitch / 2, `column ${col}`);
+            near(odd.y - even.y, pointy.spacing, `column ${col}`);
+        }
+        near(pointy.cellCenter(0, 0).x, pointy.originX, 'origin cell');
+    });
+
+    it('shifts odd columns of flat lattices down by half a pitch', () => {
+        for (let row = 0; row < flat.rows; row++) {
+            const even = flat.cellCenter(2, row);
+            const odd = flat.cellCenter(3, row);
+            near(odd.y - even.y, flat.pitch / 2, `row ${row}`);
+            near(odd.x - even.x, flat.spacing, `row ${row}`);
+        }
+    });
+
+    for (const grid of [pointy, flat]) {
+        it(`round-trips offset and axial coordinates (${grid.orientation})`, () => {
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.columns; col++) {
+                    const { q, r } = grid.offsetToAxial(col, row);
+                    assert.deepEqual(grid.axialToOffset(q, r), { col, row });
+
+                    const center = grid.cellCenter(col, row);
+                    const axial = grid.pointToAxial(center.x, center.y);
+                    near(axial.q, q, 'axial q');
+                    near(axial.r, r, 'axial r');
+                }
+            }
+        });
+
+        it(`places all six neighbours one pitch away (${grid.orientation})`, () => {
+            const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, -1], [-1, 1]];
+            const { q, r } = grid.offsetToAxial(2, 2);
+            const center = grid.cellCenter(2, 2);
+            for (const [dq, dr] of neighbours) {
+                const { col, row } = grid.axialToOffset(q + dq, r + dr);
+                const other = grid.cellCenter(col, row);
+                near(Math.hypot(other.x - center.x, other.y - center.y), grid.pitch, `neighbour ${dq},${dr}`);
+            }
+        });
+
+        it(`finds the cell under a point (${grid.orientation})`, () => {
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.columns; col++) {
+                    const center = grid.cellCenter(col, row);
+                    // Anywhere within the inscribed circle belongs to the cell
+                    const inner = grid.pitch * 0.49;
+                    for (const angle of [0, 1, 2, 3, 4, 5]) {
+                        const hit = grid.cellAt(center.x + inner * Math.cos(angle), center.y + inner * Math.sin(angle));
+                        // Rounding may give -0, which is the same cell
+                        assert.ok(hit.col === col && hit.row === row, `${hit.col},${hit.row} ≠ ${col},${row}`);
+                    }
+                }
+            }
+            assert.equal(grid.cellAt(-100, -100), null);
+        });
+    }
+
+    it('keeps cell positions in row bands', () => {
+        const band = pointy.band(2, 4);
+        assert.deepEqual(band.cellCenter(1, 1), pointy.cellCenter(1, 3));
+        assert.throws(() => pointy.band(1, 3), /even row/);
+    });
+});
+
+describe('HexGrid reconstruction', () => {
+    it('rebuilds a flat lattice as a flat image', () => {
+        const grid = HexGrid.covering(20, 15, { pitch: 1.7, channels: 3, SampleArray: Float32Array });
+        for (let i = 0; i < grid.data.length; i += 3) grid.data.set([0.25, 0.5, 0.75], i);
+
+        const { width, height, data } = grid.toOrthogonal(20, 15);
+        assert.equal(width * height * 3, data.length);
+        for (let i = 0; i < data.length; i++) {
+            near(data[i], [0.25, 0.5, 0.75][i % 3], `sample ${i}`);
+        }
+    });
+
+    it('reproduces a linear ramp inside the lattice', () => {
+        const grid = HexGrid.covering(30, 20, { pitch: 2, channels: 1, SampleArray: Float32Array });
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.columns; col++) {
+                const { x, y } = grid.cellCenter(col, row);
+                grid.setCell(col, row, [0.01 * x + 0.02 * y]);
+            }
+        }
+
+        // Barycentric interpolation is exact for linear functions
+        const area = { x: 4, y: 4, width: 20, height: 10 };
+        const image = grid.toOrthogonal(10, 5, area);
+        for (let y = 0; y < 5; y++) {
+            for (let x = 0; x < 10; x++) {
+                const sx = area.x + (x + 0.5) * 2 - 0.5;
+                const sy = area.y + (y + 0.5) * 2 - 0.5;
+                assert.ok(Math.abs(image.data[y * 10 + x] - (0.01 * sx + 0.02 * sy)) < 1e-6);
+            }
+        }
+    });
+});
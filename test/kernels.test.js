@@ -0,0 +1,184 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResamplingKernels } = require('../hexaimage-node.js');
+const { flatField, gradient, synthetic } = require('../test-helpers/fixtures.js');
+
+const KERNELS = ResamplingKernels.list().map(({ name }) => name);
+// Sample positions inside, between and past the edges of an 8 × 6 image
+const POSITIONS = [[3, 2], [3.5, 2.5], [0.25, 4.75], [0, 0], [7, 5], [-0.7, 2.2], [7.9, -1.3], [-3, 9]];
+const WIDTH = 8;
+const HEIGHT = 6;
+
+const near = (actual, expected, tolerance, message) => assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≠ ${expected}`);
+
+describe('ResamplingKernels taps', () => {
+    for (const name of KERNELS) {
+        // The adaptive kernel picks one of the others per sample
+        if (name === 'adaptive') continue;
+        const kernel = ResamplingKernels.create(name);
+
+        it(`${name} weights sum to 1 and stay inside the image`, () => {
+            for (const [x, y] of POSITIONS) {
+                const taps = ResamplingKernels.computeTaps(kernel, x, y, WIDTH, HEIGHT);
+                assert.ok(taps.count > 0, `no taps at ${x}, ${y}`);
+
+                let total = 0;
+                for (let i = 0; i < taps.count; i++) {
+                    assert.ok(taps.indices[i] >= 0 && taps.indices[i] < WIDTH * HEIGHT, `tap ${taps.indices[i]} at ${x}, ${y}`);
+                    total += taps.weights[i];
+                }
+                near(total, 1, 1e-12, `weight sum at ${x}, ${y}`);
+            }
+        });
+
+        it(`${name} taps lie within the kernel radius`, () => {
+            const taps = ResamplingKernels.computeTaps(kernel, 3.3, 2.6, WIDTH, HEIGHT);
+            for (let i = 0; i < taps.count; i++) {
+                const px = taps.indices[i] % WIDTH;
+                const py = Math.floor(taps.indices[i] / WIDTH);
+                assert.ok(Math.abs(px - 3.3) <= kernel.radius && Math.abs(py - 2.6) <= kernel.radius, `tap at ${px}, ${py}`);
+            }
+        });
+    }
+
+    it('nearest picks the pixel Math.round would', () => {
+        const kernel = ResamplingKernels.create('nearest');
+        for (const [x, y] of [[2.5, 1.5], [2.49, 1.51], [0.5, 0.5], [6.2, 4.8]]) {
+            const taps = ResamplingKernels.computeTaps(kernel, x, y, WIDTH, HEIGHT);
+            assert.equal(taps.count, 1);
+            assert.equal(taps.indices[0], Math.round(y) * WIDTH + Math.round(x));
+        }
+    });
+
+    it('window3x3 gives half the weight to the centre and a sixteenth to each neighbour', () => {
+        const kernel = ResamplingKernels.create('window3x3');
+        const taps = ResamplingKernels.computeTaps(kernel, 3, 2, WIDTH, HEIGHT);
+        const weights = new Map();
+        for (let i = 0; i < taps.count; i++) weights.set(taps.indices[i], taps.weights[i]);
+
+        assert.equal(weights.size, 9);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                near(weights.get((2 + dy) * WIDTH + 3 + dx), dx === 0 && dy === 0 ? 0.5 : 0.0625, 1e-12, `offset ${dx}, ${dy}`);
+            }
+        }
+    });
+
+    it('window3x3 interpolates its window between pixels', () => {
+        const kernel = ResamplingKernels.create('window3x3');
+        const taps = ResamplingKernels.computeTaps(kernel, 3.5, 2, WIDTH, HEIGHT);
+        const weights = new Map();
+        for (let i = 0; i < taps.count; i++) weights.set(taps.indices[i], taps.weights[i]);
+
+        // Half the centre sample on each of pixels 3 and 4, plus neighbour shares
+        near(weights.get(2 * WIDTH + 3), 0.25 + 0.0625 * 0.5, 1e-12, 'left centre');
+        near(weights.get(2 * WIDTH + 4), 0.25 + 0.0625 * 0.5, 1e-12, 'right centre');
+    });
+
+    it('gaussian widens its support with sigma', () => {
+        assert.equal(ResamplingKernels.create('gaussian', { sigma: 0.3 }).radius, 1);
+        assert.equal(ResamplingKernels.create('gaussian', { sigma: 1.5 }).radius, 5);
+    });
+
+    it('rejects unknown kernels', () => {
+        assert.throws(() => ResamplingKernels.create('sinc'), /Unknown resampling kernel: sinc/);
+    });
+});
+
+describe('ResamplingKernels sampling', () => {
+    for (const name of KERNELS) {
+        const kernel = ResamplingKernels.create(name);
+
+        it(`${name} keeps a flat field flat, including past the edges`, () => {
+            const source = flatField(WIDTH, HEIGHT, [0.2, 0.4, 0.6]);
+            for (const [x, y] of POSITIONS) {
+                const value = ResamplingKernels.sample(source.data, WIDTH, HEIGHT, 3, x, y, kernel);
+                value.forEach((v, c) => near(v, [0.2, 0.4, 0.6][c], 1e-6, `${name} channel ${c} at ${x}, ${y}`));
+            }
+        });
+    }
+
+    it('clamps samples past the edge to the edge pixels', () => {
+        const source = gradient(WIDTH, HEIGHT);
+        const kernel = ResamplingKernels.create('bilinear');
+        near(ResamplingKernels.sample(source.data, WIDTH, HEIGHT, 1, -2, 3, kernel)[0], 0, 1e-12, 'left');
+        near(ResamplingKernels.sample(source.data, WIDTH, HEIGHT, 1, WIDTH + 2, 3, kernel)[0], 1, 1e-12, 'right');
+        near(ResamplingKernels.sample(source.data, WIDTH, HEIGHT, 1, 3, -5, kernel)[0], 3 / 7, 1e-6, 'top');
+    });
+
+    for (const name of ['bilinear', 'bicubic', 'window3x3']) {
+        it(`${name} reproduces a linear ramp away from the edges`, () => {
+            const source = gradient(WIDTH, HEIGHT);
+            const kernel = ResamplingKernels.create(name);
+            for (const x of [2, 2.3, 3.5, 4.75]) {
+                near(ResamplingKernels.sample(source.data, WIDTH, HEIGHT, 1, x, 2.4, kernel)[0], x / 7, 1e-6, `x = ${x}`);
+            }
+        });
+    }
+
+    it('does not bleed the colour of transparent pixels', () => {
+        // Opaque red on the left half, transparent green on the right
+        const source = synthetic(WIDTH, HEIGHT, { channels: 4 }, (x, y, c) => (x < 4 ? [1, 0, 0, 1] : [0, 1, 0, 0])[c]);
+        const kernel = ResamplingKernels.create('bilinear');
+
+        const edge = ResamplingKernels.sampleWithAlpha(source.data, WIDTH, HEIGHT, 4, 3.5, 2, kernel);
+        assert.deepEqual(edge.slice(0, 3), [1, 0, 0]);
+        near(edge[3], 0.5, 1e-12, 'alpha');
+
+        // Fully transparent samples keep the stored colour
+        const clear = ResamplingKernels.sampleWithAlpha(source.data, WIDTH, HEIGHT, 4, 6, 2, kernel);
+        assert.deepEqual(Array.from(clear), [0, 1, 0, 0]);
+    });
+});
+
+describe('Adaptive kernel', () => {
+    // A gentle ramp, a steeper one and a hard step, as fractions of full scale
+    const level = (x) => (x < 8 ? 0.025 * x : x < 12 ? 0.2 + 0.1 * (x - 8) : 1);
+    const choices = (SampleArray, scale, range) => {
+        const source = synthetic(16, 4, { SampleArray }, (x) => (scale === 1 ? level(x) : Math.round(level(x) * scale)));
+        const kernel = ResamplingKernels.create('adaptive');
+        return Array.from({ length: 16 }, (_, x) => kernel.select(source.data, 16, 4, 1, x, 1.5, range).name);
+    };
+
+    it('chooses the same kernels whatever the sample type', () => {
+        const reference = choices(Uint8Array, 255);
+        assert.ok(new Set(reference).size === 3, `only ${[...new Set(reference)]}`);
+        assert.deepEqual(choices(Uint16Array, 65535), reference);
+        assert.deepEqual(choices(Float32Array, 1), reference);
+    });
+
+    it('measures mosaic codes against the sensor range', () => {
+        // 12-bit codes in 16-bit samples
+        assert.deepEqual(choices(Uint16Array, 4095, 4095), choices(Uint8Array, 255));
+    });
+});
+
+describe('ResamplingKernels mosaic taps', () => {
+    const cfa = { width: 2, height: 2, pattern: [0, 1, 1, 2] };
+
+    for (const name of KERNELS) {
+        if (name === 'adaptive') continue;
+        const kernel = ResamplingKernels.create(name);
+
+        it(`${name} weights sum to 1 per colour, on sites of that colour`, () => {
+            for (const [x, y] of POSITIONS) {
+                const taps = ResamplingKernels.computeMosaicTaps(kernel, x, y, WIDTH, HEIGHT, cfa);
+                const totals = [0, 0, 0];
+                for (let i = 0; i < taps.count; i++) {
+                    const index = taps.indices[i];
+                    const site = cfa.pattern[(Math.floor(index / WIDTH) % 2) * 2 + (index % WIDTH) % 2];
+                    assert.equal(taps.colors[i], site, `tap ${index} at ${x}, ${y}`);
+                    totals[taps.colors[i]] += taps.weights[i];
+                }
+                totals.forEach((total, c) => near(total, 1, 1e-12, `colour ${c} at ${x}, ${y}`));
+            }
+        });
+    }
+
+    it('folds coordinates past the edge onto the same CFA phase', () => {
+        assert.equal(ResamplingKernels.foldToPeriod(-1, 8, 2), 1);
+        assert.equal(ResamplingKernels.foldToPeriod(-2, 8, 2), 0);
+        assert.equal(ResamplingKernels.foldToPeriod(9, 8, 2), 7);
+        assert.equal(ResamplingKernels.foldToPeriod(8, 8, 2), 6);
+    });
+});
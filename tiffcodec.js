@@ -0,0 +1,102 @@
+/**
+ * TiffCodec - Minimal baseline TIFF writer
+ *
+ * Writes an image in the { width, height, channels, data } shape used by
+ * every source and reconstruction as a little-endian, uncompressed TIFF in
+ * one strip, keeping its sample type: 8-bit, 16-bit or 32-bit float
+ * (SampleFormat 3). One or two channels are written as grey, three or four
+ * as RGB; the last of two or four channels is unassociated alpha
+ * (ExtraSamples 2). No compression keeps it readable by any TIFF reader,
+ * including RawDecoder for the integer types.
+ *
+ *   const bytes = TiffCodec.encode(grid.toOrthogonal(1024, 768));
+ */
+
+class TiffCodec {
+    static encode({ width, height, channels, data }) {
+        const format = TiffCodec.SAMPLE_FORMATS[data[Symbol.toStringTag]];
+        if (!format) {
+            throw new Error(`Unsupported TIFF sample type: ${data[Symbol.toStringTag]}`);
+        }
+        if (channels < 1 || channels > 4) {
+            throw new Error(`Unsupported TIFF channel count: ${channels}`);
+        }
+
+        const bytesPerSample = format.bits / 8;
+        const imageSize = width * height * channels * bytesPerSample;
+        const perChannel = (value) => new Array(channels).fill(value);
+        const tags = [
+            [256, TiffCodec.LONG, [width]],
+            [257, TiffCodec.LONG, [height]],
+            [258, TiffCodec.SHORT, perChannel(format.bits)],
+            [259, TiffCodec.SHORT, [1]], // No compression
+            [262, TiffCodec.SHORT, [channels >= 3 ? 2 : 1]], // RGB or BlackIsZero
+            [273, TiffCodec.LONG, [0]], // Strip offset, filled in below
+            [277, TiffCodec.SHORT, [channels]],
+            [278, TiffCodec.LONG, [height]],
+            [279, TiffCodec.LONG, [imageSize]],
+            [284, TiffCodec.SHORT, [1]], // Interleaved samples
+            ...(channels === 2 || channels === 4 ? [[338, TiffCodec.SHORT, [2]]] : []),
+            [339, TiffCodec.SHORT, perChannel(format.sampleFormat)]
+        ];
+
+        // Values that do not fit the 4-byte entry field follow the directory
+        const directorySize = 2 + tags.length * 12 + 4;
+        let position = 8 + directorySize;
+        const placed = tags.map(([tag, type, values]) => {
+            const size = values.length * (type === TiffCodec.SHORT ? 2 : 4);
+            const entry = { tag, type, values, offset: size > 4 ? position : null };
+            if (size > 4) position += size + (size & 1);
+            return entry;
+        });
+        const dataOffset = position;
+        placed.find(entry => entry.tag === 273).values = [dataOffset];
+
+        const out = new Uint8Array(dataOffset + imageSize);
+        const view = new DataView(out.buffer);
+        out.set([0x49, 0x49]); // "II", little-endian
+        view.setUint16(2, 42, true);
+        view.setUint32(4, 8, true);
+
+        view.setUint16(8, placed.length, true);
+        placed.forEach(({ tag, type, values, offset }, i) => {
+            const at = 10 + i * 12;
+            view.setUint16(at, tag, true);
+            view.setUint16(at + 2, type, true);
+            view.setUint32(at + 4, values.length, true);
+            const target = offset === null ? at + 8 : offset;
+            if (offset !== null) view.setUint32(at + 8, offset, true);
+            values.forEach((value, k) => {
+                if (type === TiffCodec.SHORT) {
+                    view.setUint16(target + k * 2, value, true);
+                } else {
+                    view.setUint32(target + k * 4, value, true);
+                }
+            });
+        });
+        // No further directories
+        view.setUint32(10 + placed.length * 12, 0, true);
+
+        const write = format.write;
+        for (let i = 0; i < data.length; i++) {
+            write(view, dataOffset + i * bytesPerSample, data[i]);
+        }
+
+        return out;
+    }
+}
+
+// Field types used in directory entries
+TiffCodec.SHORT = 3;
+TiffCodec.LONG = 4;
+// Bits, SampleFormat (1 unsigned, 3 IEEE float) and writer per array type
+TiffCodec.SAMPLE_FORMATS = {
+    Uint8Array: { bits: 8, sampleFormat: 1, write: (view, at, value) => view.setUint8(at, value) },
+    Uint8ClampedArray: { bits: 8, sampleFormat: 1, write: (view, at, value) => view.setUint8(at, value) },
+    Uint16Array: { bits: 16, sampleFormat: 1, write: (view, at, value) => view.setUint16(at, value, true) },
+    Float32Array: { bits: 32, sampleFormat: 3, write: (view, at, value) => view.setFloat32(at, value, true) }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiffCodec;
+}
@@ -0,0 +1,139 @@
+/**
+ * DisplayTransfer - Maps stored samples to 8-bit display values
+ *
+ * Stored samples keep their full precision (uint8, uint16 or float32); only
+ * what is shown on screen or exported as PNG goes through this mapping. A
+ * sample is first taken as a fraction of its type's full scale (255, 65535,
+ * or 1.0 for float data), stretched so the black point maps to 0 and the
+ * white point to 1, then shaped by the transfer curve:
+ *
+ *   linear  v
+ *   gamma   v^(1/γ)
+ *   log     log(1 + k·v) / log(1 + k), k = DisplayTransfer.LOG_STRENGTH
+ *
+ * Alpha is only rescaled from full scale to 0–255, never stretched.
+ */
+
+class DisplayTransfer {
+    constructor({ mode = 'linear', black = 0, white = 1, gamma = 2.2 } = {}) {
+        if (!DisplayTransfer.MODES.includes(mode)) {
+            throw new Error(`Unknown display transfer: ${mode}`);
+        }
+        if (!(white > black)) {
+            throw new Error('White point must be above the black point');
+        }
+
+        this.mode = mode;
+        this.black = black;
+        this.white = white;
+        this.gamma = gamma;
+
+        // Lookup table for the integer sample type last rendered
+        this.lut = null;
+        this.lutScale = 0;
+
+        // Full scale of the array last rendered, so it is not looked up per pixel
+        this.scaleOf = null;
+        this.scale = 1;
+    }
+
+    /**
+     * Suggested settings for a decoded raw file: levels from the file for
+     * sensor codes, and a display gamma for scene-linear data.
+     */
+    static defaultsForRaw(raw) {
+        const mode = raw.linear ? 'gamma' : 'linear';
+        if (raw.cfa) {
+            // Mosaic conversions are stored normalised to 0…1
+            return { mode, black: 0, white: 1, gamma: RawDecoder.DISPLAY_GAMMA };
+        }
+        return {
+            mode,
+            black: raw.blackLevel / 65535,
+            white: raw.whiteLevel / 65535,
+            gamma: RawDecoder.DISPLAY_GAMMA
+        };
+    }
+
+    get settings() {
+        return { mode: this.mode, black: this.black, white: this.white, gamma: this.gamma };
+    }
+
+    /**
+     * 0–255 display value for a fraction of full scale.
+     */
+    map(fraction) {
+        const t = Math.max(0, Math.min(1, (fraction - this.black) / (this.white - this.black)));
+        let v = t;
+        if (this.mode === 'gamma') {
+            v = Math.pow(t, 1 / this.gamma);
+        } else if (this.mode === 'log') {
+            v = Math.log1p(DisplayTransfer.LOG_STRENGTH * t) / Math.log1p(DisplayTransfer.LOG_STRENGTH);
+        }
+        return Math.round(v * 255);
+    }
+
+    /**
+     * Display value of one stored sample. Integer types go through a lookup
+     * table built once per full scale.
+     */
+    sampleToDisplay(value, scale) {
+        if (scale === 1) return this.map(value);
+
+        if (this.lutScale !== scale) {
+            this.lut = new Uint8ClampedArray(scale + 1);
+            for (let i = 0; i <= scale; i++) {
+                this.lut[i] = this.map(i / scale);
+            }
+            this.lutScale = scale;
+        }
+        return this.lut[value];
+    }
+
+    /**
+     * RGBA display colour of the pixel or cell at `index` of interleaved
+     * data with 1 (Y), 2 (YA), 3 (RGB) or 4 (RGBA) channels.
+     */
+    toRGBA(data, index, channels, out) {
+        if (this.scaleOf !== data) {
+            this.scaleOf = data;
+            this.scale = HexConverterCore.fullScale(data);
+        }
+        const scale = this.scale;
+        const alphaScale = 255 / scale;
+
+        if (channels >= 3) {
+            out[0] = this.sampleToDisplay(data[index], scale);
+            out[1] = this.sampleToDisplay(data[index + 1], scale);
+            out[2] = this.sampleToDisplay(data[index + 2], scale);
+            out[3] = channels >= 4 ? Math.round(Math.max(0, Math.min(scale, data[index + 3])) * alphaScale) : 255;
+        } else {
+            out[0] = out[1] = out[2] = this.sampleToDisplay(data[index], scale);
+            out[3] = channels === 2 ? Math.round(Math.max(0, Math.min(scale, data[index + 1])) * alphaScale) : 255;
+        }
+        return out;
+    }
+
+    /**
+     * 8-bit RGBA rendering (ImageData layout) of an interleaved image.
+     */
+    render({ width, height, channels, data }) {
+        const out = new Uint8ClampedArray(width * height * 4);
+        const rgba = [0, 0, 0, 255];
+
+        for (let i = 0; i < width * height; i++) {
+            this.toRGBA(data, i * channels, channels, rgba);
+            out.set(rgba, i * 4);
+        }
+
+        return { width, height, data: out };
+    }
+}
+
+DisplayTransfer.MODES = ['linear', 'gamma', 'log'];
+DisplayTransfer.DEFAULTS = { mode: 'linear', black: 0, white: 1, gamma: 2.2 };
+DisplayTransfer.LOG_STRENGTH = 1000;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DisplayTransfer;
+}
@@ -0,0 +1,142 @@
+/**
+ * ZipArchive - Minimal ZIP writer for batch downloads
+ *
+ * Builds a ZIP file in memory from named byte arrays, so the page can hand
+ * a whole batch to the user as one download without a server. Entries are
+ * stored uncompressed: the PNG and HXI outputs are deflated already and the
+ * manifests are small. Names are UTF-8 (general purpose flag bit 11), no
+ * ZIP64, so the archive and each entry must stay under 4 GiB.
+ *
+ *   const zip = new ZipArchive();
+ *   zip.add('manifest.json', new TextEncoder().encode(json));
+ *   const bytes = zip.finish();
+ */
+
+class ZipArchive {
+    constructor() {
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /**
+     * Add a file. Returns the name used, with " (2)", " (3)" … inserted
+     * before the extension when the name is already taken.
+     */
+    add(name, bytes, date = new Date()) {
+        const unique = this.uniqueName(name);
+        this.names.add(unique);
+        this.entries.push({
+            name: new TextEncoder().encode(unique),
+            bytes,
+            crc: ZipArchive.crc32(bytes),
+            ...ZipArchive.dosDateTime(date)
+        });
+        return unique;
+    }
+
+    uniqueName(name) {
+        if (!this.names.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const stem = dot > name.lastIndexOf('/') + 1 ? name.slice(0, dot) : name;
+        const extension = name.slice(stem.length);
+        for (let n = 2; ; n++) {
+            const candidate = `${stem} (${n})${extension}`;
+            if (!this.names.has(candidate)) return candidate;
+        }
+    }
+
+    /**
+     * The complete archive: local headers and data, then the central
+     * directory and its end record.
+     */
+    finish() {
+        const localSize = this.entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.bytes.length, 0);
+        const directorySize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const out = new Uint8Array(localSize + directorySize + 22);
+        const view = new DataView(out.buffer);
+        const offsets = [];
+        let position = 0;
+
+        // Fields shared by the local header (from offset 4) and the directory entry (from 6)
+        const writeCommon = (entry, at) => {
+            view.setUint16(at, ZipArchive.VERSION, true);
+            view.setUint16(at + 2, ZipArchive.FLAG_UTF8, true);
+            view.setUint16(at + 4, 0, true); // Stored
+            view.setUint16(at + 6, entry.time, true);
+            view.setUint16(at + 8, entry.date, true);
+            view.setUint32(at + 10, entry.crc, true);
+            view.setUint32(at + 14, entry.bytes.length, true);
+            view.setUint32(at + 18, entry.bytes.length, true);
+            view.setUint16(at + 22, entry.name.length, true);
+        };
+
+        for (const entry of this.entries) {
+            offsets.push(position);
+            view.setUint32(position, 0x04034B50, true);
+            writeCommon(entry, position + 4);
+            out.set(entry.name, position + 30);
+            out.set(entry.bytes, position + 30 + entry.name.length);
+            position += 30 + entry.name.length + entry.bytes.length;
+        }
+
+        const directoryStart = position;
+        this.entries.forEach((entry, i) => {
+            view.setUint32(position, 0x02014B50, true);
+            view.setUint16(position + 4, ZipArchive.VERSION, true);
+            writeCommon(entry, position + 6);
+            // Extra and comment lengths, disk number and attributes stay 0
+            view.setUint32(position + 42, offsets[i], true);
+            out.set(entry.name, position + 46);
+            position += 46 + entry.name.length;
+        });
+
+        view.setUint32(position, 0x06054B50, true);
+        view.setUint16(position + 8, this.entries.length, true);
+        view.setUint16(position + 10, this.entries.length, true);
+        view.setUint32(position + 12, directorySize, true);
+        view.setUint32(position + 16, directoryStart, true);
+
+        return out;
+    }
+
+    /**
+     * MS-DOS time and date fields (2-second resolution, local time, years
+     * from 1980).
+     */
+    static dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipArchive.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Version 2.0 needed to extract; UTF-8 names
+ZipArchive.VERSION = 20;
+ZipArchive.FLAG_UTF8 = 0x0800;
+ZipArchive.crcTable = null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+}